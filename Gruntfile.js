@@ -65,12 +65,29 @@ module.exports = function (grunt) {
                     'js/drag.sort.js',
                     'js/drag.scroll.js',
                     'js/tab.js',
+                    'js/inspector.lang.js',
                     'js/inspector.surface.js',
                     'js/inspector.manager.js',
                     'js/inspector.wrapper.base.js',
                     'js/inspector.wrapper.popup.js',
                     'js/inspector.wrapper.container.js',
+                    'js/inspector.embedded.js',
                     'js/inspector.groups.js',
+                    'js/inspector.history.js',
+                    'js/inspector.conditions.js',
+                    'js/inspector.dataprovider.js',
+                    'js/inspector.mediasource.js',
+                    'js/inspector.jsonschema.js',
+                    'js/inspector.attributevalues.js',
+                    'js/inspector.diff.js',
+                    'js/inspector.changesummary.js',
+                    'js/inspector.bulkdata.js',
+                    'js/inspector.bulkdatapopup.js',
+                    'js/inspector.codehighlighter.js',
+                    'js/inspector.markdown.js',
+                    'js/inspector.contextmenu.js',
+                    'js/inspector.presets.js',
+                    'js/inspector.presetmenu.js',
                     'js/inspector.engine.js',
                     'js/inspector.editor.base.js',
                     'js/inspector.editor.string.js',
@@ -78,13 +95,21 @@ module.exports = function (grunt) {
                     'js/inspector.editor.dropdown.js',
                     'js/inspector.editor.popupbase.js',
                     'js/inspector.editor.text.js',
+                    'js/inspector.editor.code.js',
+                    'js/inspector.editor.media.js',
                     'js/inspector.editor.set.js',
+                    'js/inspector.editor.tags.js',
                     'js/inspector.editor.objectlist.js',
                     'js/inspector.editor.object.js',
                     'js/inspector.editor.stringlist.js',
                     'js/inspector.editor.stringlistautocomplete.js',
                     'js/inspector.editor.dictionary.js',
                     'js/inspector.editor.autocomplete.js',
+                    'js/inspector.editor.number.js',
+                    'js/inspector.editor.color.js',
+                    'js/inspector.editor.date.js',
+                    'js/inspector.editor.time.js',
+                    'js/inspector.editor.datetime.js',
                     'js/inspector.helpers.js',
                     'js/inspector.validationset.js',
                     'js/inspector.validator.base.js',
@@ -94,6 +119,12 @@ module.exports = function (grunt) {
                     'js/inspector.validator.integer.js',
                     'js/inspector.validator.float.js',
                     'js/inspector.validator.length.js',
+                    'js/inspector.validator.remote.js',
+                    'js/inspector.rule.base.js',
+                    'js/inspector.rule.compare.js',
+                    'js/inspector.rule.requireone.js',
+                    'js/inspector.ruleset.js',
+                    'js/inspector.externalparameters.js',
                     'js/inspector.externalparametereditor.js',
                     'js/list.sortable.js'
                 ],
@@ -147,7 +147,7 @@
 
         var lockerValue = momentObj.format(this.dbDateTimeFormat);
 
-        this.$dataLocker.val(lockerValue)
+        this.setDataLockerValue(lockerValue)
     };
 
     // Returns in user preference timezone
@@ -208,7 +208,7 @@
 
         var lockerValue = momentObj.format(this.dbDateTimeFormat);
 
-        this.$dataLocker.val(lockerValue)
+        this.setDataLockerValue(lockerValue)
     };
 
     // Returns in user preference timezone
@@ -255,9 +255,35 @@
     //
 
     DatePicker.prototype.emptyValues = function () {
-        this.$dataLocker.val('');
         this.$datePicker.val('');
-        this.$timePicker.val('')
+        this.$timePicker.val('');
+        this.setDataLockerValue('')
+    };
+
+    /*
+     * Updates the data locker value and triggers the datachange.oc.datepicker
+     * event on it, so that other controls could watch the selected value.
+     * The change event is not triggered, as existing forms don't expect it.
+     */
+    DatePicker.prototype.setDataLockerValue = function (value) {
+        this.$dataLocker.val(value);
+        this.$dataLocker.trigger('datachange.oc.datepicker')
+    };
+
+    /*
+     * Updates the date and time fields after the data locker
+     * value was changed externally.
+     */
+    DatePicker.prototype.refresh = function () {
+        var value = this.$dataLocker.val();
+
+        if (this.hasDate) {
+            this.$datePicker.val(value ? this.getDataLockerValue(this.getDateFormat()) : '')
+        }
+
+        if (this.hasTime) {
+            this.$timePicker.val(value ? this.getDataLockerValue(this.getTimeFormat()) : '')
+        }
     };
 
     DatePicker.prototype.getDataLockerValue = function (format) {
@@ -285,6 +311,14 @@
         this.timezone = $('meta[name="backend-timezone"]').attr('content');
         this.appTimezone = $('meta[name="app-timezone"]').attr('content');
 
+        if (this.options.timezone) {
+            this.timezone = this.options.timezone
+        }
+
+        if (this.options.appTimezone) {
+            this.appTimezone = this.options.appTimezone
+        }
+
         if (!this.appTimezone) {
             this.appTimezone = 'UTC'
         }
@@ -306,6 +340,8 @@
         minDate: null,
         maxDate: null,
         format: null,
+        timezone: null,
+        appTimezone: null,
         yearRange: 10
     };
 
@@ -0,0 +1,100 @@
+/*
+ * Typed values of the data-property-xxx attributes.
+ *
+ * By default values of the data-property-xxx attributes are strings
+ * and complex values are not supported. If the inspectable element or
+ * any of its parents has the data-inspector-typed-values attribute,
+ * values are encoded with a type marker:
+ *
+ * - strings are written as is: data-property-title="Hello"
+ * - other values are written as JSON with the json: prefix:
+ *   data-property-count="json:10", data-property-tags="json:[&quot;a&quot;]"
+ *
+ * Attributes without the type marker, for example values written before
+ * the typed encoding was enabled, are converted according to the property
+ * type when they are loaded. Values with the marker which are not valid
+ * JSON are considered legacy values too.
+ */
++function ($) {
+    "use strict";
+
+    // NAMESPACES
+    // ============================
+
+    if (window.Storm === undefined) {
+        window.Storm = {};
+    }
+
+    if (Storm.inspector === undefined)
+        Storm.inspector = {};
+
+    Storm.inspector.attributeValues = {};
+
+    Storm.inspector.attributeValues.PREFIX = 'json:';
+
+    Storm.inspector.attributeValues.isEnabled = function ($element) {
+        return $element.closest('[data-inspector-typed-values]').length > 0
+    };
+
+    Storm.inspector.attributeValues.isTyped = function (attributeValue) {
+        return typeof attributeValue == 'string'
+            && attributeValue.substring(0, Storm.inspector.attributeValues.PREFIX.length) === Storm.inspector.attributeValues.PREFIX
+    };
+
+    Storm.inspector.attributeValues.encode = function (value) {
+        if (typeof value == 'string' && !Storm.inspector.attributeValues.isTyped(value)) {
+            return value
+        }
+
+        // Strings starting with the prefix are encoded as JSON too
+        return Storm.inspector.attributeValues.PREFIX + JSON.stringify(value)
+    };
+
+    /*
+     * Decodes an attribute value. The property definition is used for
+     * converting values without the type marker and is optional.
+     */
+    Storm.inspector.attributeValues.decode = function (attributeValue, propertyDefinition) {
+        if (!Storm.inspector.attributeValues.isTyped(attributeValue)) {
+            return convertLegacyValue(attributeValue, propertyDefinition)
+        }
+
+        try {
+            return $.parseJSON(attributeValue.substring(Storm.inspector.attributeValues.PREFIX.length))
+        }
+        catch (err) {
+            // A legacy string value could start with the prefix
+            return convertLegacyValue(attributeValue, propertyDefinition)
+        }
+    };
+
+    //
+    // Internal functions
+    //
+
+    var complexTypes = ['set', 'stringList', 'stringListAutocomplete', 'objectList', 'object', 'dictionary'];
+
+    function convertLegacyValue(value, propertyDefinition) {
+        if (!propertyDefinition) {
+            return value
+        }
+
+        if (propertyDefinition.type === 'number' && /^\-?[0-9]*\.?[0-9]+$/.test($.trim(value))) {
+            return parseFloat(value)
+        }
+
+        if ($.inArray(propertyDefinition.type, complexTypes) !== -1 && /^\s*[\[\{]/.test(value)) {
+            // Editors of these types expect complex data, so a string
+            // looking like a JSON array or object is considered JSON.
+            try {
+                return $.parseJSON(value)
+            }
+            catch (err) {
+                return value
+            }
+        }
+
+        return value
+    }
+
+}(window.jQuery);
\ No newline at end of file
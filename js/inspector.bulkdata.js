@@ -0,0 +1,210 @@
+/*
+ * Parsing and formatting of bulk data for Inspector editors.
+ *
+ * Supported formats:
+ * - lines - a value per line
+ * - csv - comma-separated values, values can be enclosed in double quotes
+ * - tsv - tab-separated values
+ * - json - JSON arrays and objects
+ *
+ * The list editors (stringList, dictionary and objectList) use these
+ * functions for importing and exporting their values, see
+ * inspector.bulkdatapopup.js.
+ */
++function ($) {
+    "use strict";
+
+    // NAMESPACES
+    // ============================
+
+    if (window.Storm === undefined) {
+        window.Storm = {};
+    }
+
+    if (Storm.inspector === undefined)
+        Storm.inspector = {};
+
+    Storm.inspector.bulkData = {
+        getFormatTitle: function (format) {
+            return Storm.inspector.lang.get('bulk.format_' + format)
+        },
+
+        /*
+         * Guesses the format of the text. The first format from the list
+         * of allowed formats is returned if the format cannot be detected.
+         */
+        detectFormat: function (text, formats) {
+            var trimmed = $.trim(text),
+                detected = null;
+
+            if (/^[\[\{]/.test(trimmed)) {
+                detected = 'json'
+            }
+            else if (trimmed.indexOf('\t') !== -1) {
+                detected = 'tsv'
+            }
+            else if (trimmed.indexOf(',') !== -1) {
+                detected = 'csv'
+            }
+            else {
+                detected = 'lines'
+            }
+
+            return $.inArray(detected, formats) !== -1 ? detected : formats[0]
+        },
+
+        /*
+         * Returns non-empty trimmed lines of the text.
+         */
+        parseLines: function (text) {
+            var lines = String(text).replace(/\r\n?/g, '\n').split('\n'),
+                result = [];
+
+            for (var i = 0, len = lines.length; i < len; i++) {
+                var line = $.trim(lines[i]);
+
+                if (line.length > 0) {
+                    result.push(line)
+                }
+            }
+
+            return result
+        },
+
+        formatLines: function (values) {
+            return values.join('\n')
+        },
+
+        /*
+         * Parses CSV or TSV text to an array of rows. Each row is an array of strings.
+         * Empty lines are skipped.
+         */
+        parseDelimited: function (text, format) {
+            var delimiter = getDelimiter(format),
+                rows = [],
+                row = [],
+                cell = '',
+                quoted = false,
+                cellQuoted = false;
+
+            text = String(text).replace(/\r\n?/g, '\n');
+
+            for (var i = 0, len = text.length; i < len; i++) {
+                var character = text.charAt(i);
+
+                if (quoted) {
+                    if (character === '"' && text.charAt(i + 1) === '"') {
+                        cell += '"';
+                        i++
+                    }
+                    else if (character === '"') {
+                        quoted = false
+                    }
+                    else {
+                        cell += character
+                    }
+                }
+                else if (character === '"' && $.trim(cell).length === 0) {
+                    quoted = true;
+                    cellQuoted = true;
+                    cell = ''
+                }
+                else if (character === delimiter) {
+                    row.push(cellQuoted ? cell : $.trim(cell));
+                    cell = '';
+                    cellQuoted = false
+                }
+                else if (character === '\n') {
+                    row.push(cellQuoted ? cell : $.trim(cell));
+                    addRow(rows, row);
+                    row = [];
+                    cell = '';
+                    cellQuoted = false
+                }
+                else {
+                    cell += character
+                }
+            }
+
+            if (quoted) {
+                throw new Error(Storm.inspector.lang.get('bulk.unclosed_quote', {format: format.toUpperCase()}))
+            }
+
+            row.push(cellQuoted ? cell : $.trim(cell));
+            addRow(rows, row);
+
+            return rows
+        },
+
+        formatDelimited: function (rows, format) {
+            var delimiter = getDelimiter(format),
+                lines = [];
+
+            for (var i = 0, len = rows.length; i < len; i++) {
+                var cells = [];
+
+                for (var j = 0, cellsLen = rows[i].length; j < cellsLen; j++) {
+                    cells.push(quoteCell(rows[i][j], delimiter))
+                }
+
+                lines.push(cells.join(delimiter))
+            }
+
+            return lines.join('\n')
+        },
+
+        parseJson: function (text) {
+            try {
+                return $.parseJSON(text)
+            }
+            catch (err) {
+                throw new Error(Storm.inspector.lang.get('bulk.json_invalid'))
+            }
+        },
+
+        formatJson: function (value) {
+            return JSON.stringify(value, null, 4)
+        },
+
+        /*
+         * Converts a scalar or complex value to a string for the CSV and TSV formats.
+         */
+        valueToCell: function (value) {
+            if (value === undefined || value === null) {
+                return ''
+            }
+
+            if (typeof value == 'object') {
+                return JSON.stringify(value)
+            }
+
+            return String(value)
+        }
+    };
+
+    //
+    // Internal functions
+    //
+
+    function getDelimiter(format) {
+        return format === 'tsv' ? '\t' : ','
+    }
+
+    function addRow(rows, row) {
+        if (row.length === 1 && row[0].length === 0) {
+            return
+        }
+
+        rows.push(row)
+    }
+
+    function quoteCell(value, delimiter) {
+        value = Storm.inspector.bulkData.valueToCell(value);
+
+        if (value.indexOf(delimiter) === -1 && value.indexOf('"') === -1 && value.indexOf('\n') === -1) {
+            return value
+        }
+
+        return '"' + value.replace(/"/g, '""') + '"'
+    }
+}(window.jQuery);
\ No newline at end of file
@@ -0,0 +1,248 @@
+/*
+ * Inspector bulk data popup.
+ *
+ * Allows to paste data for importing to a list editor, or to copy the
+ * editor value exported in one of the bulk data formats. Options:
+ * - title - the popup title
+ * - mode - import or export
+ * - formats - array of supported formats, see inspector.bulkdata.js
+ * - onImport - function (text, format) called in the import mode.
+ *   The function should return false if the data cannot be imported,
+ *   the popup stays open in this case.
+ * - onExport - function (format) returning the exported text in the export mode.
+ */
++function ($) {
+    "use strict";
+
+    // CLASS DEFINITION
+    // ============================
+
+    var Base = Storm.foundation.base,
+        BaseProto = Base.prototype;
+
+    var BulkDataPopup = function (options) {
+        this.options = $.extend({}, BulkDataPopup.DEFAULTS, typeof options == 'object' && options);
+        this.$trigger = null;
+        this.popup = null;
+
+        Base.call(this);
+
+        this.show()
+    };
+
+    BulkDataPopup.prototype = Object.create(BaseProto);
+    BulkDataPopup.prototype.constructor = Base;
+
+    BulkDataPopup.prototype.dispose = function () {
+        this.unregisterHandlers();
+
+        this.options = null;
+        this.$trigger = null;
+        this.popup = null;
+
+        BaseProto.dispose.call(this)
+    };
+
+    BulkDataPopup.prototype.show = function () {
+        this.$trigger = $('<a />');
+
+        this.$trigger.on('shown.oc.popup', this.proxy(this.onPopupShown));
+        this.$trigger.on('hidden.oc.popup', this.proxy(this.onPopupHidden));
+
+        this.$trigger.popup({
+            content: this.buildContent()
+        })
+    };
+
+    BulkDataPopup.prototype.hide = function () {
+        this.$trigger.popup('hide')
+    };
+
+    BulkDataPopup.prototype.isImportMode = function () {
+        return this.options.mode === 'import'
+    };
+
+    BulkDataPopup.prototype.unregisterHandlers = function () {
+        if (this.popup) {
+            $(this.popup).off('.inspector')
+        }
+
+        if (this.$trigger) {
+            this.$trigger.off('shown.oc.popup', this.proxy(this.onPopupShown));
+            this.$trigger.off('hidden.oc.popup', this.proxy(this.onPopupHidden))
+        }
+    };
+
+    //
+    // Building
+    //
+
+    BulkDataPopup.prototype.buildContent = function () {
+        var lang = Storm.inspector.lang,
+            submitText = lang.get(this.isImportMode() ? 'bulk.import' : 'bulk.copy'),
+            comment = lang.get(this.isImportMode() ? 'bulk.import_comment' : 'bulk.export_comment');
+
+        return '<form>                                                                                          \
+                <div class="modal-header">                                                                      \
+                    <button type="button" class="close" data-dismiss="popup">&times;</button>                   \
+                    <h4 class="modal-title">' + Storm.inspector.helpers.escapeHtml(this.options.title) + '</h4>                         \
+                </div>                                                                                          \
+                <div class="modal-body inspector-bulk-data">                                                    \
+                    <p class="inspector-field-comment">' + comment + '</p>                                      \
+                    <div class="form-group">                                                                    \
+                        <select class="form-control custom-select" data-bulk-format>'
+                            + this.buildFormatOptions() +
+                        '</select>                                                                              \
+                    </div>                                                                                      \
+                    <div class="form-group">                                                                    \
+                        <textarea class="form-control field-textarea size-large" data-bulk-text></textarea>     \
+                    </div>                                                                                      \
+                </div>                                                                                          \
+                <div class="modal-footer">                                                                      \
+                    <button type="submit" class="btn btn-primary">' + submitText + '</button>                   \
+                    <button type="button" class="btn btn-default" data-dismiss="popup">' + lang.get('popup.cancel') + '</button> \
+                </div>                                                                                          \
+                </form>'
+    };
+
+    BulkDataPopup.prototype.buildFormatOptions = function () {
+        var result = '',
+            formats = this.options.formats;
+
+        if (this.isImportMode()) {
+            result += '<option value="">' + Storm.inspector.helpers.escapeHtml(Storm.inspector.lang.get('bulk.detect_format')) + '</option>'
+        }
+
+        for (var i = 0, len = formats.length; i < len; i++) {
+            result += '<option value="' + formats[i] + '">'
+                + Storm.inspector.helpers.escapeHtml(Storm.inspector.bulkData.getFormatTitle(formats[i]))
+                + '</option>'
+        }
+
+        return result
+    };
+
+    BulkDataPopup.prototype.getTextarea = function () {
+        return this.popup.querySelector('textarea[data-bulk-text]')
+    };
+
+    BulkDataPopup.prototype.getFormat = function () {
+        var format = this.popup.querySelector('select[data-bulk-format]').value;
+
+        if (!format) {
+            format = Storm.inspector.bulkData.detectFormat(this.getTextarea().value, this.options.formats)
+        }
+
+        return format
+    };
+
+    BulkDataPopup.prototype.updateExportedText = function () {
+        var textarea = this.getTextarea();
+
+        textarea.value = this.options.onExport(this.getFormat());
+        textarea.select()
+    };
+
+    //
+    // Actions
+    //
+
+    BulkDataPopup.prototype.importData = function () {
+        var text = this.getTextarea().value;
+
+        if ($.trim(text).length === 0) {
+            Storm.flashMsg({text: Storm.inspector.lang.get('bulk.empty'), 'class': 'error', 'interval': 3});
+            return
+        }
+
+        var result;
+
+        try {
+            result = this.options.onImport(text, this.getFormat())
+        }
+        catch (err) {
+            // Error messages are plain text and could include the pasted data
+            Storm.flashMsg({text: Storm.inspector.helpers.escapeHtml(err.message), 'class': 'error', 'interval': 5});
+            return
+        }
+
+        if (result !== false) {
+            this.hide()
+        }
+    };
+
+    BulkDataPopup.prototype.copyData = function () {
+        var textarea = this.getTextarea(),
+            copied = false;
+
+        textarea.select();
+
+        try {
+            copied = document.execCommand('copy')
+        }
+        catch (err) {
+        }
+
+        if (!copied) {
+            Storm.flashMsg({text: Storm.inspector.lang.get('bulk.copy_failed'), 'class': 'error', 'interval': 5});
+            return
+        }
+
+        this.hide()
+    };
+
+    //
+    // Event handlers
+    //
+
+    BulkDataPopup.prototype.onPopupShown = function (ev, $trigger, $popup) {
+        this.popup = $popup.get(0);
+
+        $(this.popup).on('submit.inspector', 'form', this.proxy(this.onSubmit));
+        $(this.popup).on('change.inspector', 'select[data-bulk-format]', this.proxy(this.onFormatChange));
+
+        if (this.isImportMode()) {
+            this.getTextarea().focus()
+        }
+        else {
+            this.updateExportedText()
+        }
+    };
+
+    BulkDataPopup.prototype.onPopupHidden = function () {
+        this.dispose()
+    };
+
+    BulkDataPopup.prototype.onFormatChange = function () {
+        if (!this.isImportMode()) {
+            this.updateExportedText()
+        }
+    };
+
+    BulkDataPopup.prototype.onSubmit = function (ev) {
+        ev.preventDefault();
+
+        if (this.isImportMode()) {
+            this.importData()
+        }
+        else {
+            this.copyData()
+        }
+
+        return false
+    };
+
+    //
+    // Internal functions
+    //
+
+    BulkDataPopup.DEFAULTS = {
+        title: null,
+        mode: 'import',
+        formats: ['lines', 'csv', 'tsv', 'json'],
+        onImport: null,
+        onExport: null
+    };
+
+    Storm.inspector.bulkDataPopup = BulkDataPopup
+}(window.jQuery);
\ No newline at end of file
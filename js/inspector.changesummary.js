@@ -0,0 +1,223 @@
+/*
+ * Inspector change summary popup.
+ *
+ * Displays changes of the Inspector surface values and allows
+ * to revert individual properties before the values are applied.
+ */
++function ($) {
+    "use strict";
+
+    // CLASS DEFINITION
+    // ============================
+
+    var Base = Storm.foundation.base,
+        BaseProto = Base.prototype;
+
+    var ChangeSummary = function (surface, properties, onConfirm) {
+        this.surface = surface;
+        this.properties = properties;
+        this.onConfirm = onConfirm;
+        this.$trigger = null;
+        this.popup = null;
+        this.confirmed = false;
+
+        Base.call(this);
+
+        this.show()
+    };
+
+    ChangeSummary.prototype = Object.create(BaseProto);
+    ChangeSummary.prototype.constructor = Base;
+
+    ChangeSummary.prototype.dispose = function () {
+        this.unregisterHandlers();
+
+        this.surface = null;
+        this.properties = null;
+        this.onConfirm = null;
+        this.$trigger = null;
+        this.popup = null;
+
+        BaseProto.dispose.call(this)
+    };
+
+    ChangeSummary.prototype.show = function () {
+        this.$trigger = $('<a />');
+
+        this.$trigger.on('shown.oc.popup', this.proxy(this.onPopupShown));
+        this.$trigger.on('hidden.oc.popup', this.proxy(this.onPopupHidden));
+
+        this.$trigger.popup({
+            content: this.buildContent(this.getChanges()),
+            size: 'large'
+        })
+    };
+
+    ChangeSummary.prototype.hide = function () {
+        this.$trigger.popup('hide')
+    };
+
+    ChangeSummary.prototype.getChanges = function () {
+        return this.surface.getChanges(undefined, this.properties)
+    };
+
+    ChangeSummary.prototype.unregisterHandlers = function () {
+        if (this.popup) {
+            $(this.popup).off('.inspector')
+        }
+
+        if (this.$trigger) {
+            this.$trigger.off('shown.oc.popup', this.proxy(this.onPopupShown));
+            this.$trigger.off('hidden.oc.popup', this.proxy(this.onPopupHidden))
+        }
+    };
+
+    //
+    // Building
+    //
+
+    ChangeSummary.prototype.buildContent = function (changes) {
+        var lang = Storm.inspector.lang;
+
+        return '<form>                                                                                          \
+                <div class="modal-header">                                                                      \
+                    <button type="button" class="close" data-dismiss="popup">&times;</button>                   \
+                    <h4 class="modal-title">' + lang.get('changes.title') + '</h4>                              \
+                </div>                                                                                          \
+                <div class="modal-body">                                                                        \
+                    <table class="table inspector-change-summary">                                              \
+                        <thead>                                                                                 \
+                            <tr>                                                                                \
+                                <th>' + lang.get('changes.property') + '</th>                                   \
+                                <th>' + lang.get('changes.old_value') + '</th>                                  \
+                                <th>' + lang.get('changes.new_value') + '</th>                                  \
+                                <th></th>                                                                       \
+                            </tr>                                                                               \
+                        </thead>                                                                                \
+                        <tbody>' + this.buildRows(changes) + '</tbody>                                          \
+                    </table>                                                                                    \
+                </div>                                                                                          \
+                <div class="modal-footer">                                                                      \
+                    <button type="submit" class="btn btn-primary">' + lang.get('changes.apply') + '</button>   \
+                    <button type="button" class="btn btn-default" data-dismiss="popup">' + lang.get('popup.cancel') + '</button> \
+                </div>                                                                                          \
+                </form>'
+    };
+
+    ChangeSummary.prototype.buildRows = function (changes) {
+        if (changes.length === 0) {
+            return this.buildEmptyRow()
+        }
+
+        var result = '';
+
+        for (var i = 0, len = changes.length; i < len; i++) {
+            var change = changes[i],
+                property = Storm.inspector.helpers.escapeHtml(change.property);
+
+            result += '<tr data-change-property="' + property + '">'
+                + '<td>' + Storm.inspector.helpers.escapeHtml(change.title) + '</td>'
+                + '<td class="old-value">' + formatValue(change.oldValue) + '</td>'
+                + '<td class="new-value">' + formatValue(change.newValue) + '</td>'
+                + '<td class="revert"><button type="button" class="btn btn-default btn-sm" data-revert-property="' + property + '">' + Storm.inspector.lang.get('changes.revert') + '</button></td>'
+                + '</tr>';
+
+            // Display the nested changes for object lists, dictionaries and objects
+            for (var j = 0, changesLen = change.changes.length; j < changesLen; j++) {
+                var nestedChange = change.changes[j];
+
+                if (nestedChange.path === change.property) {
+                    continue
+                }
+
+                result += '<tr class="nested-change" data-change-property="' + property + '">'
+                    + '<td>' + Storm.inspector.helpers.escapeHtml(nestedChange.path) + '</td>'
+                    + '<td class="old-value">' + formatValue(nestedChange.oldValue) + '</td>'
+                    + '<td class="new-value">' + formatValue(nestedChange.newValue) + '</td>'
+                    + '<td></td>'
+                    + '</tr>'
+            }
+        }
+
+        return result
+    };
+
+    ChangeSummary.prototype.buildEmptyRow = function () {
+        return '<tr class="no-changes"><td colspan="4">' + Storm.inspector.helpers.escapeHtml(Storm.inspector.lang.get('changes.none')) + '</td></tr>'
+    };
+
+    //
+    // Event handlers
+    //
+
+    ChangeSummary.prototype.onPopupShown = function (ev, $trigger, $popup) {
+        this.popup = $popup.get(0);
+
+        $(this.popup).on('submit.inspector', 'form', this.proxy(this.onSubmit));
+        $(this.popup).on('click.inspector', '[data-revert-property]', this.proxy(this.onRevertClick))
+    };
+
+    ChangeSummary.prototype.onPopupHidden = function () {
+        var onConfirm = this.onConfirm,
+            confirmed = this.confirmed;
+
+        this.dispose();
+
+        if (confirmed) {
+            onConfirm()
+        }
+    };
+
+    ChangeSummary.prototype.onSubmit = function (ev) {
+        ev.preventDefault();
+
+        this.confirmed = true;
+        this.hide();
+
+        return false
+    };
+
+    ChangeSummary.prototype.onRevertClick = function (ev) {
+        var property = $(ev.currentTarget).attr('data-revert-property'),
+            value = this.surface.originalValues[property],
+            $tbody = $(ev.currentTarget).closest('tbody');
+
+        if ($.isArray(value) || $.isPlainObject(value)) {
+            value = $.extend(true, $.isArray(value) ? [] : {}, value)
+        }
+
+        this.surface.setPropertyValue(property, value, false, true);
+
+        $tbody.find('tr').filter(function () {
+            return this.getAttribute('data-change-property') === property
+        }).remove();
+
+        if ($tbody.children().length === 0) {
+            $tbody.html(this.buildEmptyRow())
+        }
+    };
+
+    //
+    // Internal functions
+    //
+
+    function formatValue(value) {
+        if (value === undefined || value === null || value === '') {
+            return '<span class="empty-value">' + Storm.inspector.helpers.escapeHtml(Storm.inspector.lang.get('changes.empty_value')) + '</span>'
+        }
+
+        if (typeof value == 'object') {
+            value = JSON.stringify(value)
+        }
+
+        value = String(value);
+
+        if (value.length > 100) {
+            value = value.substring(0, 100) + '...'
+        }
+
+        return Storm.inspector.helpers.escapeHtml(value)
+    }
+
+    Storm.inspector.changeSummary = ChangeSummary
+}(window.jQuery);
\ No newline at end of file
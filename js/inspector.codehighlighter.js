@@ -0,0 +1,163 @@
+/*
+ * Syntax highlighter for the Inspector code editor.
+ *
+ * Converts source code to HTML with the tokens wrapped in
+ * span elements with the token-{type} classes:
+ *
+ * Storm.inspector.codeHighlighter.highlight('{"a": 1}', 'json')
+ *
+ * Supported languages: json, javascript, css, html, markdown and plain.
+ * Languages are defined as ordered lists of token rules. The rule patterns
+ * should not contain capturing groups. Tokens of a rule can be highlighted
+ * with another language defined in the inside element. New languages can
+ * be added to the Storm.inspector.codeHighlighter.languages object.
+ */
++function ($) {
+    "use strict";
+
+    // NAMESPACES
+    // ============================
+
+    if (window.Storm === undefined) {
+        window.Storm = {};
+    }
+
+    if (Storm.inspector === undefined)
+        Storm.inspector = {};
+
+    var stringPattern = /"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'/,
+        numberPattern = /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/;
+
+    Storm.inspector.codeHighlighter = {
+        languages: {
+            plain: [],
+
+            json: [
+                {type: 'property', pattern: /"(?:[^"\\\n]|\\.)*"(?=\s*:)/},
+                {type: 'string', pattern: /"(?:[^"\\\n]|\\.)*"/},
+                {type: 'number', pattern: numberPattern},
+                {type: 'keyword', pattern: /\b(?:true|false|null)\b/},
+                {type: 'punctuation', pattern: /[{}\[\],:]/}
+            ],
+
+            javascript: [
+                {type: 'comment', pattern: /\/\/[^\n]*|\/\*[\s\S]*?\*\//},
+                {type: 'string', pattern: /"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'|`(?:[^`\\]|\\[\s\S])*`/},
+                {type: 'keyword', pattern: /\b(?:var|let|const|function|return|if|else|for|while|do|switch|case|break|continue|new|delete|typeof|instanceof|in|of|this|null|undefined|true|false|try|catch|finally|throw|class|extends|import|export|default)\b/},
+                {type: 'number', pattern: numberPattern},
+                {type: 'punctuation', pattern: /[{}\[\]();,.]/}
+            ],
+
+            css: [
+                {type: 'comment', pattern: /\/\*[\s\S]*?\*\//},
+                {type: 'string', pattern: stringPattern},
+                {type: 'keyword', pattern: /@[\w-]+|!important\b/},
+                {type: 'property', pattern: /[\w-]+(?=\s*:(?!:))/},
+                {type: 'number', pattern: /#[0-9a-fA-F]{3,8}\b|-?\b\d+(?:\.\d+)?(?:px|em|rem|%|vh|vw|s|ms|deg)?/},
+                {type: 'punctuation', pattern: /[{}();,:]/}
+            ],
+
+            html: [
+                {type: 'comment', pattern: /<!--[\s\S]*?(?:-->|$)/},
+                {type: 'tag', pattern: /<\/?[A-Za-z][\w:-]*(?:\s+[^<>]*)?\/?>?/, inside: 'htmltag'},
+                {type: 'entity', pattern: /&(?:[A-Za-z]+|#\d+|#x[0-9a-fA-F]+);/}
+            ],
+
+            htmltag: [
+                {type: 'string', pattern: stringPattern},
+                {type: 'attribute', pattern: /\s[\w:-]+(?=\s*=|\s|\/?>|$)/},
+                {type: 'punctuation', pattern: /<\/?|\/?>|=/}
+            ],
+
+            markdown: [
+                {type: 'code', pattern: /^```[\s\S]*?(?:^```|(?![\s\S]))/m},
+                {type: 'heading', pattern: /^#{1,6}[ \t][^\n]*/m},
+                {type: 'comment', pattern: /^>[^\n]*/m},
+                {type: 'punctuation', pattern: /^[ \t]*(?:[-*+]|\d+\.)(?=[ \t])|^(?:-{3,}|\*{3,})[ \t]*$/m},
+                {type: 'code', pattern: /`[^`\n]+`/},
+                {type: 'link', pattern: /!?\[[^\]\n]*\]\([^)\n]*\)/},
+                {type: 'bold', pattern: /\*\*[^*\n]+\*\*|__[^_\n]+__/},
+                {type: 'italic', pattern: /\*[^*\n]+\*|\b_[^_\n]+_\b/}
+            ]
+        },
+
+        hasLanguage: function (language) {
+            return Storm.inspector.codeHighlighter.languages[language] !== undefined
+        },
+
+        /*
+         * Returns the HTML markup of the highlighted code. Unknown
+         * languages are displayed as plain text.
+         */
+        highlight: function (code, language) {
+            var rules = Storm.inspector.codeHighlighter.languages[language];
+
+            if (rules === undefined || rules.length === 0) {
+                return Storm.inspector.helpers.escapeHtml(code)
+            }
+
+            var pattern = buildPattern(rules),
+                result = '',
+                position = 0,
+                match;
+
+            while ((match = pattern.exec(code)) !== null) {
+                if (match[0].length === 0) {
+                    pattern.lastIndex++;
+                    continue
+                }
+
+                var rule = findMatchedRule(rules, match);
+
+                result += Storm.inspector.helpers.escapeHtml(code.substring(position, match.index));
+                result += '<span class="token-' + rule.type + '">'
+                    + (rule.inside !== undefined
+                        ? Storm.inspector.codeHighlighter.highlight(match[0], rule.inside)
+                        : Storm.inspector.helpers.escapeHtml(match[0]))
+                    + '</span>';
+
+                position = match.index + match[0].length
+            }
+
+            return result + Storm.inspector.helpers.escapeHtml(code.substring(position))
+        }
+    };
+
+    //
+    // Internal functions
+    //
+
+    var patternCache = {};
+
+    function buildPattern(rules) {
+        var sources = [],
+            flags = 'g';
+
+        for (var i = 0, len = rules.length; i < len; i++) {
+            sources.push('(' + rules[i].pattern.source + ')');
+
+            if (rules[i].pattern.multiline) {
+                flags = 'gm'
+            }
+        }
+
+        var source = sources.join('|');
+
+        if (patternCache[flags + source] === undefined) {
+            patternCache[flags + source] = new RegExp(source, flags)
+        }
+
+        var pattern = patternCache[flags + source];
+        pattern.lastIndex = 0;
+
+        return pattern
+    }
+
+    function findMatchedRule(rules, match) {
+        for (var i = 0, len = rules.length; i < len; i++) {
+            if (match[i + 1] !== undefined) {
+                return rules[i]
+            }
+        }
+    }
+}(window.jQuery);
\ No newline at end of file
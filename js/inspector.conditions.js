@@ -0,0 +1,126 @@
+/*
+ * Inspector conditional visibility support.
+ *
+ * Evaluates visibleIf and disabledIf conditions of property definitions.
+ * Supported condition formats:
+ *
+ * {"property": "name", "equals": "value"}
+ * {"property": "name", "in": ["value1", "value2"]}
+ * {"property": "name", "empty": true}
+ * {"not": {condition}}
+ * {"and": [{condition}, {condition}]}
+ * {"or": [{condition}, {condition}]}
+ */
++function ($) {
+    "use strict";
+
+    // NAMESPACES
+    // ============================
+
+    if (window.Storm === undefined) {
+        window.Storm = {};
+    }
+
+    if (Storm.inspector === undefined)
+        Storm.inspector = {};
+
+    Storm.inspector.conditions = {};
+
+    /*
+     * Evaluates a condition. The getValue argument is a function
+     * that returns a property value by the property name.
+     */
+    Storm.inspector.conditions.evaluate = function (condition, getValue) {
+        if (typeof condition != 'object' || condition === null) {
+            throw new Error('Inspector property condition should be an object.')
+        }
+
+        if (condition.and !== undefined) {
+            return evaluateList(condition.and, getValue, true)
+        }
+
+        if (condition.or !== undefined) {
+            return evaluateList(condition.or, getValue, false)
+        }
+
+        if (condition.not !== undefined) {
+            return !Storm.inspector.conditions.evaluate(condition.not, getValue)
+        }
+
+        if (condition.property === undefined) {
+            throw new Error('The property name is not specified in the Inspector property condition.')
+        }
+
+        var value = getValue(condition.property);
+
+        if (condition.equals !== undefined) {
+            return compareValues(value, condition.equals)
+        }
+
+        if (condition['in'] !== undefined) {
+            if (!$.isArray(condition['in'])) {
+                throw new Error('The "in" operator of the Inspector property condition requires an array.')
+            }
+
+            for (var i = 0, len = condition['in'].length; i < len; i++) {
+                if (compareValues(value, condition['in'][i])) {
+                    return true
+                }
+            }
+
+            return false
+        }
+
+        if (condition.empty !== undefined) {
+            var isEmpty = Storm.inspector.conditions.isEmptyValue(value);
+
+            return (condition.empty === true || condition.empty === 'true') ? isEmpty : !isEmpty
+        }
+
+        throw new Error('Unknown operator in the Inspector condition for the property ' + condition.property)
+    };
+
+    Storm.inspector.conditions.isEmptyValue = function (value) {
+        return value === undefined
+            || value === null
+            || value === false
+            || (typeof value == 'object' && $.isEmptyObject(value))
+            || (typeof value == 'string' && $.trim(value).length === 0)
+            || ($.isArray(value) && value.length === 0)
+    };
+
+    //
+    // Internal functions
+    //
+
+    function evaluateList(conditions, getValue, requireAll) {
+        if (!$.isArray(conditions)) {
+            throw new Error('The "and" and "or" operators of the Inspector property condition require an array.')
+        }
+
+        for (var i = 0, len = conditions.length; i < len; i++) {
+            var result = Storm.inspector.conditions.evaluate(conditions[i], getValue);
+
+            if (requireAll && !result) {
+                return false
+            }
+
+            if (!requireAll && result) {
+                return true
+            }
+        }
+
+        return requireAll
+    }
+
+    function compareValues(value, expected) {
+        if (typeof value == 'object' && value !== null) {
+            return JSON.stringify(value) == JSON.stringify(expected)
+        }
+
+        // Checkbox values can be stored as Booleans or as strings "1" and "0",
+        // so the comparison is not strict.
+        return value == expected
+    }
+
+}(window.jQuery);
\ No newline at end of file
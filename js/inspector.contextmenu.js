@@ -0,0 +1,364 @@
+/*
+ * Inspector row context menu.
+ *
+ * The menu is displayed when a row is right-clicked or when the context
+ * menu key or Shift+F10 is pressed in an editor. The menu allows to copy
+ * and paste property values, reset properties to their default values,
+ * and copy and paste all values of the surface.
+ *
+ * Values are copied to the Inspector clipboard, which is shared by all
+ * Inspectors on the page. Values of individual properties can be pasted
+ * to properties with a compatible editor type, see the
+ * BaseEditor.getClipboardType() method. All values can be pasted to
+ * Inspectors of the same class.
+ */
++function ($) {
+    "use strict";
+
+    // NAMESPACES
+    // ============================
+
+    if (Storm.inspector === undefined)
+        Storm.inspector = {};
+
+    // CLIPBOARD
+    // ============================
+
+    var clipboardEntry = null;
+
+    Storm.inspector.clipboard = {
+        /*
+         * Saves an entry in the clipboard. Entries have the kind element (property or surface),
+         * the value element, and the type or inspectorClass element, depending on the kind.
+         */
+        set: function (entry) {
+            clipboardEntry = $.extend(true, {}, entry);
+
+            // Also copy the value to the system clipboard, if it's available
+            if (window.navigator && navigator.clipboard && navigator.clipboard.writeText) {
+                var text = typeof entry.value == 'string' ? entry.value : JSON.stringify(entry.value);
+
+                navigator.clipboard.writeText(text).then(null, function () {})
+            }
+        },
+
+        get: function () {
+            return clipboardEntry !== null ? $.extend(true, {}, clipboardEntry) : null
+        },
+
+        clear: function () {
+            clipboardEntry = null
+        }
+    };
+
+    // CLASS DEFINITION
+    // ============================
+
+    var Base = Storm.foundation.base,
+        BaseProto = Base.prototype;
+
+    var ContextMenu = function (surface) {
+        this.surface = surface;
+        this.menu = null;
+        this.editor = null;
+
+        Base.call(this)
+    };
+
+    ContextMenu.prototype = Object.create(BaseProto);
+    ContextMenu.prototype.constructor = Base;
+
+    ContextMenu.prototype.dispose = function () {
+        this.hide();
+
+        this.surface = null;
+
+        BaseProto.dispose.call(this)
+    };
+
+    /*
+     * Displays the menu for a row. The position argument is an object
+     * with the left and top elements. If it's omitted, the menu is
+     * displayed below the row title.
+     */
+    ContextMenu.prototype.show = function (row, position) {
+        this.hide();
+
+        this.editor = this.findRowEditor(row);
+        this.menu = this.buildMenu();
+
+        document.body.appendChild(this.menu);
+
+        if (!position) {
+            var $head = $(row).find('> th'),
+                offset = $head.offset();
+
+            position = {
+                left: offset.left + 10,
+                top: offset.top + $head.outerHeight()
+            }
+        }
+
+        this.menu.style.left = position.left + 'px';
+        this.menu.style.top = position.top + 'px';
+
+        this.registerHandlers();
+        this.surface.popupDisplayed();
+        this.focusItem(0)
+    };
+
+    ContextMenu.prototype.hide = function () {
+        if (this.menu === null) {
+            return
+        }
+
+        this.unregisterHandlers();
+        this.menu.parentNode.removeChild(this.menu);
+
+        this.menu = null;
+        this.editor = null;
+
+        this.surface.popupHidden()
+    };
+
+    ContextMenu.prototype.isVisible = function () {
+        return this.menu !== null
+    };
+
+    ContextMenu.prototype.findRowEditor = function (row) {
+        return this.surface.findRowEditor(row)
+    };
+
+    //
+    // Building
+    //
+
+    ContextMenu.prototype.buildMenu = function () {
+        var menu = document.createElement('ul'),
+            editor = this.editor,
+            clipboard = Storm.inspector.clipboard.get(),
+            editable = editor !== null && !this.isEditorDisabled(editor);
+
+        menu.setAttribute('class', 'dropdown-menu inspector-context-menu');
+        menu.setAttribute('role', 'menu');
+
+        if (editor !== null) {
+            this.buildItem(menu, 'copy', Storm.inspector.lang.get('contextmenu.copy'), true);
+            this.buildItem(menu, 'paste', Storm.inspector.lang.get('contextmenu.paste'), editable && this.canPaste(editor, clipboard));
+            this.buildItem(menu, 'reset', Storm.inspector.lang.get('contextmenu.reset'), editable);
+            this.buildDivider(menu)
+        }
+
+        this.buildItem(menu, 'copy-all', Storm.inspector.lang.get('contextmenu.copy_all'), true);
+        this.buildItem(menu, 'paste-all', Storm.inspector.lang.get('contextmenu.paste_all'), this.canPasteAll(clipboard));
+
+        return menu
+    };
+
+    ContextMenu.prototype.buildItem = function (menu, action, text, enabled) {
+        var item = document.createElement('li'),
+            link = document.createElement('a');
+
+        item.setAttribute('role', 'presentation');
+
+        link.setAttribute('href', 'javascript:;');
+        link.setAttribute('role', 'menuitem');
+        link.setAttribute('data-action', action);
+        link.textContent = text;
+
+        if (!enabled) {
+            item.setAttribute('class', 'disabled');
+            link.setAttribute('aria-disabled', 'true');
+            link.setAttribute('tabindex', '-1')
+        }
+
+        item.appendChild(link);
+        menu.appendChild(item)
+    };
+
+    ContextMenu.prototype.buildDivider = function (menu) {
+        var divider = document.createElement('li');
+
+        divider.setAttribute('role', 'separator');
+        divider.setAttribute('class', 'divider');
+
+        menu.appendChild(divider)
+    };
+
+    ContextMenu.prototype.getEnabledItems = function () {
+        return this.menu.querySelectorAll('li:not(.disabled) > a[data-action]')
+    };
+
+    ContextMenu.prototype.focusItem = function (index) {
+        var items = this.getEnabledItems();
+
+        if (items.length === 0) {
+            return
+        }
+
+        if (index < 0) {
+            index = items.length - 1
+        }
+
+        items[index % items.length].focus()
+    };
+
+    //
+    // Actions
+    //
+
+    ContextMenu.prototype.isEditorDisabled = function (editor) {
+        return Storm.foundation.element.hasClass(editor.containerRow, 'condition-disabled')
+    };
+
+    ContextMenu.prototype.canPaste = function (editor, clipboard) {
+        return clipboard !== null && clipboard.kind === 'property' && editor.canPasteValue(clipboard.type, clipboard.value)
+    };
+
+    /*
+     * All values can be pasted only between Inspectors of the same class,
+     * Inspectors without a class don't share a property list.
+     */
+    ContextMenu.prototype.canPasteAll = function (clipboard) {
+        var inspectorClass = this.getInspectorClass();
+
+        return clipboard !== null
+            && clipboard.kind === 'surface'
+            && inspectorClass !== null
+            && clipboard.inspectorClass === inspectorClass
+    };
+
+    ContextMenu.prototype.getInspectorClass = function () {
+        return this.surface.options.inspectorClass ? this.surface.options.inspectorClass : null
+    };
+
+    ContextMenu.prototype.runAction = function (action) {
+        var editor = this.editor,
+            clipboard = Storm.inspector.clipboard.get();
+
+        if (action == 'copy') {
+            Storm.inspector.clipboard.set({
+                kind: 'property',
+                type: editor.getClipboardType(),
+                value: this.getEditorValue(editor)
+            })
+        }
+        else if (action == 'paste' && this.canPaste(editor, clipboard)) {
+            editor.inspector.setPropertyValue(editor.getPropertyName(), clipboard.value, false, true)
+        }
+        else if (action == 'reset') {
+            editor.inspector.setPropertyValue(editor.getPropertyName(), Storm.inspector.helpers.cloneValue(editor.propertyDefinition['default']), false, true)
+        }
+        else if (action == 'copy-all') {
+            Storm.inspector.clipboard.set({
+                kind: 'surface',
+                inspectorClass: this.getInspectorClass(),
+                value: this.surface.getValues()
+            })
+        }
+        else if (action == 'paste-all' && this.canPasteAll(clipboard)) {
+            this.pasteAll(clipboard.value)
+        }
+    };
+
+    ContextMenu.prototype.getEditorValue = function (editor) {
+        var value = editor.inspector.getPropertyValue(editor.getPropertyName());
+
+        return value === undefined ? editor.getUndefinedValue() : value
+    };
+
+    ContextMenu.prototype.pasteAll = function (values) {
+        this.surface.beginHistoryBatch();
+
+        for (var property in values) {
+            var editor = this.surface.findPropertyEditor(property);
+
+            if (editor && !this.isEditorDisabled(editor)) {
+                this.surface.setPropertyValue(property, values[property], false, true)
+            }
+        }
+
+        this.surface.endHistoryBatch()
+    };
+
+    //
+    // Event handlers
+    //
+
+    ContextMenu.prototype.registerHandlers = function () {
+        $(this.menu).on('click', 'a[data-action]', this.proxy(this.onItemClick));
+        $(this.menu).on('keydown', this.proxy(this.onMenuKeyDown));
+        $(this.menu).on('contextmenu', this.proxy(this.onMenuContextMenu));
+        $(document).on('mousedown', this.proxy(this.onDocumentMouseDown));
+        $(window).on('resize', this.proxy(this.hide))
+    };
+
+    ContextMenu.prototype.unregisterHandlers = function () {
+        $(this.menu).off('click', 'a[data-action]', this.proxy(this.onItemClick));
+        $(this.menu).off('keydown', this.proxy(this.onMenuKeyDown));
+        $(this.menu).off('contextmenu', this.proxy(this.onMenuContextMenu));
+        $(document).off('mousedown', this.proxy(this.onDocumentMouseDown));
+        $(window).off('resize', this.proxy(this.hide))
+    };
+
+    ContextMenu.prototype.onItemClick = function (ev) {
+        // Stop the event, otherwise Inspector popovers
+        // would consider it as a click outside the popover.
+        Storm.foundation.event.stop(ev);
+
+        var link = ev.currentTarget,
+            editor = this.editor;
+
+        if (Storm.foundation.element.hasClass(link.parentNode, 'disabled')) {
+            return false
+        }
+
+        this.runAction(link.getAttribute('data-action'));
+        this.hide();
+
+        if (editor && !editor.isDisposed()) {
+            editor.focus()
+        }
+
+        return false
+    };
+
+    ContextMenu.prototype.onMenuKeyDown = function (ev) {
+        var items = Array.prototype.slice.call(this.getEnabledItems()),
+            index = $.inArray(document.activeElement, items);
+
+        if (ev.keyCode == 40) {
+            this.focusItem(index + 1)
+        }
+        else if (ev.keyCode == 38) {
+            this.focusItem(index - 1)
+        }
+        else if (ev.keyCode == 27 || ev.keyCode == 9) {
+            var editor = this.editor;
+
+            this.hide();
+
+            if (editor && !editor.isDisposed()) {
+                editor.focus()
+            }
+        }
+        else {
+            return
+        }
+
+        Storm.foundation.event.stop(ev);
+        return false
+    };
+
+    ContextMenu.prototype.onMenuContextMenu = function (ev) {
+        ev.preventDefault()
+    };
+
+    ContextMenu.prototype.onDocumentMouseDown = function (ev) {
+        if (!$.contains(this.menu, ev.target)) {
+            this.hide()
+        }
+    };
+
+    Storm.inspector.contextMenu = ContextMenu
+}(window.jQuery);
\ No newline at end of file
@@ -61,15 +61,18 @@
         }
 
         var values = {},
-            attributes = this.element.attributes;
+            attributes = this.element.attributes,
+            typedValues = Storm.inspector.attributeValues.isEnabled($(this.element));
 
         for (var i = 0, len = attributes.length; i < len; i++) {
             var attribute = attributes[i],
                 matches = [];
 
             if (matches = attribute.name.match(/^data-property-(.*)$/)) {
-                // Important - values contained in data-property-xxx attributes are
-                // considered strings and never parsed with JSON. The use of the
+                // Important - unless the typed values are enabled with the 
+                // data-inspector-typed-values attribute, values contained in
+                // data-property-xxx attributes are considered strings and never
+                // parsed with JSON. The use of the
                 // data-property-xxx attributes is very limited - they're only
                 // used in Pages for creating snippets from partials, where properties 
                 // are created with a table UI widget, which doesn't allow creating 
@@ -81,10 +84,14 @@
                 //
                 // One possible way to resolve it, if to check the property type loaded
                 // from the configuration and see if the corresponding editor expects
-                // complex data.
+                // complex data. The typed values use this approach for attributes
+                // written before the typed values were enabled.
 
-                var normalizedPropertyName = normalizePropertyCode(matches[1], configuration);
-                values[normalizedPropertyName] = attribute.value
+                var normalizedPropertyName = this.normalizePropertyCode(matches[1], configuration);
+
+                values[normalizedPropertyName] = typedValues
+                    ? Storm.inspector.attributeValues.decode(attribute.value, Storm.inspector.helpers.findPropertyDefinition(configuration, normalizedPropertyName))
+                    : attribute.value
             }
         }
 
@@ -96,12 +103,14 @@
             result = {
                 configuration: {},
                 title: null,
-                description: null
+                description: null,
+                rules: null
             },
             $element = $(this.element);
 
         result.title = $element.data('inspector-title');
         result.description = $element.data('inspector-description');
+        result.rules = $element.data('inspector-rules') || null;
 
         if (configurationField) {
             result.configuration = this.parseConfiguration(configurationField.value);
@@ -115,9 +124,7 @@
             self = this;
 
         Storm.stripeLoadIndicator.show();
-        $form.request('onGetInspectorConfiguration', {
-            data: data
-        }).done(function inspectorConfigurationRequestDoneClosure(data) {
+        Storm.inspector.dataProvider.request('configuration', data, $form).done(function inspectorConfigurationRequestDoneClosure(data) {
             self.configurartionRequestDone(data, onComplete, result)
         }).always(function () {
             Storm.stripeLoadIndicator.hide()
@@ -135,15 +142,18 @@
             }
 
             try {
-                return $.parseJSON(configuration)
+                configuration = $.parseJSON(configuration)
             }
             catch (err) {
                 throw new Error('Error parsing Inspector configuration. ' + err)
             }
         }
-        else {
-            return configuration
+
+        if (Storm.inspector.jsonSchema.isSchema(configuration)) {
+            return Storm.inspector.jsonSchema.convert(configuration)
         }
+
+        return configuration
     };
 
     DataInteraction.prototype.configurartionRequestDone = function (data, onComplete, result) {
@@ -157,6 +167,10 @@
             result.description = data.configuration.description
         }
 
+        if (data.configuration.rules !== undefined) {
+            result.rules = data.configuration.rules
+        }
+
         onComplete(result, this)
     };
 
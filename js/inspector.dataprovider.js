@@ -0,0 +1,182 @@
+/*
+ * Inspector data providers.
+ *
+ * Data providers supply the Inspector configuration, dynamic options and
+ * autocomplete items. By default the data is requested with the October
+ * AJAX framework ($form.request()), but applications can register their
+ * own providers:
+ *
+ * Storm.inspector.dataProvider.register('configuration', function (data, context) {
+ *     return fetchConfiguration(data)  // Returns a value or a promise
+ * })
+ *
+ * Storm.inspector.dataProvider.register('options', '/api/inspector/options')
+ *
+ * Supported provider types:
+ * - configuration - loads the Inspector configuration, replaces the onGetInspectorConfiguration handler.
+ * - options - loads dropdown and set options and autocomplete items, replaces the onInspectableGetOptions handler.
+ * - validation - validates values for the remote validator, replaces the onInspectableValidate handler.
+ * - media - lists files for the media editor, replaces the onInspectableGetMediaItems handler.
+ *
+ * A provider can be a function or a URL string. Functions receive the
+ * request data and the context object and should return the response data
+ * or a promise. URL providers post the request data as JSON with fetch().
+ */
++function ($) {
+    "use strict";
+
+    // NAMESPACES
+    // ============================
+
+    if (window.Storm === undefined) {
+        window.Storm = {};
+    }
+
+    if (Storm.inspector === undefined)
+        Storm.inspector = {};
+
+    var providers = {},
+        handlers = {
+            configuration: 'onGetInspectorConfiguration',
+            options: 'onInspectableGetOptions',
+            validation: 'onInspectableValidate',
+            media: 'onInspectableGetMediaItems'
+        };
+
+    Storm.inspector.dataProvider = {};
+
+    Storm.inspector.dataProvider.register = function (type, provider) {
+        if (handlers[type] === undefined) {
+            throw new Error('Unknown Inspector data provider type: ' + type)
+        }
+
+        if (typeof provider != 'function' && typeof provider != 'string') {
+            throw new Error('Inspector data provider should be a function or a URL string.')
+        }
+
+        providers[type] = provider
+    };
+
+    Storm.inspector.dataProvider.unregister = function (type) {
+        delete providers[type]
+    };
+
+    Storm.inspector.dataProvider.hasProvider = function (type) {
+        return providers[type] !== undefined
+    };
+
+    /*
+     * Requests data from the provider registered for the type. The $form
+     * argument is the form element used for the October AJAX request if no
+     * provider is registered. The optional handler argument overrides the
+     * default AJAX handler name. Returns a jQuery promise.
+     */
+    Storm.inspector.dataProvider.request = function (type, data, $form, handler) {
+        var provider = providers[type];
+
+        if (handlers[type] === undefined) {
+            throw new Error('Unknown Inspector data provider type: ' + type)
+        }
+
+        if (handler === undefined) {
+            handler = handlers[type]
+        }
+
+        if (provider === undefined) {
+            return requestFramework(handler, data, $form)
+        }
+
+        var deferred = $.Deferred(),
+            context = {
+                type: type,
+                handler: handler,
+                form: $form && $form.length ? $form.get(0) : null
+            },
+            result;
+
+        try {
+            result = typeof provider == 'function'
+                ? provider(data, context)
+                : requestUrl(provider, data)
+        }
+        catch (err) {
+            result = rejectedThenable(err)
+        }
+
+        if (result && typeof result.then == 'function') {
+            result.then(function (response) {
+                deferred.resolve(response)
+            }, function (err) {
+                onProviderError(err);
+                deferred.reject(err)
+            })
+        }
+        else {
+            deferred.resolve(result)
+        }
+
+        return deferred.promise()
+    };
+
+    //
+    // Internal functions
+    //
+
+    function requestFramework(handler, data, $form) {
+        if ($.fn.request === undefined) {
+            throw new Error('Cannot load the Inspector data: the October AJAX framework is not loaded and no data provider is registered for the ' + handler + ' handler.')
+        }
+
+        return $form.request(handler, {
+            data: data
+        })
+    }
+
+    function requestUrl(url, data) {
+        return window.fetch(url, {
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json',
+                'X-Requested-With': 'XMLHttpRequest'
+            },
+            body: JSON.stringify(data, serializableValue)
+        }).then(function (response) {
+            if (!response.ok) {
+                throw new Error('Error loading the Inspector data from ' + url + ': ' + response.status + ' ' + response.statusText)
+            }
+
+            return response.json()
+        })
+    }
+
+    function serializableValue(key, value) {
+        // The request data is built from element data attributes, which
+        // can contain jQuery plugin instances. Only plain data is posted.
+        if (typeof value == 'object' && value !== null && !$.isPlainObject(value) && !$.isArray(value)) {
+            return undefined
+        }
+
+        if (typeof value == 'function') {
+            return undefined
+        }
+
+        return value
+    }
+
+    function rejectedThenable(err) {
+        return {
+            then: function (onResolve, onReject) {
+                onReject(err)
+            }
+        }
+    }
+
+    function onProviderError(err) {
+        var message = err && err.message ? err.message : String(err);
+
+        Storm.flashMsg({text: message, 'class': 'error', 'interval': 5})
+    }
+
+}(window.jQuery);
\ No newline at end of file
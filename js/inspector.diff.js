@@ -0,0 +1,160 @@
+/*
+ * Compares Inspector values.
+ *
+ * The compare() function returns a list of changed properties:
+ *
+ * [{
+ *     property: 'items',
+ *     title: 'Items',
+ *     oldValue: [...],
+ *     newValue: [...],
+ *     changes: [
+ *         {path: 'items[1].title', type: 'changed', oldValue: 'Old', newValue: 'New'},
+ *         {path: 'items[2]', type: 'added', oldValue: undefined, newValue: {...}}
+ *     ]
+ * }]
+ *
+ * The changes list contains the changed scalar values of nested
+ * objects and arrays, for example the object list and dictionary items.
+ */
++function ($) {
+    "use strict";
+
+    // NAMESPACES
+    // ============================
+
+    if (window.Storm === undefined) {
+        window.Storm = {};
+    }
+
+    if (Storm.inspector === undefined)
+        Storm.inspector = {};
+
+    Storm.inspector.diff = {};
+
+    /*
+     * Compares two value objects. The properties argument is the Inspector
+     * configuration, it's used for ordering the properties and loading the
+     * property titles. It's optional.
+     */
+    Storm.inspector.diff.compare = function (oldValues, newValues, properties) {
+        var result = [],
+            names = getPropertyNames(oldValues, newValues, properties);
+
+        oldValues = oldValues || {};
+        newValues = newValues || {};
+
+        for (var i = 0, len = names.length; i < len; i++) {
+            var name = names[i],
+                changes = [];
+
+            compareValues(name, oldValues[name], newValues[name], changes);
+
+            if (changes.length === 0) {
+                continue
+            }
+
+            result.push({
+                property: name,
+                title: getPropertyTitle(name, properties),
+                oldValue: oldValues[name],
+                newValue: newValues[name],
+                changes: changes
+            })
+        }
+
+        return result
+    };
+
+    Storm.inspector.diff.valuesEqual = function (oldValue, newValue) {
+        var changes = [];
+
+        compareValues('', oldValue, newValue, changes);
+
+        return changes.length === 0
+    };
+
+    //
+    // Internal functions
+    //
+
+    function compareValues(path, oldValue, newValue, changes) {
+        if ($.isArray(oldValue) && $.isArray(newValue)) {
+            for (var i = 0, len = Math.max(oldValue.length, newValue.length); i < len; i++) {
+                compareValues(path + '[' + i + ']', oldValue[i], newValue[i], changes)
+            }
+
+            return
+        }
+
+        if ($.isPlainObject(oldValue) && $.isPlainObject(newValue)) {
+            var keys = getPropertyNames(oldValue, newValue);
+
+            for (var j = 0, keysLen = keys.length; j < keysLen; j++) {
+                compareValues(path + '.' + keys[j], oldValue[keys[j]], newValue[keys[j]], changes)
+            }
+
+            return
+        }
+
+        if (isEmpty(oldValue) && isEmpty(newValue)) {
+            return
+        }
+
+        if (typeof oldValue != 'object' && typeof newValue != 'object' && oldValue == newValue) {
+            return
+        }
+
+        changes.push({
+            path: path,
+            type: isEmpty(oldValue) ? 'added' : (isEmpty(newValue) ? 'removed' : 'changed'),
+            oldValue: oldValue,
+            newValue: newValue
+        })
+    }
+
+    function isEmpty(value) {
+        return value === undefined || value === null || value === ''
+    }
+
+    function getPropertyNames(oldValues, newValues, properties) {
+        var result = [];
+
+        function addName(name) {
+            if ($.inArray(name, result) === -1) {
+                result.push(name)
+            }
+        }
+
+        if ($.isArray(properties)) {
+            for (var i = 0, len = properties.length; i < len; i++) {
+                if (properties[i].property !== undefined) {
+                    addName(properties[i].property)
+                }
+            }
+        }
+
+        for (var oldName in oldValues) {
+            addName(oldName)
+        }
+
+        for (var newName in newValues) {
+            addName(newName)
+        }
+
+        return result
+    }
+
+    function getPropertyTitle(name, properties) {
+        if ($.isArray(properties)) {
+            for (var i = 0, len = properties.length; i < len; i++) {
+                if (properties[i].property === name && properties[i].title !== undefined) {
+                    return properties[i].title
+                }
+            }
+        }
+
+        return name
+    }
+
+}(window.jQuery);
\ No newline at end of file
@@ -204,9 +204,7 @@
         data['inspectorProperty'] = this.getPropertyPath();
         data['inspectorClassName'] = this.inspector.options.inspectorClass;
 
-        $form.request('onInspectableGetOptions', {
-            data: data,
-        })
+        Storm.inspector.dataProvider.request('options', data, $form)
             .done(this.proxy(this.itemsRequestDone))
             .always(this.proxy(this.hideLoadingIndicator))
     };
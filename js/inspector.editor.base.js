@@ -171,11 +171,85 @@
         return true
     };
 
+    BaseEditor.prototype.hasAsyncValidation = function () {
+        return this.validationSet.hasAsyncValidators()
+    };
+
+    /*
+     * Runs synchronous and asynchronous validators. Returns a
+     * promise resolving with true if the value is valid.
+     */
+    BaseEditor.prototype.validateAsync = function (silentMode) {
+        if (!this.validate(silentMode)) {
+            return $.Deferred().resolve(false).promise()
+        }
+
+        if (!this.hasAsyncValidation()) {
+            return $.Deferred().resolve(true).promise()
+        }
+
+        var value = this.getValueToValidate(),
+            self = this;
+
+        if (value === undefined) {
+            value = this.getUndefinedValue()
+        }
+
+        this.setValidationPending(true);
+
+        return this.validationSet.validateAsync(value, this.getValidationContext()).then(function (validationResult) {
+            if (self.isDisposed()) {
+                return false
+            }
+
+            self.setValidationPending(false);
+
+            if (validationResult !== null) {
+                if (!silentMode) {
+                    Storm.flashMsg({text: validationResult, 'class': 'error', 'interval': 5})
+                }
+                return false
+            }
+
+            return true
+        })
+    };
+
+    BaseEditor.prototype.getValidationContext = function () {
+        var $inspectable = this.getInspectableElement();
+
+        return {
+            property: this.getPropertyPath(),
+            inspectorClassName: this.inspector.options.inspectorClass,
+            values: this.getRootSurface().getValues(),
+            form: $inspectable ? $inspectable.closest('form') : $()
+        }
+    };
+
+    BaseEditor.prototype.setValidationPending = function (pending) {
+        Storm.foundation.element.toggleClass(this.containerRow, 'validation-pending', pending)
+    };
+
+    /*
+     * Indicates that the edited elements have different values of the property.
+     * The default implementation updates placeholders of the editor text fields.
+     */
+    BaseEditor.prototype.markMixedValue = function () {
+        var inputs = this.containerCell.querySelectorAll('input[type=text], textarea');
+
+        for (var i = inputs.length - 1; i >= 0; i--) {
+            inputs[i].setAttribute('placeholder', Storm.inspector.lang.get('editor.mixed_value'))
+        }
+    };
+
     BaseEditor.prototype.markInvalid = function () {
         Storm.foundation.element.addClass(this.containerRow, 'invalid');
+        this.containerCell.setAttribute('aria-invalid', 'true');
+        $(this.containerCell).find('input, select, textarea').attr('aria-invalid', 'true');
         this.inspector.getGroupManager().markGroupRowInvalid(this.parentGroup, this.inspector.getRootTable());
 
         this.inspector.getRootSurface().expandGroupParents(this.parentGroup);
+        this.inspector.revealEditorRow(this);
         this.focus()
     };
 
@@ -190,6 +264,66 @@
     BaseEditor.prototype.onExternalPropertyEditorHidden = function () {
     };
 
+    //
+    // Clipboard
+    //
+
+    /*
+     * Returns the type of values copied from the editor with the context menu.
+     * Values can be pasted only to editors with the same clipboard type.
+     */
+    BaseEditor.prototype.getClipboardType = function () {
+        var type = this.propertyDefinition.type === undefined ? 'string' : this.propertyDefinition.type;
+
+        if (type === 'string' || type === 'text' || type === 'code' || type === 'autocomplete') {
+            return 'text'
+        }
+
+        return type
+    };
+
+    BaseEditor.prototype.canPasteValue = function (type, value) {
+        return type === this.getClipboardType()
+    };
+
+    //
+    // Bulk data
+    //
+
+    /*
+     * Returns formats supported by the bulk data import and export.
+     * Editors supporting the bulk data should override this method
+     * and the importBulkData() and exportBulkData() methods.
+     */
+    BaseEditor.prototype.getBulkDataFormats = function () {
+        return []
+    };
+
+    /*
+     * Imports the bulk data text. The method should return false
+     * if the data cannot be imported.
+     */
+    BaseEditor.prototype.importBulkData = function (text, format) {
+        return false
+    };
+
+    BaseEditor.prototype.exportBulkData = function (format) {
+        return ''
+    };
+
+    /*
+     * Displays the bulk data popup in the import or export mode.
+     */
+    BaseEditor.prototype.showBulkDataPopup = function (mode) {
+        new Storm.inspector.bulkDataPopup({
+            title: Storm.inspector.lang.get('bulk.' + mode + '_title', {property: this.propertyDefinition.title}),
+            mode: mode,
+            formats: this.getBulkDataFormats(),
+            onImport: this.proxy(this.importBulkData),
+            onExport: this.proxy(this.exportBulkData)
+        })
+    };
+
     //
     // Grouping
     //
@@ -77,9 +77,17 @@
     };
 
     CheckboxEditor.prototype.updateDisplayedValue = function (value) {
+        if (value === undefined) {
+            value = this.propertyDefinition.default !== undefined ? this.propertyDefinition.default : false
+        }
+
         this.getInput().checked = this.normalizeCheckedValue(value)
     };
 
+    CheckboxEditor.prototype.markMixedValue = function () {
+        this.getInput().indeterminate = true
+    };
+
     CheckboxEditor.prototype.isEmptyValue = function (value) {
         if (value === 0 || value === '0' || value === 'false') {
             return true
@@ -0,0 +1,242 @@
+/*
+ * Inspector code editor class.
+ *
+ * Supported property definition attributes:
+ * - language - json, javascript, css, html, markdown or plain, optional, plain by default
+ * - lineNumbers - displays line numbers, optional, true by default
+ *
+ * The editor highlights the code syntax (inspector.codehighlighter.js). JSON values
+ * should be well-formed. Markdown values can be previewed in the Preview tab
+ * (inspector.markdown.js). The editor generates string values.
+ */
++function ($) {
+    "use strict";
+
+    var Base = Storm.inspector.propertyEditors.text,
+        BaseProto = Base.prototype;
+
+    var CodeEditor = function (inspector, propertyDefinition, containerCell, group) {
+        Base.call(this, inspector, propertyDefinition, containerCell, group)
+    };
+
+    CodeEditor.prototype = Object.create(BaseProto);
+    CodeEditor.prototype.constructor = Base;
+
+    CodeEditor.prototype.init = function () {
+        var language = this.getLanguage();
+
+        if (!Storm.inspector.codeHighlighter.hasLanguage(language)) {
+            this.throwError('Unknown code editor language: ' + language)
+        }
+
+        BaseProto.init.call(this)
+    };
+
+    CodeEditor.prototype.getLanguage = function () {
+        return this.propertyDefinition.language !== undefined ? this.propertyDefinition.language : 'plain'
+    };
+
+    CodeEditor.prototype.hasLineNumbers = function () {
+        return this.propertyDefinition.lineNumbers !== false
+    };
+
+    CodeEditor.prototype.hasPreview = function () {
+        return this.getLanguage() === 'markdown'
+    };
+
+    CodeEditor.prototype.getPopupSize = function () {
+        return 'large'
+    };
+
+    CodeEditor.prototype.getPopupContent = function () {
+        var lang = Storm.inspector.lang;
+
+        return '<form>                                                                                  \
+                <div class="modal-header">                                                              \
+                    <button type="button" class="close" data-dismiss="popup">&times;</button>           \
+                    <h4 class="modal-title">{{property}}</h4>                                           \
+                </div>                                                                                  \
+                <div class="modal-body">                                                                \
+                    <p class="inspector-field-comment"></p>                                             \
+                    <ul class="nav nav-tabs inspector-code-tabs">                                       \
+                        <li class="active"><a href="#" data-code-tab="edit">' + lang.get('code.edit') + '</a></li> \
+                        <li><a href="#" data-code-tab="preview">' + lang.get('code.preview') + '</a></li> \
+                    </ul>                                                                               \
+                    <div class="inspector-code-editor">                                                 \
+                        <pre class="code-line-numbers" aria-hidden="true"></pre>                        \
+                        <div class="code-area">                                                         \
+                            <pre class="code-highlight" aria-hidden="true"><code></code></pre>          \
+                            <textarea class="code-input" name="name" spellcheck="false"                 \
+                                autocomplete="off" autocapitalize="off" wrap="off"></textarea>          \
+                        </div>                                                                          \
+                    </div>                                                                              \
+                    <div class="inspector-code-preview"></div>                                          \
+                </div>                                                                                  \
+                <div class="modal-footer">                                                              \
+                    <button type="submit" class="btn btn-primary">' + lang.get('popup.ok') + '</button> \
+                    <button type="button" class="btn btn-default" data-dismiss="popup">' + lang.get('popup.cancel') + '</button> \
+                </div>                                                                                  \
+                </form>'
+    };
+
+    CodeEditor.prototype.configurePopup = function (popup) {
+        var $popup = $(popup);
+
+        if (!this.hasPreview()) {
+            $popup.find('ul.inspector-code-tabs, div.inspector-code-preview').remove()
+        }
+
+        if (!this.hasLineNumbers()) {
+            $popup.find('pre.code-line-numbers').remove()
+        }
+
+        $popup.find('div.inspector-code-editor').addClass('language-' + this.getLanguage());
+
+        BaseProto.configurePopup.call(this, popup);
+
+        this.updateHighlight();
+
+        $popup.on('input.inspector', 'textarea.code-input', this.proxy(this.onCodeInput));
+        $popup.on('scroll.inspector', 'textarea.code-input', this.proxy(this.onCodeScroll));
+        $popup.on('click.inspector', 'a[data-code-tab]', this.proxy(this.onTabClick))
+    };
+
+    CodeEditor.prototype.handleSubmit = function ($form) {
+        var value = $.trim($form.find('textarea.code-input').val()),
+            error = this.getCodeError(value);
+
+        if (error !== null) {
+            Storm.flashMsg({text: error, 'class': 'error', 'interval': 5});
+            this.showTab('edit');
+            $form.find('textarea.code-input').focus();
+
+            return false
+        }
+
+        BaseProto.handleSubmit.call(this, $form)
+    };
+
+    /*
+     * Returns the error message for malformed code, or null.
+     * Only JSON values are checked.
+     */
+    CodeEditor.prototype.getCodeError = function (value) {
+        if (this.getLanguage() !== 'json' || value.length === 0) {
+            return null
+        }
+
+        try {
+            JSON.parse(value)
+        }
+        catch (err) {
+            return Storm.inspector.lang.get('code.json_invalid', {error: err.message})
+        }
+
+        return null
+    };
+
+    CodeEditor.prototype.validate = function (silentMode) {
+        var value = this.getValueToValidate(),
+            error = typeof value === 'string' ? this.getCodeError($.trim(value)) : null;
+
+        if (error !== null) {
+            if (!silentMode) {
+                Storm.flashMsg({text: error, 'class': 'error', 'interval': 5})
+            }
+
+            return false
+        }
+
+        return BaseProto.validate.call(this, silentMode)
+    };
+
+    CodeEditor.prototype.updateHighlight = function () {
+        if (!this.popup) {
+            return
+        }
+
+        var $popup = $(this.popup),
+            code = $popup.find('textarea.code-input').val(),
+            lineCount = code.split('\n').length,
+            lineNumbers = [];
+
+        // The trailing line break needs a character after it,
+        // otherwise the highlight layer would be one line shorter.
+        $popup.find('pre.code-highlight > code').html(
+            Storm.inspector.codeHighlighter.highlight(code, this.getLanguage()) + '\n'
+        );
+
+        for (var i = 1; i <= lineCount; i++) {
+            lineNumbers.push(i)
+        }
+
+        $popup.find('pre.code-line-numbers').text(lineNumbers.join('\n'));
+
+        this.onCodeScroll()
+    };
+
+    CodeEditor.prototype.showTab = function (tab) {
+        if (!this.popup || !this.hasPreview()) {
+            return
+        }
+
+        var $popup = $(this.popup),
+            isPreview = tab === 'preview';
+
+        $popup.find('a[data-code-tab]').each(function () {
+            $(this).parent().toggleClass('active', this.getAttribute('data-code-tab') === tab)
+        });
+
+        if (isPreview) {
+            var code = $popup.find('textarea.code-input').val();
+
+            $popup.find('div.inspector-code-preview').html(
+                $.trim(code).length > 0
+                    ? Storm.inspector.markdown.toHtml(code)
+                    : '<p class="empty">' + Storm.inspector.lang.get('code.preview_empty') + '</p>'
+            )
+        }
+
+        $popup.find('div.inspector-code-editor').toggleClass('hide', isPreview);
+        $popup.find('div.inspector-code-preview').toggleClass('active', isPreview);
+
+        if (!isPreview) {
+            $popup.find('textarea.code-input').focus()
+        }
+    };
+
+    //
+    // Event handlers
+    //
+
+    CodeEditor.prototype.onPopupHidden = function (ev, link, popup) {
+        $(popup).off('.inspector');
+
+        BaseProto.onPopupHidden.apply(this, arguments)
+    };
+
+    CodeEditor.prototype.onCodeInput = function () {
+        this.updateHighlight()
+    };
+
+    CodeEditor.prototype.onCodeScroll = function () {
+        if (!this.popup) {
+            return
+        }
+
+        var $popup = $(this.popup),
+            textarea = $popup.find('textarea.code-input').get(0);
+
+        $popup.find('pre.code-highlight').scrollTop(textarea.scrollTop).scrollLeft(textarea.scrollLeft);
+        $popup.find('pre.code-line-numbers').scrollTop(textarea.scrollTop)
+    };
+
+    CodeEditor.prototype.onTabClick = function (ev) {
+        this.showTab(ev.currentTarget.getAttribute('data-code-tab'));
+
+        ev.preventDefault();
+        return false
+    };
+
+    Storm.inspector.propertyEditors.code = CodeEditor
+}(window.jQuery);
\ No newline at end of file
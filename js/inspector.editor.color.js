@@ -0,0 +1,330 @@
+/*
+ * Inspector color editor class.
+ *
+ * Supported property definition attributes:
+ * - allowAlpha - enables the alpha channel, optional, false by default
+ * - presetColors - array of colors displayed in the palette, optional
+ *
+ * The editor generates hex color strings (#rrggbb). If the alpha channel
+ * is enabled and the color is not opaque, the value is generated in the
+ * rgba(r, g, b, a) format.
+ */
++function ($) {
+    "use strict";
+
+    var Base = Storm.inspector.propertyEditors.popupBase,
+        BaseProto = Base.prototype;
+
+    var ColorEditor = function (inspector, propertyDefinition, containerCell, group) {
+        this.color = null;
+
+        Base.call(this, inspector, propertyDefinition, containerCell, group)
+    };
+
+    ColorEditor.prototype = Object.create(BaseProto);
+    ColorEditor.prototype.constructor = Base;
+
+    ColorEditor.prototype.dispose = function () {
+        this.color = null;
+
+        BaseProto.dispose.call(this)
+    };
+
+    ColorEditor.prototype.build = function () {
+        BaseProto.build.call(this);
+
+        Storm.foundation.element.addClass(this.containerCell, 'color')
+    };
+
+    ColorEditor.prototype.setLinkText = function (link, value) {
+        var value = value !== undefined ? value
+            : this.inspector.getPropertyValue(this.propertyDefinition.property);
+
+        if (value === undefined) {
+            value = this.propertyDefinition.default
+        }
+
+        var swatch = document.createElement('span'),
+            swatchColor = document.createElement('span'),
+            text = value;
+
+        swatch.setAttribute('class', 'color-swatch');
+        swatch.appendChild(swatchColor);
+
+        if (!value) {
+            text = this.propertyDefinition.placeholder !== undefined ? this.propertyDefinition.placeholder : '';
+            Storm.foundation.element.addClass(link, 'placeholder');
+            Storm.foundation.element.addClass(swatch, 'empty')
+        }
+        else {
+            Storm.foundation.element.removeClass(link, 'placeholder');
+            swatchColor.style.backgroundColor = value
+        }
+
+        link.textContent = '';
+        link.appendChild(swatch);
+        link.appendChild(document.createTextNode(text))
+    };
+
+    ColorEditor.prototype.getPopupContent = function () {
+        var lang = Storm.inspector.lang;
+
+        return '<form>                                                                                  \
+                <div class="modal-header">                                                              \
+                    <button type="button" class="close" data-dismiss="popup">&times;</button>           \
+                    <h4 class="modal-title">{{property}}</h4>                                           \
+                </div>                                                                                  \
+                <div class="modal-body">                                                                \
+                    <p class="inspector-field-comment"></p>                                             \
+                    <div class="inspector-color-picker">                                                \
+                        <div class="form-group color-picker-controls">                                  \
+                            <span class="color-swatch color-preview"><span></span></span>               \
+                            <input type="color" class="color-picker-native" tabindex="-1"/>             \
+                            <input type="text" class="form-control size-small color-picker-value"       \
+                                name="color" autocomplete="off"/>                                       \
+                        </div>                                                                          \
+                        <div class="form-group color-picker-alpha">                                     \
+                            <label>' + lang.get('editor.color_opacity') + '</label>                     \
+                            <input type="range" min="0" max="100" step="1"/>                            \
+                        </div>                                                                          \
+                        <div class="color-picker-palette"></div>                                        \
+                    </div>                                                                              \
+                </div>                                                                                  \
+                <div class="modal-footer">                                                              \
+                    <button type="submit" class="btn btn-primary">' + lang.get('popup.ok') + '</button> \
+                    <button type="button" class="btn btn-default" data-dismiss="popup">' + lang.get('popup.cancel') + '</button> \
+                </div>                                                                                  \
+                </form>'
+    };
+
+    ColorEditor.prototype.configurePopup = function (popup) {
+        var $popup = $(popup),
+            value = this.inspector.getPropertyValue(this.propertyDefinition.property);
+
+        if (value === undefined) {
+            value = this.propertyDefinition.default
+        }
+
+        this.color = value ? parseColor(value) : null;
+
+        if (this.propertyDefinition.description) {
+            $popup.find('p.inspector-field-comment').text(this.propertyDefinition.description)
+        }
+
+        if (!this.isAlphaAllowed()) {
+            $popup.find('div.color-picker-alpha').remove()
+        }
+
+        this.buildPalette($popup.find('div.color-picker-palette').get(0));
+
+        $popup.find('input.color-picker-value')
+            .attr('placeholder', Storm.inspector.lang.get(this.isAlphaAllowed() ? 'editor.color_placeholder_alpha' : 'editor.color_placeholder'))
+            .val(value ? value : '')
+            .focus();
+
+        this.updatePickerControls(popup, false);
+
+        $popup.on('input.inspector', 'input.color-picker-native', this.proxy(this.onNativePickerInput));
+        $popup.on('input.inspector', 'div.color-picker-alpha input', this.proxy(this.onAlphaInput));
+        $popup.on('keyup.inspector', 'input.color-picker-value', this.proxy(this.onValueKeyUp));
+        $popup.on('click.inspector', 'div.color-picker-palette a', this.proxy(this.onPaletteClick))
+    };
+
+    ColorEditor.prototype.buildPalette = function (container) {
+        var colors = this.propertyDefinition.presetColors !== undefined
+            ? this.propertyDefinition.presetColors
+            : ColorEditor.DEFAULT_PALETTE;
+
+        if (!$.isArray(colors) || colors.length === 0) {
+            container.parentNode.removeChild(container);
+            return
+        }
+
+        for (var i = 0, len = colors.length; i < len; i++) {
+            var link = document.createElement('a'),
+                swatch = document.createElement('span');
+
+            link.setAttribute('href', 'javascript:;');
+            link.setAttribute('class', 'color-swatch');
+            link.setAttribute('title', colors[i]);
+            link.setAttribute('data-color', colors[i]);
+            swatch.style.backgroundColor = colors[i];
+
+            link.appendChild(swatch);
+            container.appendChild(link)
+        }
+    };
+
+    ColorEditor.prototype.updatePickerControls = function (popup, updateValueInput) {
+        var $popup = $(popup),
+            color = this.color;
+
+        $popup.find('span.color-preview > span').css('background-color', color ? formatColor(color, true) : '');
+        $popup.find('input.color-picker-native').val(color ? formatHex(color) : '#000000');
+        $popup.find('div.color-picker-alpha input').val(color ? Math.round(color.a * 100) : 100);
+
+        if (updateValueInput) {
+            $popup.find('input.color-picker-value').val(color ? this.formatValue(color) : '')
+        }
+    };
+
+    ColorEditor.prototype.formatValue = function (color) {
+        return formatColor(color, this.isAlphaAllowed())
+    };
+
+    ColorEditor.prototype.isAlphaAllowed = function () {
+        return this.propertyDefinition.allowAlpha === true || this.propertyDefinition.allowAlpha === 'true'
+    };
+
+    ColorEditor.prototype.handleSubmit = function ($form) {
+        var value = $.trim($form.find('input.color-picker-value').val());
+
+        if (value.length === 0) {
+            this.inspector.setPropertyValue(this.propertyDefinition.property, '');
+            return
+        }
+
+        var color = parseColor(value);
+
+        if (!color || (color.a < 1 && !this.isAlphaAllowed())) {
+            Storm.flashMsg({text: Storm.inspector.lang.get('editor.color_invalid'), 'class': 'error', 'interval': 5});
+            return false
+        }
+
+        this.inspector.setPropertyValue(this.propertyDefinition.property, this.formatValue(color))
+    };
+
+    ColorEditor.prototype.onPopupHidden = function (ev, link, popup) {
+        $(popup).off('.inspector');
+        this.color = null;
+
+        BaseProto.onPopupHidden.apply(this, arguments)
+    };
+
+    ColorEditor.prototype.onNativePickerInput = function (ev) {
+        var color = parseColor(ev.target.value);
+
+        if (!color) {
+            return
+        }
+
+        color.a = this.color ? this.color.a : 1;
+        this.color = color;
+
+        this.updatePickerControls(this.popup, true)
+    };
+
+    ColorEditor.prototype.onAlphaInput = function (ev) {
+        if (!this.color) {
+            this.color = {r: 0, g: 0, b: 0, a: 1}
+        }
+
+        this.color.a = parseInt(ev.target.value) / 100;
+
+        this.updatePickerControls(this.popup, true)
+    };
+
+    ColorEditor.prototype.onValueKeyUp = function (ev) {
+        var color = parseColor(ev.target.value);
+
+        if (!color) {
+            return
+        }
+
+        this.color = color;
+        this.updatePickerControls(this.popup, false)
+    };
+
+    ColorEditor.prototype.onPaletteClick = function (ev) {
+        var color = parseColor($(ev.currentTarget).attr('data-color'));
+
+        if (!color) {
+            return
+        }
+
+        this.color = color;
+        this.updatePickerControls(this.popup, true);
+
+        $(this.popup).find('input.color-picker-value').focus();
+
+        return false
+    };
+
+    //
+    // Helpers
+    //
+
+    /*
+     * Parses #rgb, #rrggbb, #rrggbbaa, rgb() and rgba() strings.
+     * Returns an object with r, g, b and a properties or null.
+     */
+    function parseColor(value) {
+        var matches;
+
+        value = $.trim(String(value)).toLowerCase();
+
+        if ((matches = value.match(/^#([0-9a-f]{3})$/))) {
+            return {
+                r: parseInt(matches[1].charAt(0) + matches[1].charAt(0), 16),
+                g: parseInt(matches[1].charAt(1) + matches[1].charAt(1), 16),
+                b: parseInt(matches[1].charAt(2) + matches[1].charAt(2), 16),
+                a: 1
+            }
+        }
+
+        if ((matches = value.match(/^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})?$/))) {
+            return {
+                r: parseInt(matches[1], 16),
+                g: parseInt(matches[2], 16),
+                b: parseInt(matches[3], 16),
+                a: matches[4] !== undefined ? Math.round(parseInt(matches[4], 16) / 255 * 100) / 100 : 1
+            }
+        }
+
+        if ((matches = value.match(/^rgba?\(\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})\s*(?:,\s*(\d*\.?\d+)\s*)?\)$/))) {
+            var color = {
+                r: parseInt(matches[1], 10),
+                g: parseInt(matches[2], 10),
+                b: parseInt(matches[3], 10),
+                a: matches[4] !== undefined ? parseFloat(matches[4]) : 1
+            };
+
+            if (color.r > 255 || color.g > 255 || color.b > 255 || color.a > 1) {
+                return null
+            }
+
+            return color
+        }
+
+        return null
+    }
+
+    function formatHex(color) {
+        var result = '#',
+            channels = [color.r, color.g, color.b];
+
+        for (var i = 0; i < channels.length; i++) {
+            var hex = channels[i].toString(16);
+
+            result += hex.length == 1 ? '0' + hex : hex
+        }
+
+        return result
+    }
+
+    function formatColor(color, allowAlpha) {
+        if (!allowAlpha || color.a >= 1) {
+            return formatHex(color)
+        }
+
+        return 'rgba(' + color.r + ', ' + color.g + ', ' + color.b + ', ' + color.a + ')'
+    }
+
+    ColorEditor.DEFAULT_PALETTE = [
+        '#000000', '#34495e', '#7f8c8d', '#bdc3c7', '#ecf0f1', '#ffffff',
+        '#c0392b', '#e74c3c', '#d35400', '#f39c12', '#f1c40f', '#27ae60',
+        '#2ecc71', '#16a085', '#1abc9c', '#2980b9', '#3498db', '#8e44ad'
+    ];
+
+    Storm.inspector.propertyEditors.color = ColorEditor
+}(window.jQuery);
\ No newline at end of file
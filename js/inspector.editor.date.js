@@ -0,0 +1,208 @@
+/*
+ * Inspector date editor class.
+ *
+ * The editor uses the DatePicker control (datepicker.js). Supported
+ * property definition attributes:
+ * - format - date display format, optional
+ * - minDate - minimum date to allow, optional
+ * - maxDate - maximum date to allow, optional
+ * - yearRange - range of years to display, optional
+ *
+ * The editor generates ISO 8601 date strings: 2016-05-10.
+ * The time and datetime editors extend this class.
+ */
++function ($) {
+    "use strict";
+
+    var Base = Storm.inspector.propertyEditors.base,
+        BaseProto = Base.prototype;
+
+    var DateEditor = function (inspector, propertyDefinition, containerCell, group) {
+        Base.call(this, inspector, propertyDefinition, containerCell, group)
+    };
+
+    DateEditor.prototype = Object.create(BaseProto);
+    DateEditor.prototype.constructor = Base;
+
+    DateEditor.prototype.dispose = function () {
+        this.unregisterHandlers();
+        this.disposeDatePicker();
+
+        BaseProto.dispose.call(this)
+    };
+
+    DateEditor.prototype.hasDate = function () {
+        return true
+    };
+
+    DateEditor.prototype.hasTime = function () {
+        return false
+    };
+
+    /*
+     * Returns the timezone used for displaying values. Date and time
+     * editors don't convert values between timezones.
+     */
+    DateEditor.prototype.getTimezone = function () {
+        return 'UTC'
+    };
+
+    DateEditor.prototype.build = function () {
+        var container = document.createElement('div'),
+            locker = document.createElement('input'),
+            placeholder = this.propertyDefinition.placeholder !== undefined ? this.propertyDefinition.placeholder : '',
+            value = this.inspector.getPropertyValue(this.propertyDefinition.property);
+
+        if (value === undefined) {
+            value = this.propertyDefinition.default
+        }
+
+        container.setAttribute('class', 'inspector-datepicker');
+
+        locker.setAttribute('type', 'hidden');
+        locker.setAttribute('data-datetime-value', '');
+        locker.value = this.valueToLockerValue(value);
+
+        if (this.hasDate()) {
+            container.appendChild(this.buildInput('data-datepicker', 'date-editor', placeholder))
+        }
+
+        if (this.hasTime()) {
+            container.appendChild(this.buildInput('data-timepicker', 'time-editor', this.hasDate() ? '' : placeholder))
+        }
+
+        container.appendChild(locker);
+
+        Storm.foundation.element.addClass(this.containerCell, 'text');
+        Storm.foundation.element.addClass(this.containerCell, 'datetime');
+
+        if (this.hasDate() && this.hasTime()) {
+            Storm.foundation.element.addClass(this.containerCell, 'date-and-time')
+        }
+
+        this.containerCell.appendChild(container);
+
+        this.initDatePicker()
+    };
+
+    DateEditor.prototype.buildInput = function (attribute, cssClass, placeholder) {
+        var input = document.createElement('input');
+
+        input.setAttribute('type', 'text');
+        input.setAttribute('class', 'string-editor ' + cssClass);
+        input.setAttribute('placeholder', placeholder);
+        input.setAttribute(attribute, '');
+
+        return input
+    };
+
+    DateEditor.prototype.initDatePicker = function () {
+        var options = {
+            timezone: this.getTimezone(),
+            appTimezone: 'UTC'
+        };
+
+        if (this.propertyDefinition.format !== undefined) {
+            options.format = this.propertyDefinition.format
+        }
+
+        if (this.propertyDefinition.minDate !== undefined) {
+            options.minDate = this.propertyDefinition.minDate
+        }
+
+        if (this.propertyDefinition.maxDate !== undefined) {
+            options.maxDate = this.propertyDefinition.maxDate
+        }
+
+        if (this.propertyDefinition.yearRange !== undefined) {
+            options.yearRange = this.propertyDefinition.yearRange
+        }
+
+        $(this.getContainer()).datePicker(options)
+    };
+
+    DateEditor.prototype.disposeDatePicker = function () {
+        var $container = $(this.getContainer());
+
+        $container.find('[data-datepicker]').pikaday('destroy');
+        $container.find('[data-timepicker]').clockpicker('remove');
+        $container.datePicker('dispose')
+    };
+
+    DateEditor.prototype.registerHandlers = function () {
+        $(this.getLocker()).on('datachange.oc.datepicker', this.proxy(this.onLockerChange));
+        $(this.getContainer()).on('focus', 'input[type=text]', this.proxy(this.onInputFocus))
+    };
+
+    DateEditor.prototype.unregisterHandlers = function () {
+        $(this.getLocker()).off('datachange.oc.datepicker', this.proxy(this.onLockerChange));
+        $(this.getContainer()).off('focus', 'input[type=text]', this.proxy(this.onInputFocus))
+    };
+
+    DateEditor.prototype.getContainer = function () {
+        return this.containerCell.querySelector('div.inspector-datepicker')
+    };
+
+    DateEditor.prototype.getLocker = function () {
+        return this.containerCell.querySelector('input[data-datetime-value]')
+    };
+
+    DateEditor.prototype.focus = function () {
+        this.containerCell.querySelector('input[type=text]').focus();
+        this.onInputFocus()
+    };
+
+    DateEditor.prototype.updateDisplayedValue = function (value) {
+        if (value === undefined) {
+            value = this.propertyDefinition.default
+        }
+
+        this.getLocker().value = this.valueToLockerValue(value);
+        $(this.getContainer()).datePicker('refresh')
+    };
+
+    //
+    // Value conversion
+    //
+
+    /*
+     * The data locker stores values in the YYYY-MM-DD HH:mm:ss format in UTC.
+     */
+    DateEditor.prototype.valueToLockerValue = function (value) {
+        if (!value) {
+            return ''
+        }
+
+        var momentObj = moment.utc(value, 'YYYY-MM-DD');
+
+        return momentObj.isValid() ? momentObj.format('YYYY-MM-DD HH:mm:ss') : ''
+    };
+
+    DateEditor.prototype.lockerValueToValue = function (lockerValue) {
+        if (!lockerValue) {
+            return null
+        }
+
+        return moment.utc(lockerValue, 'YYYY-MM-DD HH:mm:ss').format('YYYY-MM-DD')
+    };
+
+    //
+    // Event handlers
+    //
+
+    DateEditor.prototype.onInputFocus = function () {
+        this.inspector.makeCellActive(this.containerCell)
+    };
+
+    DateEditor.prototype.onLockerChange = function () {
+        var value = this.lockerValueToValue(this.getLocker().value);
+
+        this.inspector.setPropertyValue(this.propertyDefinition.property, value)
+    };
+
+    DateEditor.prototype.onExternalPropertyEditorHidden = function () {
+        this.focus()
+    };
+
+    Storm.inspector.propertyEditors.date = DateEditor
+}(window.jQuery);
\ No newline at end of file
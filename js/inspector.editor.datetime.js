@@ -0,0 +1,50 @@
+/*
+ * Inspector date and time editor class.
+ *
+ * Supported property definition attributes, in addition to the date editor attributes:
+ * - timezone - timezone used for displaying the value, optional. If the attribute
+ *   is not specified, the timezone is loaded from the backend-timezone meta tag.
+ *
+ * The editor generates ISO 8601 date and time strings in UTC: 2016-05-10T14:30:00Z.
+ */
++function ($) {
+    "use strict";
+
+    var Base = Storm.inspector.propertyEditors.date,
+        BaseProto = Base.prototype;
+
+    var DateTimeEditor = function (inspector, propertyDefinition, containerCell, group) {
+        Base.call(this, inspector, propertyDefinition, containerCell, group)
+    };
+
+    DateTimeEditor.prototype = Object.create(BaseProto);
+    DateTimeEditor.prototype.constructor = Base;
+
+    DateTimeEditor.prototype.hasTime = function () {
+        return true
+    };
+
+    DateTimeEditor.prototype.getTimezone = function () {
+        return this.propertyDefinition.timezone !== undefined ? this.propertyDefinition.timezone : null
+    };
+
+    DateTimeEditor.prototype.valueToLockerValue = function (value) {
+        if (!value) {
+            return ''
+        }
+
+        var momentObj = moment.utc(value, moment.ISO_8601);
+
+        return momentObj.isValid() ? momentObj.format('YYYY-MM-DD HH:mm:ss') : ''
+    };
+
+    DateTimeEditor.prototype.lockerValueToValue = function (lockerValue) {
+        if (!lockerValue) {
+            return null
+        }
+
+        return moment.utc(lockerValue, 'YYYY-MM-DD HH:mm:ss').format('YYYY-MM-DD[T]HH:mm:ss[Z]')
+    };
+
+    Storm.inspector.propertyEditors.datetime = DateTimeEditor
+}(window.jQuery);
\ No newline at end of file
@@ -1,5 +1,7 @@
 /*
  * Inspector dictionary editor class.
+ *
+ * Items can be imported and exported as CSV, TSV and JSON.
  */
 +function ($) {
     "use strict";
@@ -56,7 +58,7 @@
                 link.textContent = placeholder
             }
             else {
-                link.textContent = 'Items: 0'
+                link.textContent = Storm.inspector.lang.choice('editor.items_count', 0)
             }
         }
         else {
@@ -67,11 +69,13 @@
             var itemCount = this.getValueKeys(value).length;
 
             Storm.foundation.element.removeClass(link, 'placeholder');
-            link.textContent = 'Items: ' + itemCount
+            link.textContent = Storm.inspector.lang.choice('editor.items_count', itemCount)
         }
     };
 
     DictionaryEditor.prototype.getPopupContent = function () {
+        var lang = Storm.inspector.lang;
+
         return '<form>                                                                                  \
                 <div class="modal-header">                                                              \
                     <button type="button" class="close" data-dismiss="popup">&times;</button>           \
@@ -83,20 +87,30 @@
                             <div class="btn-group">                                                     \
                                 <button type="button" class="btn btn-primary                            \
                                     oc-icon-plus"                                                       \
-                                    data-cmd="create-item">Add</button>                                 \
+                                    data-cmd="create-item">' + lang.get('editor.add') + '</button>      \
                                 <button type="button" class="btn btn-default                            \
                                     empty oc-icon-trash-o"                                              \
                                     data-cmd="delete-item"></button>                                    \
                             </div>                                                                      \
                         </div>                                                                          \
+                        <div class="toolbar-item">                                                      \
+                            <div class="btn-group">                                                     \
+                                <button type="button" class="btn btn-default                            \
+                                    oc-icon-upload"                                                     \
+                                    data-cmd="bulk-import">' + lang.get('editor.import') + '</button>   \
+                                <button type="button" class="btn btn-default                            \
+                                    oc-icon-download"                                                   \
+                                    data-cmd="bulk-export">' + lang.get('editor.export') + '</button>   \
+                            </div>                                                                      \
+                        </div>                                                                          \
                     </div>                                                                              \
                     <div class="form-group">                                                            \
                         <div class="inspector-dictionary-container">                                    \
                             <table class="headers">                                                     \
                                 <thead>                                                                 \
                                     <tr>                                                                \
-                                        <td>Key</td>                                                    \
-                                        <td>Value</td>                                                  \
+                                        <td>' + lang.get('dictionary.key') + '</td>                     \
+                                        <td>' + lang.get('dictionary.value') + '</td>                   \
                                     </tr>                                                               \
                                 </thead>                                                                \
                             </table>                                                                    \
@@ -115,8 +129,8 @@
                     </div>                                                                              \
                 </div>                                                                                  \
                 <div class="modal-footer">                                                              \
-                    <button type="submit" class="btn btn-primary">OK</button>                           \
-                    <button type="button" class="btn btn-default" data-dismiss="popup">Cancel</button>  \
+                    <button type="submit" class="btn btn-primary">' + lang.get('popup.ok') + '</button> \
+                    <button type="button" class="btn btn-default" data-dismiss="popup">' + lang.get('popup.cancel') + '</button> \
                 </div>                                                                                  \
                 </form>'
     };
@@ -135,12 +149,19 @@
     // Building and row management
     //
 
-    DictionaryEditor.prototype.buildItemsTable = function (popup) {
+    /*
+     * Builds the table rows. Items are loaded from the property
+     * value if the items argument is omitted.
+     */
+    DictionaryEditor.prototype.buildItemsTable = function (popup, items) {
         var table = popup.querySelector('table.inspector-dictionary-table'),
             tbody = document.createElement('tbody'),
-            items = this.inspector.getPropertyValue(this.propertyDefinition.property),
             titleProperty = this.propertyDefinition.titleProperty;
 
+        if (items === undefined) {
+            items = this.inspector.getPropertyValue(this.propertyDefinition.property)
+        }
+
         if (items === undefined) {
             items = this.propertyDefinition.default
         }
@@ -257,19 +278,19 @@
             }
 
             if (key.length == 0) {
-                Storm.flashMsg({text: 'The key cannot be empty.', 'class': 'error', 'interval': 3});
+                Storm.flashMsg({text: Storm.inspector.lang.get('dictionary.key_required'), 'class': 'error', 'interval': 3});
                 this.focusAndMakeActive(keyInput);
                 return false
             }
 
             if (value.length == 0) {
-                Storm.flashMsg({text: 'The value cannot be empty.', 'class': 'error', 'interval': 3});
+                Storm.flashMsg({text: Storm.inspector.lang.get('dictionary.value_required'), 'class': 'error', 'interval': 3});
                 this.focusAndMakeActive(valueInput);
                 return false
             }
 
             if (result[key] !== undefined) {
-                Storm.flashMsg({text: 'Keys should be unique.', 'class': 'error', 'interval': 3});
+                Storm.flashMsg({text: Storm.inspector.lang.get('dictionary.keys_unique'), 'class': 'error', 'interval': 3});
                 this.focusAndMakeActive(keyInput);
                 return false
             }
@@ -293,6 +314,112 @@
         this.setLinkText(link, result)
     };
 
+    //
+    // Bulk data
+    //
+
+    DictionaryEditor.prototype.getBulkDataFormats = function () {
+        return ['csv', 'tsv', 'json']
+    };
+
+    DictionaryEditor.prototype.importBulkData = function (text, format) {
+        var bulkData = Storm.inspector.bulkData,
+            items = [],
+            result = {};
+
+        if (format === 'json') {
+            var value = bulkData.parseJson(text);
+
+            if (!$.isPlainObject(value)) {
+                throw new Error(Storm.inspector.lang.get('dictionary.json_object'))
+            }
+
+            for (var key in value) {
+                if (value[key] !== null && typeof value[key] == 'object') {
+                    throw new Error(Storm.inspector.lang.get('dictionary.json_values', {key: key}))
+                }
+
+                items.push([key, value[key] === null ? '' : String(value[key])])
+            }
+        }
+        else {
+            items = bulkData.parseDelimited(text, format)
+        }
+
+        for (var i = 0, len = items.length; i < len; i++) {
+            var errorMessage = this.validateImportedItem(items[i], result);
+
+            if (errorMessage !== null) {
+                Storm.flashMsg({text: Storm.inspector.lang.get('bulk.row_error', {row: i + 1, message: errorMessage}), 'class': 'error', 'interval': 5});
+                return false
+            }
+
+            result[$.trim(items[i][0])] = $.trim(items[i][1])
+        }
+
+        var tbody = this.getTableBody();
+
+        tbody.parentNode.removeChild(tbody);
+        this.buildItemsTable(this.popup, result);
+        this.focusFirstInput()
+    };
+
+    /*
+     * Validates an imported key and value pair. Returns the error message or null.
+     */
+    DictionaryEditor.prototype.validateImportedItem = function (item, importedItems) {
+        if (item.length !== 2) {
+            return Storm.inspector.lang.get('dictionary.row_invalid')
+        }
+
+        var key = $.trim(item[0]),
+            value = $.trim(item[1]);
+
+        if (key.length == 0) {
+            return Storm.inspector.lang.get('dictionary.key_required')
+        }
+
+        if (value.length == 0) {
+            return Storm.inspector.lang.get('dictionary.value_required')
+        }
+
+        if (importedItems[key] !== undefined) {
+            return Storm.inspector.lang.get('dictionary.keys_unique')
+        }
+
+        var validationResult = this.keyValidationSet.validate(key);
+        if (validationResult !== null) {
+            return validationResult
+        }
+
+        return this.valueValidationSet.validate(value)
+    };
+
+    DictionaryEditor.prototype.exportBulkData = function (format) {
+        var bulkData = Storm.inspector.bulkData,
+            dataRows = this.getTableBody().querySelectorAll('tr'),
+            rows = [],
+            result = {};
+
+        for (var i = 0, len = dataRows.length; i < len; i++) {
+            var key = $.trim(this.getRowInputByIndex(dataRows[i], 0).value),
+                value = $.trim(this.getRowInputByIndex(dataRows[i], 1).value);
+
+            if (key.length == 0 && value.length == 0) {
+                continue
+            }
+
+            rows.push([key, value]);
+            result[key] = value
+        }
+
+        if (format === 'json') {
+            return bulkData.formatJson(result)
+        }
+
+        return bulkData.formatDelimited(rows, format)
+    };
+
     //
     // Helpers
     //
@@ -435,6 +562,12 @@
             case 'delete-item' :
                 this.deleteItem();
                 break;
+            case 'bulk-import' :
+                this.showBulkDataPopup('import');
+                break;
+            case 'bulk-export' :
+                this.showBulkDataPopup('export');
+                break;
         }
     };
 
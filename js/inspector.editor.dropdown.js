@@ -231,7 +231,14 @@
     DropdownEditor.prototype.updateDisplayedValue = function (value) {
         var select = this.getSelect();
 
-        select.value = value
+        if (value === undefined) {
+            value = this.propertyDefinition.default
+        }
+
+        select.value = value;
+
+        // Refresh the custom select without triggering the editor's change handler
+        $(select).trigger('change.select2')
     };
 
     DropdownEditor.prototype.getUndefinedValue = function () {
@@ -335,9 +342,7 @@
             return
         }
 
-        $form.request('onInspectableGetOptions', {
-            data: data,
-        }).done(callback).always(
+        Storm.inspector.dataProvider.request('options', data, $form).done(callback).always(
             this.proxy(this.hideLoadingIndicator)
         )
     };
@@ -0,0 +1,587 @@
+/*
+ * Inspector media editor class.
+ *
+ * The editor displays a popup with files loaded from a media source
+ * (inspector.mediasource.js). Supported property definition attributes:
+ * - source - the media source name, optional, the default source is used if omitted
+ * - multiple - allows to select multiple files, optional, false by default
+ * - path - the folder displayed when the popup opens, optional, / by default
+ * - extensions - array of allowed file extensions, optional
+ * - uploadUrl - the upload URL for the default media source, optional
+ *
+ * Files can be uploaded with the Upload button or by dropping them to the
+ * file list, if the media source supports uploads. The editor generates
+ * the selected file path, or an array of paths if multiple is true.
+ */
++function ($) {
+    "use strict";
+
+    var Base = Storm.inspector.propertyEditors.popupBase,
+        BaseProto = Base.prototype;
+
+    var MediaEditor = function (inspector, propertyDefinition, containerCell, group) {
+        this.currentPath = null;
+        this.items = [];
+        this.selection = [];
+        this.requestCounter = 0;
+        this.uploading = false;
+
+        Base.call(this, inspector, propertyDefinition, containerCell, group)
+    };
+
+    MediaEditor.prototype = Object.create(BaseProto);
+    MediaEditor.prototype.constructor = Base;
+
+    MediaEditor.prototype.dispose = function () {
+        this.items = null;
+        this.selection = null;
+
+        BaseProto.dispose.call(this)
+    };
+
+    MediaEditor.prototype.init = function () {
+        // Throws an error if the source is not registered
+        this.getSource();
+
+        BaseProto.init.call(this)
+    };
+
+    MediaEditor.prototype.isMultiple = function () {
+        return this.propertyDefinition.multiple === true
+    };
+
+    MediaEditor.prototype.getRootPath = function () {
+        return this.propertyDefinition.path !== undefined ? this.propertyDefinition.path : '/'
+    };
+
+    MediaEditor.prototype.getSource = function () {
+        return Storm.inspector.mediaSources.get(this.propertyDefinition.source)
+    };
+
+    MediaEditor.prototype.getSourceContext = function () {
+        return {
+            property: this.getPropertyPath(),
+            inspectorClass: this.getRootSurface().options.inspectorClass,
+            uploadUrl: this.propertyDefinition.uploadUrl,
+            form: $(this.getLink()).closest('form').get(0)
+        }
+    };
+
+    MediaEditor.prototype.canUpload = function () {
+        return Storm.inspector.mediaSources.canUpload(this.getSource(), this.getSourceContext())
+    };
+
+    MediaEditor.prototype.supportsExternalParameterEditor = function () {
+        return !this.isMultiple()
+    };
+
+    MediaEditor.prototype.getClipboardType = function () {
+        return this.isMultiple() ? 'mediaList' : 'media'
+    };
+
+    MediaEditor.prototype.getValue = function () {
+        var value = this.inspector.getPropertyValue(this.propertyDefinition.property);
+
+        if (value === undefined) {
+            value = this.propertyDefinition.default
+        }
+
+        this.checkValueType(value);
+
+        return value
+    };
+
+    MediaEditor.prototype.checkValueType = function (value) {
+        if (this.isMultiple() && value && Object.prototype.toString.call(value) !== '[object Array]') {
+            this.throwError('The media editor value should be an array if multiple files are allowed.')
+        }
+    };
+
+    //
+    // Building
+    //
+
+    MediaEditor.prototype.setLinkText = function (link, value) {
+        var value = value !== undefined ? value : this.getValue(),
+            paths = $.isArray(value) ? value : (value ? [value] : []);
+
+        if (paths.length === 0) {
+            link.textContent = this.propertyDefinition.placeholder !== undefined
+                ? this.propertyDefinition.placeholder
+                : (this.isMultiple() ? '[]' : '');
+
+            Storm.foundation.element.addClass(link, 'placeholder');
+            return
+        }
+
+        Storm.foundation.element.removeClass(link, 'placeholder');
+
+        var names = $.map(paths, function (path) {
+            return getBaseName(path)
+        });
+
+        link.textContent = this.isMultiple() ? '[' + names.join(', ') + ']' : names[0]
+    };
+
+    MediaEditor.prototype.getPopupSize = function () {
+        return 'large'
+    };
+
+    MediaEditor.prototype.getPopupContent = function () {
+        var lang = Storm.inspector.lang;
+
+        return '<form>                                                                                  \
+                <div class="modal-header">                                                              \
+                    <button type="button" class="close" data-dismiss="popup">&times;</button>           \
+                    <h4 class="modal-title">{{property}}</h4>                                           \
+                </div>                                                                                  \
+                <div class="modal-body">                                                                \
+                    <p class="inspector-field-comment"></p>                                             \
+                    <div class="control-toolbar">                                                       \
+                        <div class="toolbar-item">                                                      \
+                            <div class="btn-group">                                                     \
+                                <button type="button" class="btn btn-default                            \
+                                    oc-icon-level-up"                                                   \
+                                    data-cmd="media-up">' + lang.get('media.up') + '</button>           \
+                                <button type="button" class="btn btn-default                            \
+                                    oc-icon-upload"                                                     \
+                                    data-cmd="media-upload">' + lang.get('media.upload') + '</button>   \
+                            </div>                                                                      \
+                        </div>                                                                          \
+                        <div class="toolbar-item">                                                      \
+                            <span class="inspector-media-path"></span>                                  \
+                        </div>                                                                          \
+                    </div>                                                                              \
+                    <input type="file" class="hide" data-media-file>                                    \
+                    <div class="inspector-media-browser" data-media-dropzone>                           \
+                        <ul class="inspector-media-list" role="listbox"></ul>                           \
+                        <div class="inspector-media-drop-hint">' + lang.get('media.drop_hint') + '</div> \
+                    </div>                                                                              \
+                    <p class="inspector-media-status" aria-live="polite"></p>                           \
+                </div>                                                                                  \
+                <div class="modal-footer">                                                              \
+                    <button type="submit" class="btn btn-primary">' + lang.get('popup.ok') + '</button> \
+                    <button type="button" class="btn btn-default" data-dismiss="popup">' + lang.get('popup.cancel') + '</button> \
+                </div>                                                                                  \
+                </form>'
+    };
+
+    MediaEditor.prototype.configurePopup = function (popup) {
+        var $popup = $(popup),
+            value = this.getValue(),
+            canUpload = this.canUpload();
+
+        if (this.propertyDefinition.description) {
+            $popup.find('p.inspector-field-comment').text(this.propertyDefinition.description)
+        }
+
+        if (this.isMultiple()) {
+            $popup.find('ul.inspector-media-list').attr('aria-multiselectable', 'true');
+            $popup.find('input[data-media-file]').attr('multiple', 'multiple')
+        }
+
+        if (!canUpload) {
+            $popup.find('[data-cmd=media-upload], div.inspector-media-drop-hint').remove()
+        }
+
+        this.selection = $.isArray(value) ? value.slice() : (value ? [value] : []);
+        this.items = [];
+
+        $popup.on('click.inspector', 'a[data-media-item]', this.proxy(this.onItemClick));
+        $popup.on('dblclick.inspector', 'a[data-media-item]', this.proxy(this.onItemDoubleClick));
+        $popup.on('click.inspector', '[data-cmd=media-up]', this.proxy(this.onUpClick));
+
+        if (canUpload) {
+            $popup.on('click.inspector', '[data-cmd=media-upload]', this.proxy(this.onUploadClick));
+            $popup.on('change.inspector', 'input[data-media-file]', this.proxy(this.onFileInputChange));
+            $popup.on('dragover.inspector', '[data-media-dropzone]', this.proxy(this.onDragOver));
+            $popup.on('dragleave.inspector', '[data-media-dropzone]', this.proxy(this.onDragLeave));
+            $popup.on('drop.inspector', '[data-media-dropzone]', this.proxy(this.onDrop))
+        }
+
+        this.loadFolder(this.getRootPath())
+    };
+
+    MediaEditor.prototype.handleSubmit = function ($form) {
+        if (this.uploading) {
+            return false
+        }
+
+        var value = this.isMultiple()
+            ? this.selection.slice()
+            : (this.selection.length > 0 ? this.selection[0] : '');
+
+        this.inspector.setPropertyValue(this.propertyDefinition.property, value)
+    };
+
+    //
+    // File list
+    //
+
+    MediaEditor.prototype.loadFolder = function (path) {
+        var self = this,
+            requestId = ++this.requestCounter;
+
+        this.currentPath = path;
+        this.items = [];
+        this.renderItems();
+        this.setStatus(Storm.inspector.lang.get('media.loading'));
+
+        Storm.inspector.mediaSources.list(this.getSource(), path, this.getSourceContext()).then(function (items) {
+            if (!self.popup || requestId !== self.requestCounter) {
+                return
+            }
+
+            self.items = self.filterItems(items);
+            self.renderItems();
+            self.updateStatus()
+        }, function (err) {
+            if (!self.popup || requestId !== self.requestCounter) {
+                return
+            }
+
+            self.updateStatus();
+            self.onSourceError(err)
+        })
+    };
+
+    MediaEditor.prototype.filterItems = function (items) {
+        var self = this;
+
+        return $.grep(items, function (item) {
+            return item.folder || self.isExtensionAllowed(item.name)
+        })
+    };
+
+    MediaEditor.prototype.isExtensionAllowed = function (fileName) {
+        var extensions = this.propertyDefinition.extensions;
+
+        if (!$.isArray(extensions) || extensions.length === 0) {
+            return true
+        }
+
+        var extension = getExtension(fileName);
+
+        for (var i = 0, len = extensions.length; i < len; i++) {
+            if (String(extensions[i]).toLowerCase().replace(/^\./, '') === extension) {
+                return true
+            }
+        }
+
+        return false
+    };
+
+    MediaEditor.prototype.renderItems = function () {
+        if (!this.popup) {
+            return
+        }
+
+        var $popup = $(this.popup),
+            list = $popup.find('ul.inspector-media-list').get(0);
+
+        list.innerHTML = '';
+
+        for (var i = 0, len = this.items.length; i < len; i++) {
+            list.appendChild(this.buildItem(this.items[i], i))
+        }
+
+        if (this.items.length === 0 && this.requestCounter > 0) {
+            var empty = document.createElement('li');
+
+            empty.setAttribute('class', 'empty');
+            empty.textContent = Storm.inspector.lang.get('media.empty');
+
+            list.appendChild(empty)
+        }
+
+        $popup.find('span.inspector-media-path').text(this.currentPath);
+        $popup.find('[data-cmd=media-up]').prop('disabled', this.currentPath === this.getRootPath())
+    };
+
+    MediaEditor.prototype.buildItem = function (item, index) {
+        var listItem = document.createElement('li'),
+            link = document.createElement('a'),
+            preview = document.createElement('span'),
+            name = document.createElement('span'),
+            selected = !item.folder && $.inArray(item.path, this.selection) !== -1;
+
+        listItem.setAttribute('class', item.folder ? 'folder' : 'file');
+        listItem.setAttribute('role', 'presentation');
+
+        link.setAttribute('href', '#');
+        link.setAttribute('data-media-item', index);
+        link.setAttribute('title', item.path);
+
+        if (!item.folder) {
+            link.setAttribute('role', 'option');
+            link.setAttribute('aria-selected', selected ? 'true' : 'false')
+        }
+
+        if (selected) {
+            Storm.foundation.element.addClass(listItem, 'selected')
+        }
+
+        preview.setAttribute('class', 'preview');
+
+        if (isImage(item)) {
+            var image = document.createElement('img');
+
+            image.setAttribute('src', item.url);
+            image.setAttribute('alt', '');
+            image.setAttribute('loading', 'lazy');
+
+            preview.appendChild(image)
+        }
+        else {
+            preview.setAttribute('class', 'preview ' + (item.folder ? 'oc-icon-folder' : 'oc-icon-file-o'))
+        }
+
+        name.setAttribute('class', 'name');
+        name.textContent = item.name;
+
+        link.appendChild(preview);
+        link.appendChild(name);
+        listItem.appendChild(link);
+
+        return listItem
+    };
+
+    MediaEditor.prototype.setStatus = function (text) {
+        if (this.popup) {
+            $(this.popup).find('p.inspector-media-status').text(text)
+        }
+    };
+
+    MediaEditor.prototype.updateStatus = function () {
+        var lang = Storm.inspector.lang;
+
+        if (this.isMultiple()) {
+            this.setStatus(lang.choice('media.selected_count', this.selection.length))
+        }
+        else {
+            this.setStatus(this.selection.length > 0 ? lang.get('media.selected', {path: this.selection[0]}) : '')
+        }
+    };
+
+    MediaEditor.prototype.toggleItem = function (item) {
+        var index = $.inArray(item.path, this.selection);
+
+        if (index !== -1) {
+            this.selection.splice(index, 1)
+        }
+        else if (this.isMultiple()) {
+            this.selection.push(item.path)
+        }
+        else {
+            this.selection = [item.path]
+        }
+
+        this.renderItems();
+        this.updateStatus();
+        this.focusItem(item)
+    };
+
+    MediaEditor.prototype.focusItem = function (item) {
+        var index = $.inArray(item, this.items);
+
+        if (index !== -1) {
+            $(this.popup).find('a[data-media-item="' + index + '"]').focus()
+        }
+    };
+
+    MediaEditor.prototype.getParentPath = function (path) {
+        var position = path.replace(/\/+$/, '').lastIndexOf('/');
+
+        return position > 0 ? path.substring(0, position) : '/'
+    };
+
+    //
+    // Uploading
+    //
+
+    MediaEditor.prototype.uploadFiles = function (files) {
+        var self = this,
+            source = this.getSource(),
+            context = this.getSourceContext(),
+            path = this.currentPath,
+            lang = Storm.inspector.lang,
+            uploaded = [],
+            chain = $.when();
+
+        if (this.uploading || files.length === 0) {
+            return
+        }
+
+        this.uploading = true;
+
+        $.each(files, function (index, file) {
+            if (!self.isExtensionAllowed(file.name)) {
+                // The flash message text is HTML, file names could contain markup
+                Storm.flashMsg({text: Storm.inspector.helpers.escapeHtml(lang.get('media.extension_not_allowed', {name: file.name})), 'class': 'error', 'interval': 5});
+                return
+            }
+
+            chain = chain.then(function () {
+                self.setStatus(lang.get('media.uploading', {name: file.name}));
+
+                return Storm.inspector.mediaSources.upload(source, file, path, context).then(function (item) {
+                    uploaded.push(item.path)
+                })
+            })
+        });
+
+        chain.then(null, this.proxy(this.onSourceError)).always(function () {
+            self.uploading = false;
+
+            if (!self.popup || self.isDisposed()) {
+                return
+            }
+
+            if (uploaded.length > 0 && !self.isMultiple()) {
+                self.selection = [uploaded[uploaded.length - 1]]
+            }
+            else {
+                for (var i = 0, len = uploaded.length; i < len; i++) {
+                    if ($.inArray(uploaded[i], self.selection) === -1) {
+                        self.selection.push(uploaded[i])
+                    }
+                }
+            }
+
+            self.loadFolder(path)
+        })
+    };
+
+    //
+    // Event handlers
+    //
+
+    MediaEditor.prototype.onPopupHidden = function (ev, link, popup) {
+        $(popup).off('.inspector');
+
+        this.requestCounter++;
+        this.items = [];
+        this.selection = [];
+
+        BaseProto.onPopupHidden.apply(this, arguments)
+    };
+
+    MediaEditor.prototype.onItemClick = function (ev) {
+        var item = this.items[ev.currentTarget.getAttribute('data-media-item')];
+
+        ev.preventDefault();
+
+        if (!item) {
+            return false
+        }
+
+        if (item.folder) {
+            this.loadFolder(item.path)
+        }
+        else {
+            this.toggleItem(item)
+        }
+
+        return false
+    };
+
+    MediaEditor.prototype.onItemDoubleClick = function (ev) {
+        var item = this.items[ev.currentTarget.getAttribute('data-media-item')];
+
+        ev.preventDefault();
+
+        if (!item || item.folder || this.isMultiple()) {
+            return false
+        }
+
+        this.selection = [item.path];
+        $(this.popup).find('form').trigger('submit');
+
+        return false
+    };
+
+    MediaEditor.prototype.onUpClick = function () {
+        if (this.currentPath !== this.getRootPath()) {
+            this.loadFolder(this.getParentPath(this.currentPath))
+        }
+    };
+
+    MediaEditor.prototype.onUploadClick = function () {
+        $(this.popup).find('input[data-media-file]').trigger('click')
+    };
+
+    MediaEditor.prototype.onFileInputChange = function (ev) {
+        var input = ev.currentTarget,
+            files = Array.prototype.slice.call(input.files);
+
+        // Reset the input, so that the same file could be selected again
+        input.value = '';
+
+        this.uploadFiles(files)
+    };
+
+    MediaEditor.prototype.onDragOver = function (ev) {
+        var dataTransfer = ev.originalEvent.dataTransfer;
+
+        if (!dataTransfer || $.inArray('Files', dataTransfer.types) === -1) {
+            return
+        }
+
+        ev.preventDefault();
+        dataTransfer.dropEffect = 'copy';
+        $(ev.currentTarget).addClass('drag-over')
+    };
+
+    MediaEditor.prototype.onDragLeave = function (ev) {
+        // Ignore events triggered when the pointer moves to a child element
+        if ($.contains(ev.currentTarget, ev.relatedTarget)) {
+            return
+        }
+
+        $(ev.currentTarget).removeClass('drag-over')
+    };
+
+    MediaEditor.prototype.onDrop = function (ev) {
+        var dataTransfer = ev.originalEvent.dataTransfer;
+
+        $(ev.currentTarget).removeClass('drag-over');
+
+        if (!dataTransfer || !dataTransfer.files) {
+            return
+        }
+
+        ev.preventDefault();
+        this.uploadFiles(Array.prototype.slice.call(dataTransfer.files))
+    };
+
+    MediaEditor.prototype.onSourceError = function (err) {
+        var message = err && err.message ? err.message : Storm.inspector.lang.get('media.source_error');
+
+        // Error messages are plain text and could include file names
+        Storm.flashMsg({text: Storm.inspector.helpers.escapeHtml(message), 'class': 'error', 'interval': 5})
+    };
+
+    //
+    // Internal functions
+    //
+
+    function getBaseName(path) {
+        var parts = String(path).replace(/\/+$/, '').split('/');
+
+        return parts[parts.length - 1]
+    }
+
+    function getExtension(fileName) {
+        var position = fileName.lastIndexOf('.');
+
+        return position !== -1 ? fileName.substring(position + 1).toLowerCase() : ''
+    }
+
+    function isImage(item) {
+        return !item.folder
+            && typeof item.url == 'string'
+            && $.inArray(getExtension(item.name), ['jpg', 'jpeg', 'png', 'gif', 'svg', 'webp', 'bmp']) !== -1
+    }
+
+    Storm.inspector.propertyEditors.media = MediaEditor
+}(window.jQuery);
\ No newline at end of file
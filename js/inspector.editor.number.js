@@ -0,0 +1,312 @@
+/*
+ * Inspector number editor class.
+ *
+ * Supported property definition attributes:
+ * - min - minimal value, optional
+ * - max - maximal value, optional
+ * - step - increment used by the stepper buttons, arrow keys and mouse wheel, 1 by default
+ * - unit - unit suffix displayed after the value, for example "px", optional
+ *
+ * The editor stores numbers in the property values. Empty values are stored as null.
+ */
++function ($) {
+    "use strict";
+
+    var Base = Storm.inspector.propertyEditors.string,
+        BaseProto = Base.prototype;
+
+    var NumberEditor = function (inspector, propertyDefinition, containerCell, group) {
+        Base.call(this, inspector, propertyDefinition, containerCell, group)
+    };
+
+    NumberEditor.prototype = Object.create(BaseProto);
+    NumberEditor.prototype.constructor = Base;
+
+    NumberEditor.prototype.build = function () {
+        BaseProto.build.call(this);
+
+        var input = this.getInput(),
+            stepper = document.createElement('div');
+
+        input.setAttribute('class', 'string-editor number-editor');
+        input.setAttribute('inputmode', 'decimal');
+        input.value = this.formatValue(this.inspector.getPropertyValue(this.propertyDefinition.property));
+
+        Storm.foundation.element.addClass(this.containerCell, 'number');
+
+        if (this.propertyDefinition.unit !== undefined) {
+            var unit = document.createElement('span');
+
+            unit.setAttribute('class', 'number-unit');
+            unit.textContent = this.propertyDefinition.unit;
+
+            Storm.foundation.element.addClass(this.containerCell, 'has-unit');
+            this.containerCell.appendChild(unit)
+        }
+
+        stepper.setAttribute('class', 'number-stepper');
+        stepper.innerHTML = '<a href="javascript:;" class="step-up" tabindex="-1" data-step="1"><span>+</span></a>' +
+            '<a href="javascript:;" class="step-down" tabindex="-1" data-step="-1"><span>-</span></a>';
+
+        this.containerCell.appendChild(stepper)
+    };
+
+    NumberEditor.prototype.updateDisplayedValue = function (value) {
+        this.getInput().value = this.formatValue(value)
+    };
+
+    NumberEditor.prototype.registerHandlers = function () {
+        BaseProto.registerHandlers.call(this);
+
+        var input = this.getInput();
+
+        input.addEventListener('keydown', this.proxy(this.onInputKeyDown));
+        input.addEventListener('blur', this.proxy(this.onInputBlur));
+        input.addEventListener('wheel', this.proxy(this.onInputWheel));
+        this.getStepper().addEventListener('mousedown', this.proxy(this.onStepperMouseDown))
+    };
+
+    NumberEditor.prototype.unregisterHandlers = function () {
+        BaseProto.unregisterHandlers.call(this);
+
+        var input = this.getInput();
+
+        input.removeEventListener('keydown', this.proxy(this.onInputKeyDown));
+        input.removeEventListener('blur', this.proxy(this.onInputBlur));
+        input.removeEventListener('wheel', this.proxy(this.onInputWheel));
+        this.getStepper().removeEventListener('mousedown', this.proxy(this.onStepperMouseDown))
+    };
+
+    NumberEditor.prototype.getStepper = function () {
+        return this.containerCell.querySelector('div.number-stepper')
+    };
+
+    NumberEditor.prototype.getUndefinedValue = function () {
+        var value = BaseProto.getUndefinedValue.call(this);
+
+        return value === undefined ? undefined : this.normalizeValue(value)
+    };
+
+    //
+    // Value handling
+    //
+
+    NumberEditor.prototype.formatValue = function (value) {
+        if (value === undefined) {
+            value = this.propertyDefinition.default
+        }
+
+        if (value === undefined || value === null) {
+            return ''
+        }
+
+        return String(value)
+    };
+
+    /*
+     * Converts a value entered by a user to a number. Returns null for
+     * empty values and the original string if the value is not a number,
+     * so that the validation could report the error.
+     */
+    NumberEditor.prototype.normalizeValue = function (value) {
+        if (typeof value == 'number') {
+            return value
+        }
+
+        if (value === null) {
+            return null
+        }
+
+        value = $.trim(String(value));
+
+        if (value.length === 0) {
+            return null
+        }
+
+        if (!/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(value)) {
+            return value
+        }
+
+        return parseFloat(value)
+    };
+
+    NumberEditor.prototype.getOption = function (name, defaultValue) {
+        var value = this.propertyDefinition[name];
+
+        if (value === undefined || value === null || value === '') {
+            return defaultValue
+        }
+
+        return parseFloat(value)
+    };
+
+    NumberEditor.prototype.clampValue = function (value) {
+        var min = this.getOption('min', null),
+            max = this.getOption('max', null);
+
+        if (min !== null && value < min) {
+            value = min
+        }
+
+        if (max !== null && value > max) {
+            value = max
+        }
+
+        return value
+    };
+
+    NumberEditor.prototype.getPrecision = function () {
+        var step = this.getOption('step', 1),
+            min = this.getOption('min', 0);
+
+        return Math.max(countDecimals(step), countDecimals(min))
+    };
+
+    NumberEditor.prototype.stepValue = function (direction, multiplier) {
+        var value = this.normalizeValue(this.getInput().value),
+            step = this.getOption('step', 1) * (multiplier ? multiplier : 1),
+            precision = this.getPrecision();
+
+        if (typeof value != 'number') {
+            var min = this.getOption('min', null);
+
+            value = min !== null ? min : 0
+        }
+        else {
+            // Keep the decimals entered by the user
+            precision = Math.max(precision, countDecimals(value));
+            value = value + step * direction
+        }
+
+        value = this.clampValue(parseFloat(value.toFixed(precision)));
+
+        this.getInput().value = this.formatValue(value);
+        this.inspector.setPropertyValue(this.propertyDefinition.property, value)
+    };
+
+    //
+    // Validation
+    //
+
+    NumberEditor.prototype.validate = function (silentMode) {
+        if (!BaseProto.validate.call(this, silentMode)) {
+            return false
+        }
+
+        var value = this.getValueToValidate(),
+            message = null;
+
+        if (value === undefined) {
+            value = this.getUndefinedValue()
+        }
+
+        if (value === undefined || value === null) {
+            return true
+        }
+
+        var min = this.getOption('min', null),
+            max = this.getOption('max', null);
+
+        if (typeof value != 'number') {
+            message = Storm.inspector.lang.get('editor.number_invalid')
+        }
+        else if (min !== null && value < min) {
+            message = Storm.inspector.lang.get('editor.number_min', {min: min})
+        }
+        else if (max !== null && value > max) {
+            message = Storm.inspector.lang.get('editor.number_max', {max: max})
+        }
+
+        if (message === null) {
+            return true
+        }
+
+        if (!silentMode) {
+            Storm.flashMsg({text: message, 'class': 'error', 'interval': 5})
+        }
+
+        return false
+    };
+
+    //
+    // Event handlers
+    //
+
+    NumberEditor.prototype.onInputKeyUp = function (ev) {
+        if (ev && (ev.keyCode == 38 || ev.keyCode == 40)) {
+            return
+        }
+
+        var value = this.normalizeValue(this.getInput().value);
+
+        this.inspector.setPropertyValue(this.propertyDefinition.property, value)
+    };
+
+    NumberEditor.prototype.onInputKeyDown = function (ev) {
+        if (ev.keyCode != 38 && ev.keyCode != 40) {
+            return
+        }
+
+        this.stepValue(ev.keyCode == 38 ? 1 : -1, ev.shiftKey ? 10 : 1);
+
+        ev.preventDefault()
+    };
+
+    NumberEditor.prototype.onInputWheel = function (ev) {
+        // The value is changed with the mouse wheel only when the editor
+        // is focused, otherwise the wheel would prevent scrolling Inspector.
+        if (document.activeElement !== this.getInput() || ev.deltaY == 0) {
+            return
+        }
+
+        this.stepValue(ev.deltaY < 0 ? 1 : -1, ev.shiftKey ? 10 : 1);
+
+        ev.preventDefault()
+    };
+
+    NumberEditor.prototype.onInputBlur = function () {
+        var value = this.normalizeValue(this.getInput().value);
+
+        if (typeof value != 'number') {
+            return
+        }
+
+        var clamped = this.clampValue(value);
+
+        if (clamped !== value) {
+            this.getInput().value = this.formatValue(clamped);
+            this.inspector.setPropertyValue(this.propertyDefinition.property, clamped)
+        }
+    };
+
+    NumberEditor.prototype.onStepperMouseDown = function (ev) {
+        var link = $(ev.target).closest('a[data-step]').get(0);
+
+        if (!link) {
+            return
+        }
+
+        if (this.getInput().disabled || Storm.foundation.element.hasClass(this.containerRow, 'condition-disabled')) {
+            ev.preventDefault();
+            return
+        }
+
+        // Keep the focus in the input element
+        ev.preventDefault();
+
+        this.focus();
+        this.stepValue(parseInt(link.getAttribute('data-step')), ev.shiftKey ? 10 : 1)
+    };
+
+    //
+    // Helpers
+    //
+
+    function countDecimals(value) {
+        var parts = String(value).split('.');
+
+        return parts.length > 1 ? parts[1].length : 0
+    }
+
+    Storm.inspector.propertyEditors.number = NumberEditor
+}(window.jQuery);
\ No newline at end of file
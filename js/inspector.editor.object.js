@@ -36,7 +36,8 @@
             options = {
                 enableExternalParameterEditor: false,
                 onChange: this.proxy(this.onInspectorDataChange),
-                inspectorClass: this.inspector.options.inspectorClass
+                inspectorClass: this.inspector.options.inspectorClass,
+                rules: this.propertyDefinition.rules
             },
             values = this.inspector.getPropertyValue(this.propertyDefinition.property);
 
@@ -99,6 +100,18 @@
         return true
     };
 
+    ObjectEditor.prototype.updateDisplayedValue = function (value) {
+        if (!value || typeof value !== 'object') {
+            value = {}
+        }
+
+        for (var i = 0, len = this.propertyDefinition.properties.length; i < len; i++) {
+            var propertyName = this.propertyDefinition.properties[i].property;
+
+            this.childInspector.setPropertyValue(propertyName, value[propertyName], true, true)
+        }
+    };
+
     ObjectEditor.prototype.getUndefinedValue = function () {
         var result = {};
 
@@ -127,6 +140,20 @@
         return this.childInspector.validate(silentMode)
     };
 
+    ObjectEditor.prototype.hasAsyncValidation = function () {
+        return this.childInspector.hasAsyncValidation()
+    };
+
+    ObjectEditor.prototype.validateAsync = function (silentMode) {
+        var values = this.childInspector.getValues();
+
+        if (this.cleanUpValue(values) === Storm.inspector.removedProperty) {
+            return $.Deferred().resolve(true).promise()
+        }
+
+        return this.childInspector.validateAsync(silentMode)
+    };
+
     //
     // Event handlers
     //
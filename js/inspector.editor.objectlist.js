@@ -1,5 +1,9 @@
 /*
  * Inspector object list editor class.
+ *
+ * Items can be reordered by dragging the rows, with the toolbar
+ * buttons or with Alt+Up and Alt+Down keys. Items can be imported
+ * and exported as lines, CSV, TSV and JSON.
  */
 +function ($) {
     "use strict";
@@ -10,6 +14,7 @@
     var ObjectListEditor = function (inspector, propertyDefinition, containerCell, group) {
         this.currentRowInspector = null;
         this.popup = null;
+        this.draggedRow = null;
 
         if (propertyDefinition.titleProperty === undefined) {
             throw new Error('The titleProperty property should be specified in the objectList editor configuration. Property: ' + propertyDefinition.property)
@@ -44,6 +49,7 @@
 
         this.currentRowInspector = null;
         this.popup = null;
+        this.draggedRow = null;
 
         BaseProto.dispose.call(this)
     };
@@ -52,6 +58,10 @@
         return false
     };
 
+    ObjectListEditor.prototype.updateDisplayedValue = function (value) {
+        this.setLinkText(this.getLink(), value)
+    };
+
     //
     // Building
     //
@@ -84,7 +94,7 @@
                 link.textContent = placeholder
             }
             else {
-                link.textContent = 'Items: 0'
+                link.textContent = Storm.inspector.lang.choice('editor.items_count', 0)
             }
         }
         else {
@@ -106,11 +116,13 @@
             }
 
             Storm.foundation.element.removeClass(link, 'placeholder');
-            link.textContent = 'Items: ' + itemCount
+            link.textContent = Storm.inspector.lang.choice('editor.items_count', itemCount)
         }
     };
 
     ObjectListEditor.prototype.getPopupContent = function () {
+        var lang = Storm.inspector.lang;
+
         return '<form>                                                                                  \
                 <div class="modal-header">                                                              \
                     <button type="button" class="close" data-dismiss="popup">&times;</button>           \
@@ -128,12 +140,40 @@
                                                     <div class="btn-group">                             \
                                                         <button type="button" class="btn btn-primary    \
                                                             oc-icon-plus"                               \
-                                                            data-cmd="create-item">Add</button>         \
+                                                            data-cmd="create-item">' + lang.get('editor.add') + '</button> \
+                                                        <button type="button" class="btn btn-default    \
+                                                            empty oc-icon-copy"                         \
+                                                            title="' + lang.get('objectlist.duplicate') + '" \
+                                                            data-cmd="duplicate-item"></button>         \
                                                         <button type="button" class="btn btn-default    \
                                                             empty oc-icon-trash-o"                      \
                                                             data-cmd="delete-item"></button>            \
                                                     </div>                                              \
                                                 </div>                                                  \
+                                                <div class="toolbar-item">                              \
+                                                    <div class="btn-group">                             \
+                                                        <button type="button" class="btn btn-default    \
+                                                            empty oc-icon-arrow-up"                     \
+                                                            title="' + lang.get('objectlist.move_up') + '" \
+                                                            data-cmd="move-item-up"></button>           \
+                                                        <button type="button" class="btn btn-default    \
+                                                            empty oc-icon-arrow-down"                   \
+                                                            title="' + lang.get('objectlist.move_down') + '" \
+                                                            data-cmd="move-item-down"></button>         \
+                                                    </div>                                              \
+                                                </div>                                                  \
+                                                <div class="toolbar-item">                              \
+                                                    <div class="btn-group">                             \
+                                                        <button type="button" class="btn btn-default    \
+                                                            empty oc-icon-upload"                       \
+                                                            title="' + lang.get('editor.import') + '"   \
+                                                            data-cmd="bulk-import"></button>            \
+                                                        <button type="button" class="btn btn-default    \
+                                                            empty oc-icon-download"                     \
+                                                            title="' + lang.get('editor.export') + '"   \
+                                                            data-cmd="bulk-export"></button>            \
+                                                    </div>                                              \
+                                                </div>                                                  \
                                             </div>                                                      \
                                         </div>                                                          \
                                         <div class="layout-row">                                        \
@@ -172,8 +212,8 @@
                     </div>                                                                              \
                 </div>                                                                                  \
                 <div class="modal-footer">                                                              \
-                    <button type="submit" class="btn btn-primary">OK</button>                           \
-                    <button type="button" class="btn btn-default" data-dismiss="popup">Cancel</button>  \
+                    <button type="submit" class="btn btn-primary">' + lang.get('popup.ok') + '</button> \
+                    <button type="button" class="btn btn-default" data-dismiss="popup">' + lang.get('popup.cancel') + '</button> \
                 </div>                                                                                  \
                 </form>'
     };
@@ -182,12 +222,19 @@
         this.buildItemsTable(popup)
     };
 
-    ObjectListEditor.prototype.buildItemsTable = function (popup) {
+    /*
+     * Builds the table rows. Items are loaded from the property
+     * value if the items argument is omitted.
+     */
+    ObjectListEditor.prototype.buildItemsTable = function (popup, items) {
         var table = popup.querySelector('table'),
             tbody = document.createElement('tbody'),
-            items = this.inspector.getPropertyValue(this.propertyDefinition.property),
             titleProperty = this.propertyDefinition.titleProperty;
 
+        if (items === undefined) {
+            items = this.inspector.getPropertyValue(this.propertyDefinition.property)
+        }
+
         if (items === undefined || this.getValueKeys(items).length === 0) {
             var row = this.buildEmptyRow();
 
@@ -221,7 +268,7 @@
     };
 
     ObjectListEditor.prototype.buildEmptyRow = function () {
-        return this.buildTableRow('No items found', 'no-data', 'nolink')
+        return this.buildTableRow(Storm.inspector.lang.get('objectlist.no_items'), 'no-data', 'nolink')
     };
 
     ObjectListEditor.prototype.removeEmptyRow = function () {
@@ -247,6 +294,10 @@
             Storm.foundation.element.addClass(cell, cellClass)
         }
 
+        if (Storm.foundation.element.hasClass(row, 'rowlink')) {
+            row.setAttribute('draggable', 'true')
+        }
+
         row.appendChild(cell);
         return row
     };
@@ -302,7 +353,8 @@
             options = {
                 enableExternalParameterEditor: false,
                 onChange: this.proxy(this.onInspectorDataChange),
-                inspectorClass: this.inspector.options.inspectorClass
+                inspectorClass: this.inspector.options.inspectorClass,
+                rules: this.propertyDefinition.itemRules
             };
 
         this.currentRowInspector = new Storm.inspector.surface(inspectorContainer, properties, values,
@@ -337,7 +389,7 @@
         value = $.trim(value);
 
         if (value.length === 0) {
-            value = '[No title]';
+            value = Storm.inspector.lang.get('objectlist.no_title');
             Storm.foundation.element.addClass(selectedRow, 'disabled')
         }
         else {
@@ -383,7 +435,7 @@
 
         this.disposeInspector();
 
-        var title = 'New item',
+        var title = Storm.inspector.lang.get('objectlist.new_item'),
             row = this.buildTableRow(title, 'rowlink active'),
             tbody = this.getTableBody(),
             data = {};
@@ -425,12 +477,82 @@
         this.updateScrollpads()
     };
 
+    ObjectListEditor.prototype.duplicateItem = function () {
+        var selectedRow = this.getSelectedRow();
+
+        if (!selectedRow) {
+            return
+        }
+
+        if (!this.validateKeyValue()) {
+            return
+        }
+
+        if (this.currentRowInspector) {
+            if (!this.currentRowInspector.validate()) {
+                return
+            }
+        }
+
+        this.applyDataToRow(selectedRow);
+
+        var data = $.parseJSON(selectedRow.getAttribute('data-inspector-values')),
+            row = this.buildTableRow(selectedRow.firstChild.textContent, 'rowlink');
+
+        if (this.isKeyValueMode()) {
+            var key = this.getUniqueKey(data[this.propertyDefinition.keyProperty]);
+
+            if (key === null) {
+                Storm.flashMsg({
+                    text: Storm.inspector.lang.get('objectlist.duplicate_no_keys', {property: Storm.inspector.lang.translate(this.getKeyProperty().title)}),
+                    'class': 'error',
+                    'interval': 3
+                });
+                return
+            }
+
+            data[this.propertyDefinition.keyProperty] = key
+        }
+
+        if (Storm.foundation.element.hasClass(selectedRow, 'disabled')) {
+            Storm.foundation.element.addClass(row, 'disabled')
+        }
+
+        row.setAttribute('data-inspector-values', JSON.stringify(data));
+        this.getTableBody().insertBefore(row, selectedRow.nextSibling);
+
+        this.selectRow(row);
+        this.updateScrollpads()
+    };
+
+    /*
+     * Moves the selected row up (direction -1) or down (direction 1).
+     */
+    ObjectListEditor.prototype.moveItem = function (direction) {
+        var selectedRow = this.getSelectedRow();
+
+        if (!selectedRow) {
+            return
+        }
+
+        var tbody = this.getTableBody(),
+            sibling = direction < 0 ? selectedRow.previousElementSibling : selectedRow.nextElementSibling;
+
+        if (!sibling) {
+            return
+        }
+
+        if (direction < 0) {
+            tbody.insertBefore(selectedRow, sibling)
+        }
+        else {
+            tbody.insertBefore(sibling, selectedRow)
+        }
+    };
+
     ObjectListEditor.prototype.applyDataToParentInspector = function () {
         var selectedRow = this.getSelectedRow(),
-            tbody = this.getTableBody(),
-            dataRows = tbody.querySelectorAll('tr[data-inspector-values]'),
-            link = this.getLink(),
-            result = this.getEmptyValue();
+            link = this.getLink();
 
         if (selectedRow) {
             if (!this.validateKeyValue()) {
@@ -446,6 +568,22 @@
             this.applyDataToRow(selectedRow)
         }
 
+        var result = this.getTableValue();
+
+        this.inspector.setPropertyValue(this.propertyDefinition.property, result);
+        this.setLinkText(link, result);
+
+        $(link).popup('hide');
+        return false
+    };
+
+    /*
+     * Returns the editor value built from the table rows.
+     */
+    ObjectListEditor.prototype.getTableValue = function () {
+        var dataRows = this.getTableBody().querySelectorAll('tr[data-inspector-values]'),
+            result = this.getEmptyValue();
+
         for (var i = 0, len = dataRows.length; i < len; i++) {
             var dataRow = dataRows[i],
                 rowData = $.parseJSON(dataRow.getAttribute('data-inspector-values'));
@@ -460,11 +598,7 @@
             }
         }
 
-        this.inspector.setPropertyValue(this.propertyDefinition.property, result);
-        this.setLinkText(link, result);
-
-        $(link).popup('hide');
-        return false
+        return result
     };
 
     ObjectListEditor.prototype.validateKeyValue = function () {
@@ -484,7 +618,7 @@
         }
 
         var keyPropertyValue = data[keyProperty],
-            keyPropertyTitle = this.getKeyProperty().title;
+            keyPropertyTitle = Storm.inspector.lang.translate(this.getKeyProperty().title);
 
         if (typeof keyPropertyValue !== 'string') {
             throw new Error('Key property (' + keyProperty + ') value should be a string. Property: ' + this.propertyDefinition.property)
@@ -492,7 +626,7 @@
 
         if ($.trim(keyPropertyValue).length === 0) {
             Storm.flashMsg({
-                text: 'The value of key property ' + keyPropertyTitle + ' cannot be empty.',
+                text: Storm.inspector.lang.get('objectlist.key_required', {property: keyPropertyTitle}),
                 'class': 'error',
                 'interval': 3
             });
@@ -513,7 +647,7 @@
 
             if (rowData[keyProperty] == keyPropertyValue) {
                 Storm.flashMsg({
-                    text: 'The value of key property ' + keyPropertyTitle + ' should be unique.',
+                    text: Storm.inspector.lang.get('objectlist.key_unique', {property: keyPropertyTitle}),
                     'class': 'error',
                     'interval': 3
                 });
@@ -524,6 +658,278 @@
         return true
     };
 
+    /*
+     * Returns a key value which is not used by other rows, based on the
+     * specified key. Returns null if a unique key cannot be generated,
+     * for example if all options of a drop-down key property are used.
+     */
+    ObjectListEditor.prototype.getUniqueKey = function (key) {
+        var dataRows = this.getTableBody().querySelectorAll('tr[data-inspector-values]'),
+            keyPropertyDefinition = this.getKeyProperty(),
+            keys = [];
+
+        for (var i = 0, len = dataRows.length; i < len; i++) {
+            var rowData = $.parseJSON(dataRows[i].getAttribute('data-inspector-values'));
+
+            keys.push(String(rowData[this.propertyDefinition.keyProperty]))
+        }
+
+        if (keyPropertyDefinition.type === 'dropdown') {
+            for (var option in keyPropertyDefinition.options) {
+                if ($.inArray(option, keys) === -1) {
+                    return option
+                }
+            }
+
+            return null
+        }
+
+        var candidate = key + '-copy',
+            index = 2;
+
+        while ($.inArray(candidate, keys) !== -1) {
+            candidate = key + '-copy-' + index;
+            index++
+        }
+
+        return candidate
+    };
+
+    //
+    // Bulk data
+    //
+
+    ObjectListEditor.prototype.getBulkDataFormats = function () {
+        return ['lines', 'csv', 'tsv', 'json']
+    };
+
+    /*
+     * Imports items. The CSV and TSV data should have a header row with
+     * names or titles of the item properties. Lines are imported as
+     * values of the title property.
+     */
+    ObjectListEditor.prototype.importBulkData = function (text, format) {
+        var items = this.parseBulkDataItems(text, format),
+            keys = [],
+            result = this.getEmptyValue();
+
+        for (var i = 0, len = items.length; i < len; i++) {
+            var item = items[i],
+                errorMessage = this.validateImportedItem(item, keys);
+
+            if (errorMessage !== null) {
+                Storm.flashMsg({text: Storm.inspector.lang.get('bulk.item_error', {item: i + 1, message: errorMessage}), 'class': 'error', 'interval': 5});
+                return false
+            }
+
+            if (!this.isKeyValueMode()) {
+                result.push(item)
+            }
+            else {
+                var key = item[this.propertyDefinition.keyProperty];
+
+                keys.push(key);
+                result[key] = this.removeKeyProperty(item)
+            }
+        }
+
+        var tbody = this.getTableBody();
+
+        this.disposeInspector();
+        tbody.parentNode.removeChild(tbody);
+
+        this.buildItemsTable(this.popup, result)
+    };
+
+    ObjectListEditor.prototype.parseBulkDataItems = function (text, format) {
+        var bulkData = Storm.inspector.bulkData,
+            result = [];
+
+        if (format === 'json') {
+            var value = bulkData.parseJson(text);
+
+            if ($.isPlainObject(value) && this.isKeyValueMode()) {
+                for (var key in value) {
+                    result.push(this.addKeyProperty(key, $.extend({}, value[key])))
+                }
+            }
+            else if ($.isArray(value)) {
+                result = value
+            }
+            else {
+                throw new Error(Storm.inspector.lang.get('objectlist.json_objects'))
+            }
+
+            for (var i = 0, len = result.length; i < len; i++) {
+                if (!$.isPlainObject(result[i])) {
+                    throw new Error(Storm.inspector.lang.get('objectlist.json_objects'))
+                }
+            }
+
+            return result
+        }
+
+        if (format === 'lines') {
+            var lines = bulkData.parseLines(text);
+
+            for (var j = 0, linesLen = lines.length; j < linesLen; j++) {
+                var item = {};
+
+                item[this.propertyDefinition.titleProperty] = lines[j];
+                result.push(item)
+            }
+
+            return result
+        }
+
+        var rows = bulkData.parseDelimited(text, format),
+            columns = [];
+
+        if (rows.length === 0) {
+            return result
+        }
+
+        for (var columnIndex = 0, columnsLen = rows[0].length; columnIndex < columnsLen; columnIndex++) {
+            var column = this.findItemProperty(rows[0][columnIndex]);
+
+            if (column === null) {
+                throw new Error(Storm.inspector.lang.get('objectlist.unknown_column', {column: rows[0][columnIndex]}))
+            }
+
+            columns.push(column)
+        }
+
+        for (var rowIndex = 1, rowsLen = rows.length; rowIndex < rowsLen; rowIndex++) {
+            var rowItem = {};
+
+            for (var cellIndex = 0, cellsLen = Math.min(rows[rowIndex].length, columns.length); cellIndex < cellsLen; cellIndex++) {
+                var cell = rows[rowIndex][cellIndex];
+
+                if (cell.length > 0) {
+                    rowItem[columns[cellIndex].property] = this.convertCellValue(cell, columns[cellIndex])
+                }
+            }
+
+            result.push(rowItem)
+        }
+
+        return result
+    };
+
+    /*
+     * Finds an item property by its name or title, ignoring the case.
+     */
+    ObjectListEditor.prototype.findItemProperty = function (nameOrTitle) {
+        var lowerCaseName = $.trim(nameOrTitle).toLowerCase(),
+            properties = this.propertyDefinition.itemProperties;
+
+        for (var i = 0, len = properties.length; i < len; i++) {
+            var property = properties[i];
+
+            if (property.property.toLowerCase() === lowerCaseName ||
+                (property.title !== undefined && String(Storm.inspector.lang.translate(property.title)).toLowerCase() === lowerCaseName)) {
+                return property
+            }
+        }
+
+        return null
+    };
+
+    ObjectListEditor.prototype.convertCellValue = function (cell, propertyDefinition) {
+        if (propertyDefinition.type === 'checkbox') {
+            if (/^(1|true|yes|on)$/i.test(cell)) {
+                return true
+            }
+
+            if (/^(0|false|no|off)$/i.test(cell)) {
+                return false
+            }
+        }
+
+        return Storm.inspector.attributeValues.decode(cell, propertyDefinition)
+    };
+
+    /*
+     * Validates an imported item with the validation sets of the item
+     * properties. Returns the error message or null.
+     */
+    ObjectListEditor.prototype.validateImportedItem = function (item, keys) {
+        if (this.isKeyValueMode()) {
+            var key = item[this.propertyDefinition.keyProperty],
+                keyPropertyTitle = Storm.inspector.lang.translate(this.getKeyProperty().title);
+
+            if (typeof key !== 'string' || $.trim(key).length === 0) {
+                return Storm.inspector.lang.get('objectlist.key_required', {property: keyPropertyTitle})
+            }
+
+            if ($.inArray(key, keys) !== -1) {
+                return Storm.inspector.lang.get('objectlist.key_unique', {property: keyPropertyTitle})
+            }
+        }
+
+        var properties = this.propertyDefinition.itemProperties;
+
+        for (var i = 0, len = properties.length; i < len; i++) {
+            var property = properties[i],
+                validationSet = new Storm.inspector.validationSet(property, property.property),
+                value = item[property.property] !== undefined ? item[property.property] : property['default'],
+                validationResult = validationSet.validate(value);
+
+            validationSet.dispose();
+
+            if (validationResult !== null) {
+                return validationResult
+            }
+        }
+
+        return null
+    };
+
+    ObjectListEditor.prototype.exportBulkData = function (format) {
+        var bulkData = Storm.inspector.bulkData,
+            selectedRow = this.getSelectedRow(),
+            titleProperty = this.propertyDefinition.titleProperty;
+
+        // Include unsaved changes of the selected item
+        if (selectedRow) {
+            this.applyDataToRow(selectedRow)
+        }
+
+        if (format === 'json') {
+            return bulkData.formatJson(this.getTableValue())
+        }
+
+        var dataRows = this.getTableBody().querySelectorAll('tr[data-inspector-values]'),
+            properties = this.propertyDefinition.itemProperties,
+            header = [],
+            rows = [],
+            lines = [];
+
+        for (var i = 0, len = properties.length; i < len; i++) {
+            header.push(properties[i].property)
+        }
+
+        rows.push(header);
+
+        for (var j = 0, rowsLen = dataRows.length; j < rowsLen; j++) {
+            var rowData = $.parseJSON(dataRows[j].getAttribute('data-inspector-values')),
+                row = [];
+
+            for (var k = 0, propertiesLen = properties.length; k < propertiesLen; k++) {
+                row.push(bulkData.valueToCell(rowData[properties[k].property]))
+            }
+
+            rows.push(row);
+            lines.push(bulkData.valueToCell(rowData[titleProperty]))
+        }
+
+        if (format === 'lines') {
+            return bulkData.formatLines(lines)
+        }
+
+        return bulkData.formatDelimited(rows, format)
+    };
+
     //
     // Helpers
     //
@@ -647,6 +1053,11 @@
         $(popup).on('submit.inspector', 'form', this.proxy(this.onSubmit));
         $(popup).on('click', 'tr.rowlink', this.proxy(this.onRowClick));
         $(popup).on('click.inspector', '[data-cmd]', this.proxy(this.onCommand));
+        $(popup).on('keydown.inspector', this.proxy(this.onPopupKeyDown));
+        $(popup).on('dragstart.inspector', 'tr.rowlink', this.proxy(this.onRowDragStart));
+        $(popup).on('dragover.inspector', 'tr.rowlink', this.proxy(this.onRowDragOver));
+        $(popup).on('drop.inspector', 'tr.rowlink', this.proxy(this.onRowDrop));
+        $(popup).on('dragend.inspector', 'tr.rowlink', this.proxy(this.onRowDragEnd));
 
         this.popup = popup.get(0);
 
@@ -658,11 +1069,17 @@
         $(popup).off('.inspector', this.proxy(this.onSubmit));
         $(popup).off('click', 'tr.rowlink', this.proxy(this.onRowClick));
         $(popup).off('click.inspector', '[data-cmd]', this.proxy(this.onCommand));
+        $(popup).off('keydown.inspector', this.proxy(this.onPopupKeyDown));
+        $(popup).off('dragstart.inspector', 'tr.rowlink', this.proxy(this.onRowDragStart));
+        $(popup).off('dragover.inspector', 'tr.rowlink', this.proxy(this.onRowDragOver));
+        $(popup).off('drop.inspector', 'tr.rowlink', this.proxy(this.onRowDrop));
+        $(popup).off('dragend.inspector', 'tr.rowlink', this.proxy(this.onRowDragEnd));
 
         this.disposeInspector();
         Storm.foundation.controlUtils.disposeControls(this.popup);
 
         this.popup = null;
+        this.draggedRow = null;
         this.getRootSurface().popupHidden()
     };
 
@@ -691,9 +1108,92 @@
             case 'delete-item' :
                 this.deleteItem();
                 break;
+            case 'duplicate-item' :
+                this.duplicateItem();
+                break;
+            case 'move-item-up' :
+                this.moveItem(-1);
+                break;
+            case 'move-item-down' :
+                this.moveItem(1);
+                break;
+            case 'bulk-import' :
+                this.showBulkDataPopup('import');
+                break;
+            case 'bulk-export' :
+                this.showBulkDataPopup('export');
+                break;
+        }
+    };
+
+    ObjectListEditor.prototype.onPopupKeyDown = function (ev) {
+        // Alt+Up and Alt+Down move the selected item
+
+        if (!ev.altKey || (ev.keyCode != 38 && ev.keyCode != 40)) {
+            return
+        }
+
+        this.moveItem(ev.keyCode == 38 ? -1 : 1);
+
+        Storm.foundation.event.stop(ev);
+        return false
+    };
+
+    ObjectListEditor.prototype.onRowDragStart = function (ev) {
+        var dataTransfer = ev.originalEvent.dataTransfer;
+
+        this.draggedRow = ev.currentTarget;
+
+        dataTransfer.effectAllowed = 'move';
+        // Firefox doesn't start dragging without data
+        dataTransfer.setData('text', '');
+
+        Storm.foundation.element.addClass(this.draggedRow, 'dragging')
+    };
+
+    ObjectListEditor.prototype.onRowDragOver = function (ev) {
+        if (!this.draggedRow) {
+            return
+        }
+
+        var row = ev.currentTarget;
+
+        ev.preventDefault();
+        ev.originalEvent.dataTransfer.dropEffect = 'move';
+
+        if (row === this.draggedRow) {
+            return
+        }
+
+        // Rows are moved while dragging, so the row order
+        // is always visible.
+
+        var mousePosition = Storm.foundation.event.pageCoordinates(ev.originalEvent),
+            rowPosition = Storm.foundation.element.absolutePosition(row),
+            tbody = this.getTableBody();
+
+        if (mousePosition.y <= rowPosition.top + row.offsetHeight / 2) {
+            tbody.insertBefore(this.draggedRow, row)
+        }
+        else {
+            tbody.insertBefore(this.draggedRow, row.nextSibling)
+        }
+    };
+
+    ObjectListEditor.prototype.onRowDrop = function (ev) {
+        if (this.draggedRow) {
+            ev.preventDefault()
         }
     };
 
+    ObjectListEditor.prototype.onRowDragEnd = function (ev) {
+        if (this.draggedRow) {
+            Storm.foundation.element.removeClass(this.draggedRow, 'dragging')
+        }
+
+        this.draggedRow = null
+    };
+
     //
     // Disposing
     //
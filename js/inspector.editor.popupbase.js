@@ -38,7 +38,16 @@
     PopupBase.prototype.setLinkText = function (link, value) {
     };
 
+    PopupBase.prototype.markMixedValue = function () {
+        var link = this.getLink();
+
+        link.textContent = Storm.inspector.lang.get('editor.mixed_value');
+        Storm.foundation.element.addClass(link, 'placeholder')
+    };
+
     PopupBase.prototype.getPopupContent = function () {
+        var lang = Storm.inspector.lang;
+
         return '<form>                                                                                  \
                 <div class="modal-header">                                                              \
                     <button type="button" class="close" data-dismiss="popup">&times;</button>           \
@@ -49,8 +58,8 @@
                     </div>                                                                              \
                 </div>                                                                                  \
                 <div class="modal-footer">                                                              \
-                    <button type="submit" class="btn btn-primary">OK</button>                           \
-                    <button type="button" class="btn btn-default" data-dismiss="popup">Cancel</button>  \
+                    <button type="submit" class="btn btn-primary">' + lang.get('popup.ok') + '</button> \
+                    <button type="button" class="btn btn-default" data-dismiss="popup">' + lang.get('popup.cancel') + '</button> \
                 </div>                                                                                  \
                 </form>'
     };
@@ -81,6 +90,13 @@
         return this.containerCell.querySelector('a.trigger')
     };
 
+    /*
+     * Returns the popup size, for example 'large', or null for the default size.
+     */
+    PopupBase.prototype.getPopupSize = function () {
+        return null
+    };
+
     PopupBase.prototype.configurePopup = function (popup) {
     };
 
@@ -94,12 +110,20 @@
     PopupBase.prototype.onTriggerClick = function (ev) {
         Storm.foundation.event.stop(ev);
 
+        if (Storm.foundation.element.hasClass(this.containerRow, 'condition-disabled')) {
+            // The property is disabled with the disabledIf condition
+            return false
+        }
+
         var content = this.getPopupContent();
 
         content = content.replace('{{property}}', this.propertyDefinition.title);
 
-        $(ev.target).popup({
-            content: content
+        // Use the link element, as the event target could be an element
+        // inside the link, for example the color swatch.
+        $(ev.currentTarget).popup({
+            content: content,
+            size: this.getPopupSize()
         });
 
         return false
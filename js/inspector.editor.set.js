@@ -168,9 +168,7 @@
         data['inspectorProperty'] = this.getPropertyPath();
         data['inspectorClassName'] = this.inspector.options.inspectorClass;
 
-        $form.request('onInspectableGetOptions', {
-            data: data,
-        })
+        Storm.inspector.dataProvider.request('options', data, $form)
             .done(this.proxy(this.itemsRequestDone))
             .always(this.proxy(this.hideLoadingIndicator))
     };
@@ -280,6 +278,16 @@
         return true
     };
 
+    SetEditor.prototype.updateDisplayedValue = function (value) {
+        for (var i = 0, len = this.editors.length; i < len; i++) {
+            var editor = this.editors[i];
+
+            editor.updateDisplayedValue(this.getPropertyValue(editor.getPropertyName()))
+        }
+
+        this.setLinkText(this.getLink())
+    };
+
     //
     // Inspector API methods
     //
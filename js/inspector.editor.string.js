@@ -45,6 +45,14 @@
     };
 
     StringEditor.prototype.updateDisplayedValue = function (value) {
+        if (value === undefined) {
+            value = this.propertyDefinition.default
+        }
+
+        if (value === undefined) {
+            value = ''
+        }
+
         this.getInput().value = value
     };
 
@@ -1,5 +1,7 @@
 /*
  * Inspector string list editor class.
+ *
+ * Items can be imported and exported as lines, CSV, TSV and JSON.
  */
 +function ($) {
     "use strict";
@@ -41,6 +43,39 @@
         }
     };
 
+    StringListEditor.prototype.getPopupContent = function () {
+        var lang = Storm.inspector.lang;
+
+        return '<form>                                                                                  \
+                <div class="modal-header">                                                              \
+                    <button type="button" class="close" data-dismiss="popup">&times;</button>           \
+                    <h4 class="modal-title">{{property}}</h4>                                           \
+                </div>                                                                                  \
+                <div class="modal-body">                                                                \
+                    <div class="control-toolbar">                                                       \
+                        <div class="toolbar-item">                                                      \
+                            <div class="btn-group">                                                     \
+                                <button type="button" class="btn btn-default                            \
+                                    oc-icon-upload"                                                     \
+                                    data-cmd="bulk-import">' + lang.get('editor.import') + '</button>   \
+                                <button type="button" class="btn btn-default                            \
+                                    oc-icon-download"                                                   \
+                                    data-cmd="bulk-export">' + lang.get('editor.export') + '</button>   \
+                            </div>                                                                      \
+                        </div>                                                                          \
+                    </div>                                                                              \
+                    <div class="form-group">                                                            \
+                        <p class="inspector-field-comment"></p>                                         \
+                        <textarea class="form-control size-small field-textarea" name="name"/> \
+                    </div>                                                                              \
+                </div>                                                                                  \
+                <div class="modal-footer">                                                              \
+                    <button type="submit" class="btn btn-primary">' + lang.get('popup.ok') + '</button> \
+                    <button type="button" class="btn btn-default" data-dismiss="popup">' + lang.get('popup.cancel') + '</button> \
+                </div>                                                                                  \
+                </form>'
+    };
+
     StringListEditor.prototype.checkValueType = function (value) {
         if (value && Object.prototype.toString.call(value) !== '[object Array]') {
             this.throwError('The string list value should be an array.')
@@ -72,25 +107,114 @@
 
     StringListEditor.prototype.handleSubmit = function ($form) {
         var $textarea = $form.find('textarea'),
-            link = this.getLink(),
-            value = $.trim($textarea.val()),
-            arrayValue = [],
-            resultValue = [];
+            resultValue = Storm.inspector.bulkData.parseLines($textarea.val());
+
+        this.inspector.setPropertyValue(this.propertyDefinition.property, resultValue)
+    };
 
-        if (value.length) {
-            value = value.replace(/\r\n/g, '\n');
-            arrayValue = value.split('\n');
+    //
+    // Bulk data
+    //
 
-            for (var i = 0, len = arrayValue.length; i < len; i++) {
-                var currentValue = $.trim(arrayValue[i]);
+    StringListEditor.prototype.getBulkDataFormats = function () {
+        return ['lines', 'csv', 'tsv', 'json']
+    };
 
-                if (currentValue.length > 0) {
-                    resultValue.push(currentValue)
-                }
+    StringListEditor.prototype.importBulkData = function (text, format) {
+        var bulkData = Storm.inspector.bulkData,
+            values = [],
+            items = [];
+
+        if (format === 'json') {
+            values = bulkData.parseJson(text);
+
+            if (!$.isArray(values)) {
+                throw new Error(Storm.inspector.lang.get('stringlist.json_array'))
             }
         }
+        else if (format === 'lines') {
+            values = bulkData.parseLines(text)
+        }
+        else {
+            var rows = bulkData.parseDelimited(text, format);
 
-        this.inspector.setPropertyValue(this.propertyDefinition.property, resultValue)
+            for (var i = 0, len = rows.length; i < len; i++) {
+                values = values.concat(rows[i])
+            }
+        }
+
+        for (var j = 0, valuesLen = values.length; j < valuesLen; j++) {
+            var value = values[j];
+
+            if (value !== null && typeof value == 'object') {
+                throw new Error(Storm.inspector.lang.get('stringlist.item_strings'))
+            }
+
+            // Line breaks are not allowed as the items are edited as lines
+            value = $.trim(String(value === null ? '' : value).replace(/\s*[\r\n]+\s*/g, ' '));
+
+            if (value.length > 0) {
+                items.push(value)
+            }
+        }
+
+        var validationResult = this.validationSet.validate(items);
+        if (validationResult !== null) {
+            Storm.flashMsg({text: validationResult, 'class': 'error', 'interval': 5});
+            return false
+        }
+
+        this.popup.querySelector('textarea').value = items.join('\n')
+    };
+
+    StringListEditor.prototype.exportBulkData = function (format) {
+        var bulkData = Storm.inspector.bulkData,
+            items = bulkData.parseLines(this.popup.querySelector('textarea').value);
+
+        if (format === 'json') {
+            return bulkData.formatJson(items)
+        }
+
+        if (format === 'lines') {
+            return bulkData.formatLines(items)
+        }
+
+        var rows = [];
+
+        for (var i = 0, len = items.length; i < len; i++) {
+            rows.push([items[i]])
+        }
+
+        return bulkData.formatDelimited(rows, format)
+    };
+
+    //
+    // Event handlers
+    //
+
+    StringListEditor.prototype.onPopupShown = function (ev, link, popup) {
+        BaseProto.onPopupShown.call(this, ev, link, popup);
+
+        popup.on('click.inspector', '[data-cmd]', this.proxy(this.onCommand))
+    };
+
+    StringListEditor.prototype.onPopupHidden = function (ev, link, popup) {
+        popup.off('.inspector', '[data-cmd]', this.proxy(this.onCommand));
+
+        BaseProto.onPopupHidden.call(this, ev, link, popup)
+    };
+
+    StringListEditor.prototype.onCommand = function (ev) {
+        var command = ev.currentTarget.getAttribute('data-cmd');
+
+        switch (command) {
+            case 'bulk-import' :
+                this.showBulkDataPopup('import');
+                break;
+            case 'bulk-export' :
+                this.showBulkDataPopup('export');
+                break;
+        }
     };
 
     Storm.inspector.propertyEditors.stringList = StringListEditor
@@ -68,6 +68,8 @@
     //
 
     StringListAutocomplete.prototype.getPopupContent = function () {
+        var lang = Storm.inspector.lang;
+
         return '<form>                                                                                  \
                 <div class="modal-header">                                                              \
                     <button type="button" class="close" data-dismiss="popup">&times;</button>           \
@@ -79,7 +81,7 @@
                             <div class="btn-group">                                                     \
                                 <button type="button" class="btn btn-primary                            \
                                     oc-icon-plus"                                                       \
-                                    data-cmd="create-item">Add</button>                                 \
+                                    data-cmd="create-item">' + lang.get('editor.add') + '</button>      \
                                 <button type="button" class="btn btn-default                            \
                                     empty oc-icon-trash-o"                                              \
                                     data-cmd="delete-item"></button>                                    \
@@ -103,8 +105,8 @@
                     </div>                                                                              \
                 </div>                                                                                  \
                 <div class="modal-footer">                                                              \
-                    <button type="submit" class="btn btn-primary">OK</button>                           \
-                    <button type="button" class="btn btn-default" data-dismiss="popup">Cancel</button>   \
+                    <button type="submit" class="btn btn-primary">' + lang.get('popup.ok') + '</button> \
+                    <button type="button" class="btn btn-default" data-dismiss="popup">' + lang.get('popup.cancel') + '</button> \
                 </div>                                                                                  \
                 </form>'
     };
@@ -432,9 +434,7 @@
         data['inspectorProperty'] = this.getPropertyPath();
         data['inspectorClassName'] = this.inspector.options.inspectorClass;
 
-        $form.request('onInspectableGetOptions', {
-            data: data,
-        })
+        Storm.inspector.dataProvider.request('options', data, $form)
             .done(this.proxy(this.itemsRequestDone))
     };
 
@@ -0,0 +1,363 @@
+/*
+ * Inspector tags editor class.
+ *
+ * The editor displays selected items as tags in the property cell and
+ * uses the Select2 control for searching the items. Supported property
+ * definition attributes:
+ * - items - object with item values and titles, optional. If omitted,
+ *   items are loaded from the server, like in the set editor.
+ * - customTags - allows to enter tags that are not listed in the items, optional
+ * - maxItems - maximum number of tags, optional
+ *
+ * The editor generates an array of item values.
+ */
++function ($) {
+    "use strict";
+
+    var Base = Storm.inspector.propertyEditors.base,
+        BaseProto = Base.prototype;
+
+    var TagsEditor = function (inspector, propertyDefinition, containerCell, group) {
+        this.indicatorContainer = null;
+        this.loadedItems = null;
+
+        Base.call(this, inspector, propertyDefinition, containerCell, group)
+    };
+
+    TagsEditor.prototype = Object.create(BaseProto);
+    TagsEditor.prototype.constructor = Base;
+
+    TagsEditor.prototype.dispose = function () {
+        this.unregisterHandlers();
+        this.destroyCustomSelect();
+
+        this.indicatorContainer = null;
+        this.loadedItems = null;
+
+        BaseProto.dispose.call(this)
+    };
+
+    //
+    // Building
+    //
+
+    TagsEditor.prototype.build = function () {
+        var select = document.createElement('select');
+
+        Storm.foundation.element.addClass(this.containerCell, 'dropdown');
+        Storm.foundation.element.addClass(this.containerCell, 'tags');
+        Storm.foundation.element.addClass(select, 'custom-select');
+
+        select.setAttribute('multiple', 'multiple');
+
+        this.containerCell.appendChild(select);
+
+        if (this.propertyDefinition.items !== undefined) {
+            this.createOptions(select, this.propertyDefinition.items);
+            this.initCustomSelect()
+        }
+        else {
+            this.initCustomSelect();
+            this.loadDynamicItems()
+        }
+    };
+
+    TagsEditor.prototype.createOption = function (select, title, value) {
+        var option = document.createElement('option');
+
+        option.textContent = title;
+        option.value = value;
+
+        select.appendChild(option)
+    };
+
+    TagsEditor.prototype.createOptions = function (select, items) {
+        for (var value in items) {
+            this.createOption(select, items[value], value)
+        }
+
+        this.selectValue(select, this.getNormalizedValue())
+    };
+
+    TagsEditor.prototype.initCustomSelect = function () {
+        var select = this.getSelect(),
+            lang = Storm.inspector.lang;
+
+        if (Modernizr.touch) {
+            return
+        }
+
+        var options = {
+            dropdownCssClass: 'ocInspectorDropdown',
+            tags: this.propertyDefinition.customTags === true,
+            language: {
+                maximumSelected: function (args) {
+                    return lang.choice('tags.max_items', args.maximum)
+                },
+                noResults: function () {
+                    return lang.get('tags.no_results')
+                }
+            }
+        };
+
+        if (this.propertyDefinition.placeholder !== undefined) {
+            options.placeholder = this.propertyDefinition.placeholder
+        }
+
+        if (this.propertyDefinition.maxItems !== undefined) {
+            options.maximumSelectionLength = this.propertyDefinition.maxItems
+        }
+
+        if (options.tags) {
+            options.tokenSeparators = [','];
+            options.createTag = function (params) {
+                var term = $.trim(params.term);
+
+                if (term.length === 0) {
+                    return null
+                }
+
+                return {
+                    id: term,
+                    text: term,
+                    newTag: true
+                }
+            }
+        }
+
+        $(select).select2(options);
+
+        this.indicatorContainer = $('.select2-container', this.containerCell);
+        this.indicatorContainer.addClass('loading-indicator-container size-small')
+    };
+
+    //
+    // Helpers
+    //
+
+    TagsEditor.prototype.getSelect = function () {
+        return this.containerCell.querySelector('select')
+    };
+
+    TagsEditor.prototype.getNormalizedValue = function () {
+        var value = this.inspector.getPropertyValue(this.propertyDefinition.property);
+
+        if (value === undefined || value === null) {
+            value = this.propertyDefinition.default
+        }
+
+        if (!$.isArray(value)) {
+            return []
+        }
+
+        return value
+    };
+
+    TagsEditor.prototype.hasOptionValue = function (select, value) {
+        var options = select.options;
+
+        for (var i = 0, len = options.length; i < len; i++) {
+            if (options[i].value == value) {
+                return true
+            }
+        }
+
+        return false
+    };
+
+    /*
+     * Selects options matching the values. Options are created for values
+     * missing in the items if custom tags are allowed, otherwise the values
+     * are ignored.
+     */
+    TagsEditor.prototype.selectValue = function (select, value) {
+        var values = $.map(value, function (item) {
+            return String(item)
+        });
+
+        if (this.propertyDefinition.customTags === true) {
+            for (var i = 0, len = values.length; i < len; i++) {
+                if (!this.hasOptionValue(select, values[i])) {
+                    this.createOption(select, values[i], values[i])
+                }
+            }
+        }
+
+        for (var j = 0, optionsLen = select.options.length; j < optionsLen; j++) {
+            select.options[j].selected = $.inArray(select.options[j].value, values) !== -1
+        }
+    };
+
+    TagsEditor.prototype.getSelectedValues = function () {
+        var select = this.getSelect(),
+            result = [];
+
+        for (var i = 0, len = select.options.length; i < len; i++) {
+            if (select.options[i].selected) {
+                result.push(select.options[i].value)
+            }
+        }
+
+        return result
+    };
+
+    //
+    // Dynamic items
+    //
+
+    TagsEditor.prototype.showLoadingIndicator = function () {
+        if (!Modernizr.touch) {
+            this.indicatorContainer.loadIndicator()
+        }
+    };
+
+    TagsEditor.prototype.hideLoadingIndicator = function () {
+        if (this.isDisposed()) {
+            return
+        }
+
+        if (!Modernizr.touch) {
+            this.indicatorContainer.loadIndicator('hide');
+            this.indicatorContainer.loadIndicator('destroy')
+        }
+    };
+
+    TagsEditor.prototype.loadDynamicItems = function () {
+        var data = this.inspector.getValues(),
+            $form = $(this.getSelect()).closest('form');
+
+        data['inspectorProperty'] = this.getPropertyPath();
+        data['inspectorClassName'] = this.inspector.options.inspectorClass;
+
+        this.showLoadingIndicator();
+
+        Storm.inspector.dataProvider.request('options', data, $form)
+            .done(this.proxy(this.itemsRequestDone))
+            .always(this.proxy(this.hideLoadingIndicator))
+    };
+
+    TagsEditor.prototype.itemsRequestDone = function (data) {
+        if (this.isDisposed()) {
+            // Handle the case when the asynchronous request finishes after
+            // the editor is disposed
+            return
+        }
+
+        var select = this.getSelect();
+
+        this.loadedItems = {};
+
+        if (data.options) {
+            for (var i = 0, len = data.options.length; i < len; i++) {
+                this.loadedItems[data.options[i].value] = data.options[i].title
+            }
+        }
+
+        // Without destroying and recreating the custom select
+        // there could be detached DOM nodes.
+        this.destroyCustomSelect();
+        this.createOptions(select, this.loadedItems);
+        this.initCustomSelect()
+    };
+
+    //
+    // Event handlers
+    //
+
+    TagsEditor.prototype.registerHandlers = function () {
+        $(this.getSelect()).on('change', this.proxy(this.onSelectionChange))
+    };
+
+    TagsEditor.prototype.unregisterHandlers = function () {
+        $(this.getSelect()).off('change', this.proxy(this.onSelectionChange))
+    };
+
+    TagsEditor.prototype.onSelectionChange = function () {
+        this.inspector.setPropertyValue(this.propertyDefinition.property, this.getSelectedValues())
+    };
+
+    //
+    // Editor API methods
+    //
+
+    TagsEditor.prototype.focus = function () {
+        var search = this.containerCell.querySelector('.select2-search__field');
+
+        if (search) {
+            search.focus()
+        }
+        else {
+            this.getSelect().focus()
+        }
+    };
+
+    TagsEditor.prototype.updateDisplayedValue = function (value) {
+        var select = this.getSelect();
+
+        if (value === undefined || value === null) {
+            value = this.propertyDefinition.default
+        }
+
+        this.selectValue(select, $.isArray(value) ? value : []);
+
+        // Refresh the custom select without triggering the editor's change handler
+        $(select).trigger('change.select2')
+    };
+
+    TagsEditor.prototype.markMixedValue = function () {
+        var search = this.containerCell.querySelector('.select2-search__field');
+
+        if (search) {
+            search.setAttribute('placeholder', Storm.inspector.lang.get('editor.mixed_value'))
+        }
+    };
+
+    TagsEditor.prototype.supportsExternalParameterEditor = function () {
+        return false
+    };
+
+    //
+    // Validation
+    //
+
+    /*
+     * The Select2 control limits the number of selected tags, but the
+     * value could also be set on touch devices, by pasting or with presets.
+     */
+    TagsEditor.prototype.validate = function (silentMode) {
+        if (!BaseProto.validate.call(this, silentMode)) {
+            return false
+        }
+
+        var value = this.getValueToValidate(),
+            maxItems = this.propertyDefinition.maxItems;
+
+        if (value === undefined) {
+            value = this.getUndefinedValue()
+        }
+
+        if (maxItems === undefined || !$.isArray(value) || value.length <= maxItems) {
+            return true
+        }
+
+        if (!silentMode) {
+            Storm.flashMsg({text: Storm.inspector.lang.choice('tags.max_items', maxItems), 'class': 'error', 'interval': 5})
+        }
+
+        return false
+    };
+
+    //
+    // Disposing
+    //
+
+    TagsEditor.prototype.destroyCustomSelect = function () {
+        var $select = $(this.getSelect());
+
+        if ($select.data('select2') != null) {
+            $select.select2('destroy')
+        }
+    };
+
+    Storm.inspector.propertyEditors.tags = TagsEditor
+}(window.jQuery);
\ No newline at end of file
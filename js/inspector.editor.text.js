@@ -40,6 +40,8 @@
     };
 
     TextEditor.prototype.getPopupContent = function () {
+        var lang = Storm.inspector.lang;
+
         return '<form>                                                                                  \
                 <div class="modal-header">                                                              \
                     <button type="button" class="close" data-dismiss="popup">&times;</button>           \
@@ -52,8 +54,8 @@
                     </div>                                                                              \
                 </div>                                                                                  \
                 <div class="modal-footer">                                                              \
-                    <button type="submit" class="btn btn-primary">OK</button>                           \
-                    <button type="button" class="btn btn-default" data-dismiss="popup">Cancel</button>  \
+                    <button type="submit" class="btn btn-primary">' + lang.get('popup.ok') + '</button> \
+                    <button type="button" class="btn btn-default" data-dismiss="popup">' + lang.get('popup.cancel') + '</button> \
                 </div>                                                                                  \
                 </form>'
     };
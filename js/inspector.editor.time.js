@@ -0,0 +1,46 @@
+/*
+ * Inspector time editor class.
+ *
+ * The editor generates ISO 8601 time strings: 14:30:00.
+ */
++function ($) {
+    "use strict";
+
+    var Base = Storm.inspector.propertyEditors.date,
+        BaseProto = Base.prototype;
+
+    var TimeEditor = function (inspector, propertyDefinition, containerCell, group) {
+        Base.call(this, inspector, propertyDefinition, containerCell, group)
+    };
+
+    TimeEditor.prototype = Object.create(BaseProto);
+    TimeEditor.prototype.constructor = Base;
+
+    TimeEditor.prototype.hasDate = function () {
+        return false
+    };
+
+    TimeEditor.prototype.hasTime = function () {
+        return true
+    };
+
+    TimeEditor.prototype.valueToLockerValue = function (value) {
+        if (!value) {
+            return ''
+        }
+
+        var momentObj = moment.utc(value, ['HH:mm:ss', 'HH:mm'], true);
+
+        return momentObj.isValid() ? momentObj.format('YYYY-MM-DD HH:mm:ss') : ''
+    };
+
+    TimeEditor.prototype.lockerValueToValue = function (lockerValue) {
+        if (!lockerValue) {
+            return null
+        }
+
+        return moment.utc(lockerValue, 'YYYY-MM-DD HH:mm:ss').format('HH:mm:ss')
+    };
+
+    Storm.inspector.propertyEditors.time = TimeEditor
+}(window.jQuery);
\ No newline at end of file
@@ -0,0 +1,211 @@
+/*
+ * Embedded Inspector.
+ *
+ * Creates an Inspector surface in any container element, without
+ * the data-inspectable markup, popups and Inspector containers:
+ *
+ * var inspector = Storm.inspector.create({
+ *     container: '#settings-panel',
+ *     properties: [{property: 'title', title: 'Title'}],
+ *     values: {title: 'Hello'},
+ *     onChange: function(property, value, values) {}
+ * })
+ *
+ * - Documentation: ../docs/inspector.md
+ */
++function ($) {
+    "use strict";
+
+    // NAMESPACES
+    // ============================
+
+    if (Storm.inspector === undefined)
+        Storm.inspector = {};
+
+    // CLASS DEFINITION
+    // ============================
+
+    var Base = Storm.foundation.base,
+        BaseProto = Base.prototype;
+
+    var EmbeddedInspector = function (options) {
+        this.options = $.extend({}, EmbeddedInspector.DEFAULTS, typeof options == 'object' && options);
+        this.$container = null;
+        this.surface = null;
+        this.handlers = {
+            change: []
+        };
+
+        Base.call(this);
+
+        this.init()
+    };
+
+    EmbeddedInspector.prototype = Object.create(BaseProto);
+    EmbeddedInspector.prototype.constructor = Base;
+
+    EmbeddedInspector.prototype.dispose = function () {
+        if (this.surface !== null && !this.surface.isDisposed()) {
+            this.surface.dispose()
+        }
+
+        this.surface = null;
+        this.$container = null;
+        this.handlers = null;
+        this.options.onChange = null;
+
+        BaseProto.dispose.call(this)
+    };
+
+    EmbeddedInspector.prototype.init = function () {
+        this.$container = $(this.options.container).first();
+
+        if (this.$container.length === 0) {
+            throw new Error('The Inspector container element is not found.')
+        }
+
+        if (typeof this.options.onChange == 'function') {
+            this.on('change', this.options.onChange)
+        }
+
+        this.surface = new Storm.inspector.surface(
+            this.$container.get(0),
+            this.parseProperties(this.options.properties),
+            $.extend(true, {}, this.options.values),
+            Storm.inspector.helpers.generateElementUniqueId(this.$container.get(0)),
+            {
+                enableExternalParameterEditor: false,
+                inspectorClass: this.options.inspectorClass,
+                historyLimit: this.options.historyLimit,
+                rules: this.options.rules,
+                onChange: this.proxy(this.onSurfaceChange),
+                onGetInspectableElement: this.proxy(this.onGetInspectableElement)
+            })
+    };
+
+    EmbeddedInspector.prototype.parseProperties = function (properties) {
+        if (typeof properties == 'string') {
+            try {
+                properties = $.parseJSON(properties)
+            }
+            catch (err) {
+                throw new Error('Error parsing Inspector configuration. ' + err)
+            }
+        }
+
+        if (Storm.inspector.jsonSchema.isSchema(properties)) {
+            return Storm.inspector.jsonSchema.convert(properties)
+        }
+
+        if (!$.isArray(properties)) {
+            throw new Error('Inspector properties should be defined as an array or JSON schema.')
+        }
+
+        return properties
+    };
+
+    //
+    // Public API
+    //
+
+    EmbeddedInspector.prototype.getSurface = function () {
+        return this.surface
+    };
+
+    EmbeddedInspector.prototype.getValues = function () {
+        return this.surface.getValues()
+    };
+
+    /*
+     * Replaces the Inspector values. The new values become the original
+     * values for the hasChanges() method. The change event is not triggered.
+     */
+    EmbeddedInspector.prototype.setValues = function (values) {
+        this.surface.setValues($.extend(true, {}, values))
+    };
+
+    EmbeddedInspector.prototype.hasChanges = function () {
+        return this.surface.hasChanges()
+    };
+
+    /*
+     * Validates the values and displays the error message
+     * if a property is invalid. Returns true if all values are valid.
+     *
+     * Deprecated: the method doesn't run asynchronous validators,
+     * use validateAsync() instead.
+     */
+    EmbeddedInspector.prototype.validate = function (silentMode) {
+        return this.surface.validate(silentMode)
+    };
+
+    /*
+     * Runs synchronous and asynchronous validators. Returns a promise.
+     */
+    EmbeddedInspector.prototype.validateAsync = function (silentMode) {
+        return this.surface.validateAsync(silentMode)
+    };
+
+    EmbeddedInspector.prototype.on = function (eventName, handler) {
+        if (this.handlers[eventName] === undefined) {
+            throw new Error('Unknown embedded Inspector event: ' + eventName)
+        }
+
+        this.handlers[eventName].push(handler);
+
+        return this
+    };
+
+    EmbeddedInspector.prototype.off = function (eventName, handler) {
+        if (this.handlers[eventName] === undefined) {
+            return this
+        }
+
+        if (handler === undefined) {
+            this.handlers[eventName] = []
+        }
+        else {
+            this.handlers[eventName] = $.grep(this.handlers[eventName], function (existingHandler) {
+                return existingHandler !== handler
+            })
+        }
+
+        return this
+    };
+
+    //
+    // Event handlers
+    //
+
+    EmbeddedInspector.prototype.onSurfaceChange = function (property, value) {
+        var handlers = this.handlers.change.slice(),
+            values = this.surface.getValues();
+
+        for (var i = 0, len = handlers.length; i < len; i++) {
+            handlers[i].call(this, property, value, values)
+        }
+    };
+
+    EmbeddedInspector.prototype.onGetInspectableElement = function () {
+        return this.$container
+    };
+
+    EmbeddedInspector.DEFAULTS = {
+        container: null,
+        properties: [],
+        values: {},
+        inspectorClass: null,
+        historyLimit: 100,
+        rules: null,
+        onChange: null
+    };
+
+    // REGISTRATION
+    // ============================
+
+    Storm.inspector.embedded = EmbeddedInspector;
+
+    Storm.inspector.create = function (options) {
+        return new EmbeddedInspector(options)
+    }
+}(window.jQuery);
\ No newline at end of file
@@ -58,6 +58,7 @@
             var property = properties[i];
 
             property.itemType = 'property';
+            Storm.inspector.lang.translateProperty(property);
 
             if (property.group === undefined) {
                 fields.push(property)
@@ -5,6 +5,9 @@
  * other external parameters as values for the inspectable
  * properties.
  *
+ * If the external parameter catalogue is defined, the editor
+ * suggests the catalogue parameters and allows to use only
+ * them. See inspector.externalparameters.js.
  */
 +function ($) {
     "use strict";
@@ -30,6 +33,7 @@
         this.propertyDefinition = propertyDefinition;
         this.containerCell = containerCell;
         this.initialValue = initialValue;
+        this.catalogue = [];
 
         Base.call(this);
 
@@ -47,12 +51,14 @@
         this.propertyDefinition = null;
         this.containerCell = null;
         this.initialValue = null;
+        this.catalogue = null;
 
         BaseProto.dispose.call(this)
     };
 
     ExternalParameterEditor.prototype.init = function () {
-        this.tooltipText = 'Click to enter the external parameter name to load the property value from';
+        this.tooltipText = Storm.inspector.lang.get('external.link_tooltip');
+        this.catalogue = Storm.inspector.externalParameters.normalizeCatalogue(this.inspector.options.externalParameters);
 
         this.build();
         this.registerHandlers();
@@ -108,7 +114,30 @@
         }
 
         container.appendChild(editor);
-        this.containerCell.appendChild(container)
+        this.containerCell.appendChild(container);
+
+        this.buildAutocomplete()
+    };
+
+    ExternalParameterEditor.prototype.buildAutocomplete = function () {
+        if (this.catalogue.length === 0) {
+            return
+        }
+
+        var source = {};
+
+        for (var i = 0, len = this.catalogue.length; i < len; i++) {
+            var parameter = this.catalogue[i];
+
+            source[parameter.name] = parameter.title !== parameter.name
+                ? parameter.name + ' - ' + parameter.title
+                : parameter.name
+        }
+
+        $(this.getInput()).autocomplete({
+            source: source,
+            matchWidth: true
+        })
     };
 
     ExternalParameterEditor.prototype.setInitialValue = function () {
@@ -127,6 +156,7 @@
             if (value.length > 0) {
                 this.showEditor(true);
                 this.getInput().value = value;
+                this.updateParameterHint();
                 this.inspector.setPropertyValue(this.propertyDefinition.property, null, true, true)
             }
         }
@@ -151,7 +181,7 @@
         setTimeout(this.proxy(this.repositionEditor), 0);
 
         Storm.foundation.element.addClass(container, 'editor-visible');
-        link.setAttribute('data-original-title', 'Click to enter the property value');
+        link.setAttribute('data-original-title', Storm.inspector.lang.get('external.value_tooltip'));
 
         this.toggleEditorVisibility(false);
         input.setAttribute('tabindex', 0);
@@ -250,11 +280,19 @@
     };
 
     ExternalParameterEditor.prototype.validate = function (silentMode) {
-        var value = $.trim(this.getValue());
+        var value = $.trim(this.getValue()),
+            message = null;
 
         if (value.length === 0) {
+            message = Storm.inspector.lang.get('external.name_required')
+        }
+        else {
+            message = this.getExpressionError(value)
+        }
+
+        if (message !== null) {
             if (!silentMode) {
-                Storm.flashMsg({text: 'Please enter the external parameter name.', 'class': 'error', 'interval': 5});
+                Storm.flashMsg({text: message, 'class': 'error', 'interval': 5});
                 this.focus()
             }
 
@@ -264,6 +302,50 @@
         return true
     };
 
+    /*
+     * Returns the error message for an invalid parameter expression, or null.
+     */
+    ExternalParameterEditor.prototype.getExpressionError = function (value) {
+        // Without the catalogue any parameter name is accepted
+        if (this.catalogue.length === 0) {
+            return null
+        }
+
+        var expression = Storm.inspector.externalParameters.parseExpression(value);
+
+        if (expression === null) {
+            return Storm.inspector.lang.get('external.invalid_expression', {expression: value})
+        }
+
+        var parameter = Storm.inspector.externalParameters.findParameter(this.catalogue, expression.name);
+
+        if (parameter === null) {
+            return Storm.inspector.lang.get('external.unknown_parameter', {name: expression.name})
+        }
+
+        if (parameter.type === 'number' && expression.defaultValue !== undefined && typeof expression.defaultValue != 'number') {
+            return Storm.inspector.lang.get('external.number_default', {name: expression.name})
+        }
+
+        return null
+    };
+
+    /*
+     * Displays the description of the entered catalogue parameter in the input tooltip.
+     */
+    ExternalParameterEditor.prototype.updateParameterHint = function () {
+        var input = this.getInput(),
+            expression = Storm.inspector.externalParameters.parseExpression(this.getValue()),
+            parameter = expression !== null ? Storm.inspector.externalParameters.findParameter(this.catalogue, expression.name) : null;
+
+        if (parameter === null) {
+            input.removeAttribute('title');
+            return
+        }
+
+        input.setAttribute('title', parameter.description.length > 0 ? parameter.title + ': ' + parameter.description : parameter.title)
+    };
+
     //
     // Event handlers
     //
@@ -281,6 +363,7 @@
     };
 
     ExternalParameterEditor.prototype.onInputChange = function () {
+        this.updateParameterHint();
         this.inspector.markPropertyChanged(this.propertyDefinition.property, true)
     };
 
@@ -297,7 +380,11 @@
     };
 
     ExternalParameterEditor.prototype.disposeControls = function () {
-        $(this.getLink()).tooltip('destroy')
+        $(this.getLink()).tooltip('destroy');
+
+        if (this.catalogue.length > 0) {
+            $(this.getInput()).autocomplete('destroy')
+        }
     };
 
     //
@@ -0,0 +1,150 @@
+/*
+ * External parameter catalogue and expressions.
+ *
+ * The catalogue lists external parameters available on the page. It is
+ * defined with the data-inspector-external-parameters attribute, as a JSON
+ * array of parameter names or parameter objects:
+ *
+ * [{"name": ":slug", "title": "Page slug", "description": "...", "type": "string"}]
+ *
+ * External parameter expressions consist of a parameter name and an optional
+ * default value filter: :slug | default('home'). The values are saved
+ * in the double curly braces: {{ :slug | default('home') }}.
+ */
++function ($) {
+    "use strict";
+
+    // NAMESPACES
+    // ============================
+
+    if (window.Storm === undefined) {
+        window.Storm = {};
+    }
+
+    if (Storm.inspector === undefined)
+        Storm.inspector = {};
+
+    var expressionPattern = /^(:?[a-zA-Z_][\w\.]*)\s*(?:\|\s*default\(\s*(?:'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)"|(-?\d+(?:\.\d+)?))\s*\)\s*)?$/;
+
+    Storm.inspector.externalParameters = {
+        /*
+         * Converts the catalogue definition to an array of parameter objects.
+         * Returns an empty array if the catalogue is not defined.
+         */
+        normalizeCatalogue: function (catalogue) {
+            var result = [];
+
+            if (typeof catalogue == 'string') {
+                catalogue = $.trim(catalogue).length > 0 ? $.parseJSON(catalogue) : []
+            }
+
+            if (!$.isArray(catalogue)) {
+                return result
+            }
+
+            for (var i = 0, len = catalogue.length; i < len; i++) {
+                var parameter = typeof catalogue[i] == 'string' ? {name: catalogue[i]} : catalogue[i];
+
+                if (!$.isPlainObject(parameter) || typeof parameter.name != 'string') {
+                    throw new Error('External parameters should be defined as strings or objects with the name property.')
+                }
+
+                result.push({
+                    name: parameter.name,
+                    title: parameter.title !== undefined ? Storm.inspector.lang.translate(parameter.title) : parameter.name,
+                    description: parameter.description !== undefined ? Storm.inspector.lang.translate(parameter.description) : '',
+                    type: parameter.type !== undefined ? parameter.type : 'string'
+                })
+            }
+
+            return result
+        },
+
+        findParameter: function (catalogue, name) {
+            for (var i = 0, len = catalogue.length; i < len; i++) {
+                if (catalogue[i].name === name) {
+                    return catalogue[i]
+                }
+            }
+
+            return null
+        },
+
+        /*
+         * Parses an expression without the curly braces. Returns an object
+         * with the name and defaultValue elements, or null if the expression
+         * is invalid. The defaultValue element is undefined if the expression
+         * doesn't have the default filter.
+         */
+        parseExpression: function (expression) {
+            var matches = $.trim(expression).match(expressionPattern);
+
+            if (!matches) {
+                return null
+            }
+
+            var result = {
+                name: matches[1],
+                defaultValue: undefined
+            };
+
+            if (matches[2] !== undefined) {
+                result.defaultValue = unescapeString(matches[2])
+            }
+            else if (matches[3] !== undefined) {
+                result.defaultValue = unescapeString(matches[3])
+            }
+            else if (matches[4] !== undefined) {
+                result.defaultValue = parseFloat(matches[4])
+            }
+
+            return result
+        },
+
+        /*
+         * Returns true if the value is an external parameter value: {{ :slug }}
+         */
+        isParameterValue: function (value) {
+            return typeof value == 'string' && /^\{\{([^\}]+)\}\}$/.test(value)
+        },
+
+        /*
+         * Resolves an external parameter value using the parameter values map.
+         * The default value is returned if the parameter is missing or empty.
+         * Values which are not external parameter values are returned as is.
+         * Expressions that can't be parsed are treated as parameter names
+         * without default values: {{ my-param }}.
+         */
+        resolve: function (value, parameters) {
+            if (!Storm.inspector.externalParameters.isParameterValue(value)) {
+                return value
+            }
+
+            var text = value.substring(2, value.length - 2),
+                expression = Storm.inspector.externalParameters.parseExpression(text);
+
+            if (expression === null) {
+                expression = {
+                    name: $.trim(text),
+                    defaultValue: undefined
+                }
+            }
+
+            var parameterValue = parameters ? parameters[expression.name] : undefined;
+
+            if (parameterValue === undefined || parameterValue === null || parameterValue === '') {
+                return expression.defaultValue
+            }
+
+            return parameterValue
+        }
+    };
+
+    //
+    // Internal functions
+    //
+
+    function unescapeString(value) {
+        return value.replace(/\\(.)/g, '$1')
+    }
+}(window.jQuery);
\ No newline at end of file
@@ -1,6 +1,14 @@
 /*
  * Inspector grouping support.
  *
+ * Group expanded/collapsed statuses of Inspectors having the
+ * inspectorClass option are persisted with the group status storage,
+ * localStorage by default. Statuses are keyed by the Inspector class
+ * and the group path built from the group names, for example
+ * "Layout/Advanced", so they don't depend on the group order.
+ * Statuses of other Inspectors are kept until the page is reloaded.
+ *
+ * Group indexes (root-0-1) are used only for finding group rows.
  */
 +function ($) {
     "use strict";
@@ -8,14 +16,20 @@
     // GROUP MANAGER CLASS
     // ============================
 
-    var GroupManager = function (controlId) {
+    var GroupManager = function (controlId, inspectorClass) {
         this.controlId = controlId;
+        this.inspectorClass = inspectorClass ? inspectorClass : null;
         this.rootGroup = null;
-        this.cachedGroupStatuses = null
+        this.cachedGroupStatuses = null;
+        this.temporaryGroupStatuses = {}
     };
 
-    GroupManager.prototype.createGroup = function (groupId, parentGroup) {
-        var group = new Group(groupId);
+    /*
+     * Creates a group. The name is used in the group path for saving the group
+     * status, the group identifier is used if the name is not specified.
+     */
+    GroupManager.prototype.createGroup = function (groupId, parentGroup, name) {
+        var group = new Group(groupId, name);
 
         if (parentGroup) {
             parentGroup.groups.push(group);
@@ -47,20 +61,44 @@
             return true
         }
 
-        var groupIndex = this.getGroupIndex(group),
+        var temporaryStatus = this.temporaryGroupStatuses[this.getGroupIndex(group)];
+
+        if (temporaryStatus !== undefined) {
+            return temporaryStatus
+        }
+
+        var groupPath = group.getGroupPath(),
             statuses = this.readGroupStatuses();
 
-        if (statuses[groupIndex] !== undefined) {
-            return statuses[groupIndex]
+        if (statuses[groupPath] !== undefined) {
+            return statuses[groupPath]
         }
 
         return false
     };
 
-    GroupManager.prototype.setGroupStatus = function (groupIndex, expanded) {
+    /*
+     * Sets the group status. Temporary statuses, for example of groups
+     * expanded to display search results, are not saved in the storage
+     * and are kept until the group is toggled by the user.
+     */
+    GroupManager.prototype.setGroupStatus = function (groupIndex, expanded, temporary) {
+        var group = this.findGroupByIndex(groupIndex);
+
+        if (!group) {
+            throw new Error('Cannot find the requested row group.')
+        }
+
+        if (temporary) {
+            this.temporaryGroupStatuses[groupIndex] = expanded;
+            return
+        }
+
+        delete this.temporaryGroupStatuses[groupIndex];
+
         var statuses = this.readGroupStatuses();
 
-        statuses[groupIndex] = expanded;
+        statuses[group.getGroupPath()] = expanded;
 
         this.writeGroupStatuses(statuses)
     };
@@ -70,10 +108,11 @@
             return this.cachedGroupStatuses
         }
 
-        var statuses = getInspectorGroupStatuses();
+        var statuses = this.getStorage().load(),
+            key = this.getStorageKey();
 
-        if (statuses[this.controlId] !== undefined) {
-            this.cachedGroupStatuses = statuses[this.controlId]
+        if (statuses[key] !== undefined) {
+            this.cachedGroupStatuses = statuses[key]
         }
         else {
             this.cachedGroupStatuses = {}
@@ -83,14 +122,23 @@
     };
 
     GroupManager.prototype.writeGroupStatuses = function (updatedStatuses) {
-        var statuses = getInspectorGroupStatuses();
+        var storage = this.getStorage(),
+            statuses = storage.load();
 
-        statuses[this.controlId] = updatedStatuses;
-        setInspectorGroupStatuses(statuses);
+        statuses[this.getStorageKey()] = updatedStatuses;
+        storage.save(statuses);
 
         this.cachedGroupStatuses = updatedStatuses
     };
 
+    GroupManager.prototype.getStorage = function () {
+        return this.inspectorClass !== null ? currentStorage : documentStorage
+    };
+
+    GroupManager.prototype.getStorageKey = function () {
+        return this.inspectorClass !== null ? this.inspectorClass : this.controlId
+    };
+
     GroupManager.prototype.findGroupByIndex = function (index) {
         return this.rootGroup.findGroupByIndex(index)
     };
@@ -119,11 +167,16 @@
     };
 
     GroupManager.prototype.unmarkInvalidGroups = function (table) {
-        var rows = table.querySelectorAll('tr.invalid');
+        var rows = table.querySelectorAll('tr.invalid'),
+            invalidElements = table.querySelectorAll('[aria-invalid]');
 
         for (var i = rows.length - 1; i >= 0; i--) {
             Storm.foundation.element.removeClass(rows[i], 'invalid')
         }
+
+        for (var j = invalidElements.length - 1; j >= 0; j--) {
+            invalidElements[j].removeAttribute('aria-invalid')
+        }
     };
 
     GroupManager.prototype.isRowVisible = function (table, rowGroupIndex) {
@@ -146,29 +199,106 @@
         return true
     };
 
-    //
-    // Internal functions
-    //
+    // GROUP STATUS STORAGES
+    // ============================
+
+    /*
+     * Storages implement the load() method, returning an object with statuses
+     * of all Inspectors, and the save(statuses) method.
+     */
+    var documentStorage = {
+        load: function () {
+            var statuses = document.body.getAttribute('data-inspector-group-statuses');
+
+            if (statuses !== null) {
+                return JSON.parse(statuses)
+            }
+
+            return {}
+        },
+
+        save: function (statuses) {
+            document.body.setAttribute('data-inspector-group-statuses', JSON.stringify(statuses))
+        }
+    };
+
+    var localStorageStorage = {
+        load: function () {
+            if (!Modernizr.localstorage) {
+                return documentStorage.load()
+            }
 
-    function getInspectorGroupStatuses() {
-        var statuses = document.body.getAttribute('data-inspector-group-statuses');
+            var statuses = localStorage.getItem('oc.inspectorGroupStatuses');
 
-        if (statuses !== null) {
-            return JSON.parse(statuses)
+            if (statuses === null) {
+                return {}
+            }
+
+            try {
+                return JSON.parse(statuses)
+            }
+            catch (err) {
+                return {}
+            }
+        },
+
+        save: function (statuses) {
+            if (!Modernizr.localstorage) {
+                documentStorage.save(statuses);
+                return
+            }
+
+            localStorage.setItem('oc.inspectorGroupStatuses', JSON.stringify(statuses))
         }
+    };
 
-        return {}
-    }
+    var currentStorage = localStorageStorage;
+
+    Storm.inspector.groupStatuses = {
+        storages: {
+            document: documentStorage,
+            localStorage: localStorageStorage
+        },
+
+        /*
+         * Sets the storage used for persisting group statuses, for example
+         * a storage saving the statuses in the user preferences on the server.
+         */
+        setStorage: function (storage) {
+            if (typeof storage.load !== 'function' || typeof storage.save !== 'function') {
+                throw new Error('Inspector group status storage should implement the load() and save() methods.')
+            }
 
-    function setInspectorGroupStatuses(statuses) {
-        document.body.setAttribute('data-inspector-group-statuses', JSON.stringify(statuses))
-    }
+            currentStorage = storage
+        },
+
+        getStorage: function () {
+            return currentStorage
+        },
+
+        /*
+         * Removes the saved group statuses of the Inspector class,
+         * or of all Inspector classes if the class is not specified.
+         */
+        reset: function (inspectorClass) {
+            if (inspectorClass === undefined) {
+                currentStorage.save({});
+                return
+            }
+
+            var statuses = currentStorage.load();
+
+            delete statuses[inspectorClass];
+            currentStorage.save(statuses)
+        }
+    };
 
     // GROUP CLASS
     // ============================
 
-    var Group = function (groupId) {
+    var Group = function (groupId, name) {
         this.groupId = groupId;
+        this.name = name !== undefined ? String(name) : String(groupId);
         this.parentGroup = null;
         this.groupIndex = null;
 
@@ -199,6 +329,23 @@
         return result
     };
 
+    /*
+     * Returns the path of group names, for example Layout/Advanced.
+     * The root group is not included. Slashes in names are escaped.
+     */
+    Group.prototype.getGroupPath = function () {
+        var parts = [],
+            current = this;
+
+        while (current && current.parentGroup) {
+            parts.unshift(current.name.replace(/\\/g, '\\\\').replace(/\//g, '\\/'));
+
+            current = current.parentGroup
+        }
+
+        return parts.join('/')
+    };
+
     Group.prototype.findGroupByIndex = function (index) {
         if (this.getGroupIndex() == index) {
             return this
@@ -30,6 +30,49 @@
 
     Storm.inspector.helpers.generateUniqueId = function () {
         return "inspectorid-" + Math.floor(Math.random() * new Date().getTime());
+    };
+
+    /*
+     * Returns a property definition from a list of property definitions, or null.
+     */
+    Storm.inspector.helpers.findPropertyDefinition = function (properties, name) {
+        if (!$.isArray(properties)) {
+            return null
+        }
+
+        for (var i = 0, len = properties.length; i < len; i++) {
+            if (properties[i].property == name) {
+                return properties[i]
+            }
+        }
+
+        return null
+    };
+
+    /*
+     * Returns a deep copy of arrays and plain objects, other values are returned as is.
+     */
+    Storm.inspector.helpers.cloneValue = function (value) {
+        if ($.isArray(value)) {
+            return $.extend(true, [], value)
+        }
+
+        if ($.isPlainObject(value)) {
+            return $.extend(true, {}, value)
+        }
+
+        return value
+    };
+
+    /*
+     * Escapes a string for inserting into HTML markup, including attribute values.
+     */
+    Storm.inspector.helpers.escapeHtml = function (str) {
+        return String(str)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
     }
 
 }(window.jQuery);
\ No newline at end of file
@@ -0,0 +1,272 @@
+/*
+ * Inspector undo/redo history.
+ *
+ * The history is owned by the root Inspector surface. Nested surfaces
+ * (object editors) record their changes in the history of the root
+ * surface, so that a single stack covers the whole Inspector.
+ *
+ * Changes made between beginBatch() and endBatch() calls, for example
+ * applying a preset, are recorded as a single step.
+ */
++function ($) {
+    "use strict";
+
+    // NAMESPACES
+    // ============================
+
+    if (window.Storm === undefined) {
+        window.Storm = {};
+    }
+
+    if (Storm.inspector === undefined)
+        Storm.inspector = {};
+
+    // CLASS DEFINITION
+    // ============================
+
+    var Base = Storm.foundation.base,
+        BaseProto = Base.prototype;
+
+    var HistoryManager = function (limit) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.changeLevel = 0;
+        this.suspended = false;
+        this.batchLevel = 0;
+        this.batch = null;
+
+        Base.call(this)
+    };
+
+    HistoryManager.prototype = Object.create(BaseProto);
+    HistoryManager.prototype.constructor = HistoryManager;
+
+    HistoryManager.prototype.dispose = function () {
+        this.undoStack = null;
+        this.redoStack = null;
+        this.batch = null;
+
+        BaseProto.dispose.call(this)
+    };
+
+    /*
+     * Called by the surface before it triggers the change events.
+     * Changes made by event handlers of the change (for example, an
+     * object editor updating its parent surface) are not recorded,
+     * as they are side effects of the initial change.
+     */
+    HistoryManager.prototype.beginChange = function (surface, property, oldValue, newValue) {
+        this.changeLevel++;
+
+        if (this.changeLevel > 1 || this.suspended) {
+            return
+        }
+
+        if (surface.comparePropertyValues(oldValue, newValue)) {
+            return
+        }
+
+        this.record(surface, property, oldValue, newValue)
+    };
+
+    HistoryManager.prototype.endChange = function () {
+        this.changeLevel--;
+
+        if (this.changeLevel < 0) {
+            this.changeLevel = 0
+        }
+    };
+
+    /*
+     * Starts recording changes as a single step. Batches can be nested,
+     * the step is added when the outermost batch ends.
+     */
+    HistoryManager.prototype.beginBatch = function () {
+        this.batchLevel++;
+
+        if (this.batchLevel == 1) {
+            this.batch = []
+        }
+    };
+
+    HistoryManager.prototype.endBatch = function () {
+        if (this.batchLevel == 0) {
+            return
+        }
+
+        this.batchLevel--;
+
+        if (this.batchLevel > 0) {
+            return
+        }
+
+        var changes = this.batch;
+
+        this.batch = null;
+
+        if (changes.length == 0) {
+            return
+        }
+
+        // Batch steps should never be merged with new changes
+        this.pushEntry(changes.length == 1 ? $.extend(changes[0], {time: 0}) : {changes: changes, time: 0})
+    };
+
+    HistoryManager.prototype.record = function (surface, property, oldValue, newValue) {
+        var now = new Date().getTime(),
+            last = this.undoStack.length > 0 ? this.undoStack[this.undoStack.length - 1] : null;
+
+        this.redoStack = [];
+
+        if (this.batch !== null) {
+            this.batch.push({
+                surface: surface,
+                property: property,
+                oldValue: Storm.inspector.helpers.cloneValue(oldValue),
+                newValue: Storm.inspector.helpers.cloneValue(newValue),
+                time: now
+            });
+
+            return
+        }
+
+        // Editors like the string editor update the value on every key stroke.
+        // Consecutive changes of the same property are merged into a single step.
+
+        if (last && last.surface === surface && last.property === property && now - last.time < HistoryManager.MERGE_INTERVAL) {
+            last.newValue = Storm.inspector.helpers.cloneValue(newValue);
+            last.time = now;
+
+            if (surface.comparePropertyValues(last.oldValue, last.newValue)) {
+                this.undoStack.pop()
+            }
+
+            return
+        }
+
+        this.pushEntry({
+            surface: surface,
+            property: property,
+            oldValue: Storm.inspector.helpers.cloneValue(oldValue),
+            newValue: Storm.inspector.helpers.cloneValue(newValue),
+            time: now
+        })
+    };
+
+    HistoryManager.prototype.undo = function () {
+        var entry = this.popEntry(this.undoStack);
+
+        if (!entry) {
+            return false
+        }
+
+        this.applyEntry(entry, true);
+        this.redoStack.push(entry);
+
+        return true
+    };
+
+    HistoryManager.prototype.redo = function () {
+        var entry = this.popEntry(this.redoStack);
+
+        if (!entry) {
+            return false
+        }
+
+        this.applyEntry(entry, false);
+        this.undoStack.push(entry);
+
+        return true
+    };
+
+    HistoryManager.prototype.canUndo = function () {
+        return this.undoStack.length > 0
+    };
+
+    HistoryManager.prototype.canRedo = function () {
+        return this.redoStack.length > 0
+    };
+
+    HistoryManager.prototype.clear = function () {
+        this.undoStack = [];
+        this.redoStack = [];
+
+        if (this.batch !== null) {
+            this.batch = []
+        }
+    };
+
+    //
+    // Internal methods
+    //
+
+    HistoryManager.prototype.pushEntry = function (entry) {
+        this.undoStack.push(entry);
+
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift()
+        }
+    };
+
+    HistoryManager.prototype.popEntry = function (stack) {
+        while (stack.length > 0) {
+            var entry = stack.pop();
+
+            // Entries of disposed surfaces cannot be applied
+            if (!this.isEntryDisposed(entry)) {
+                return entry
+            }
+        }
+
+        return null
+    };
+
+    HistoryManager.prototype.isEntryDisposed = function (entry) {
+        if (entry.changes === undefined) {
+            return entry.surface.isDisposed()
+        }
+
+        for (var i = 0, len = entry.changes.length; i < len; i++) {
+            if (!entry.changes[i].surface.isDisposed()) {
+                return false
+            }
+        }
+
+        return true
+    };
+
+    /*
+     * Applies the old values of the entry if isUndo is true, or the new values
+     * otherwise. Batch changes are undone in the reverse order.
+     */
+    HistoryManager.prototype.applyEntry = function (entry, isUndo) {
+        if (entry.changes === undefined) {
+            this.applyEntryValue(entry, isUndo ? entry.oldValue : entry.newValue);
+            return
+        }
+
+        var changes = isUndo ? entry.changes.slice().reverse() : entry.changes;
+
+        for (var i = 0, len = changes.length; i < len; i++) {
+            if (!changes[i].surface.isDisposed()) {
+                this.applyEntryValue(changes[i], isUndo ? changes[i].oldValue : changes[i].newValue)
+            }
+        }
+
+        entry.time = 0
+    };
+
+    HistoryManager.prototype.applyEntryValue = function (entry, value) {
+        this.suspended = true;
+        entry.surface.setPropertyValue(entry.property, Storm.inspector.helpers.cloneValue(value), false, true);
+        this.suspended = false;
+
+        // Undone and redone steps should never be merged with new changes
+        entry.time = 0
+    };
+
+    HistoryManager.MERGE_INTERVAL = 1000;
+
+    Storm.inspector.historyManager = HistoryManager
+}(window.jQuery);
\ No newline at end of file
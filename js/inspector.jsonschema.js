@@ -0,0 +1,347 @@
+/*
+ * Converts JSON Schema (draft-07) documents to Inspector configuration.
+ *
+ * The root schema should describe an object. Each property of the object
+ * is converted to an Inspector property definition:
+ *
+ * - string - string editor, or color, date, time and datetime editors
+ *   depending on the format (color, date, time, date-time)
+ * - number, integer - number editor
+ * - boolean - checkbox editor
+ * - enum, oneOf with const values - dropdown editor
+ * - object - object editor, or dictionary editor for objects without properties
+ * - array - set editor for enum items, object list editor for object items,
+ *   string list editor for other items
+ *
+ * The required, pattern, minLength, maxLength, minItems and maxItems keywords
+ * are converted to validation rules. The x-inspector keyword allows to extend
+ * or override the generated property definition, for example:
+ *
+ * "x-inspector": {"group": "Advanced", "titleProperty": "name"}
+ *
+ * Only local references ($ref: #/definitions/name) are supported.
+ */
++function ($) {
+    "use strict";
+
+    // NAMESPACES
+    // ============================
+
+    if (window.Storm === undefined) {
+        window.Storm = {};
+    }
+
+    if (Storm.inspector === undefined)
+        Storm.inspector = {};
+
+    Storm.inspector.jsonSchema = {};
+
+    Storm.inspector.jsonSchema.isSchema = function (configuration) {
+        if (!$.isPlainObject(configuration)) {
+            return false
+        }
+
+        return configuration.$schema !== undefined ||
+            (configuration.type === 'object' && $.isPlainObject(configuration.properties))
+    };
+
+    /*
+     * Converts a JSON Schema object to the Inspector property list.
+     */
+    Storm.inspector.jsonSchema.convert = function (schema) {
+        var root = resolveReference(schema, schema);
+
+        if (getSchemaType(root) !== 'object') {
+            throw new Error('Inspector can only use JSON schemas describing objects.')
+        }
+
+        return convertProperties(root, schema, [])
+    };
+
+    //
+    // Internal functions
+    //
+
+    function convertProperties(objectSchema, root, parents) {
+        var properties = objectSchema.properties || {},
+            required = $.isArray(objectSchema.required) ? objectSchema.required : [],
+            result = [];
+
+        if ($.inArray(objectSchema, parents) !== -1) {
+            throw new Error('Recursive JSON schemas cannot be converted to Inspector configuration.')
+        }
+
+        parents = parents.concat([objectSchema]);
+
+        for (var name in properties) {
+            if (!properties.hasOwnProperty(name)) {
+                continue
+            }
+
+            var schema = resolveReference(properties[name], root);
+
+            result.push(convertProperty(name, schema, root, parents, $.inArray(name, required) !== -1))
+        }
+
+        return result
+    }
+
+    function convertProperty(name, schema, root, parents, isRequired) {
+        var property = {
+                property: name,
+                title: schema.title !== undefined ? schema.title : name
+            },
+            validation = {},
+            type = getSchemaType(schema);
+
+        if (schema.description !== undefined) {
+            property.description = schema.description
+        }
+
+        if (schema['default'] !== undefined) {
+            property['default'] = schema['default']
+        }
+
+        if (getEnumOptions(schema) !== null && type !== 'array') {
+            property.type = 'dropdown';
+            property.options = getEnumOptions(schema)
+        }
+        else if (type === 'string') {
+            convertString(property, schema, validation)
+        }
+        else if (type === 'number' || type === 'integer') {
+            convertNumber(property, schema, validation, type === 'integer')
+        }
+        else if (type === 'boolean') {
+            property.type = 'checkbox'
+        }
+        else if (type === 'object') {
+            convertObject(property, schema, root, parents)
+        }
+        else if (type === 'array') {
+            convertArray(property, schema, root, parents, validation)
+        }
+        else {
+            property.type = 'string'
+        }
+
+        if (isRequired) {
+            validation.required = {
+                message: Storm.inspector.lang.get('jsonschema.required', {title: Storm.inspector.lang.translate(property.title)})
+            }
+        }
+
+        if (!$.isEmptyObject(validation)) {
+            property.validation = validation
+        }
+
+        if ($.isPlainObject(schema['x-inspector'])) {
+            $.extend(property, schema['x-inspector'])
+        }
+
+        return property
+    }
+
+    function convertString(property, schema, validation) {
+        var formatEditors = {
+            'color': 'color',
+            'date': 'date',
+            'time': 'time',
+            'date-time': 'datetime'
+        };
+
+        property.type = formatEditors[schema.format] !== undefined ? formatEditors[schema.format] : 'string';
+
+        if (schema.pattern !== undefined) {
+            validation.regex = {
+                pattern: schema.pattern,
+                message: Storm.inspector.lang.get('jsonschema.pattern', {title: Storm.inspector.lang.translate(property.title)})
+            }
+        }
+
+        addLengthValidation(validation, schema.minLength, schema.maxLength)
+    }
+
+    function convertNumber(property, schema, validation, isInteger) {
+        var min = schema.minimum,
+            max = schema.maximum;
+
+        property.type = 'number';
+
+        // The exclusive limits can be represented exactly only for integers
+        if (typeof schema.exclusiveMinimum == 'number') {
+            min = isInteger ? schema.exclusiveMinimum + 1 : schema.exclusiveMinimum
+        }
+
+        if (typeof schema.exclusiveMaximum == 'number') {
+            max = isInteger ? schema.exclusiveMaximum - 1 : schema.exclusiveMaximum
+        }
+
+        if (min !== undefined) {
+            property.min = min
+        }
+
+        if (max !== undefined) {
+            property.max = max
+        }
+
+        if (schema.multipleOf !== undefined) {
+            property.step = schema.multipleOf
+        }
+
+        if (isInteger) {
+            validation.integer = {
+                allowNegative: min === undefined || min < 0
+            }
+        }
+    }
+
+    function convertObject(property, schema, root, parents) {
+        if ($.isPlainObject(schema.properties)) {
+            property.type = 'object';
+            property.properties = convertProperties(schema, root, parents);
+            return
+        }
+
+        property.type = 'dictionary'
+    }
+
+    function convertArray(property, schema, root, parents, validation) {
+        var items = $.isPlainObject(schema.items) ? resolveReference(schema.items, root) : {},
+            options = getEnumOptions(items);
+
+        if (options !== null) {
+            property.type = 'set';
+            property.items = options
+        }
+        else if (getSchemaType(items) === 'object' && $.isPlainObject(items.properties)) {
+            property.type = 'objectList';
+            property.itemProperties = convertProperties(items, root, parents);
+
+            if (property.itemProperties.length > 0) {
+                property.titleProperty = property.itemProperties[0].property
+            }
+        }
+        else {
+            property.type = 'stringList'
+        }
+
+        addLengthValidation(validation, schema.minItems, schema.maxItems)
+    }
+
+    function addLengthValidation(validation, min, max) {
+        if (min === undefined && max === undefined) {
+            return
+        }
+
+        validation.length = {};
+
+        if (min !== undefined) {
+            validation.length.min = {value: min}
+        }
+
+        if (max !== undefined) {
+            validation.length.max = {value: max}
+        }
+    }
+
+    /*
+     * Returns dropdown options for enum and oneOf/anyOf schemas
+     * with const values, or null.
+     */
+    function getEnumOptions(schema) {
+        var result = {};
+
+        if ($.isArray(schema['enum'])) {
+            for (var i = 0, len = schema['enum'].length; i < len; i++) {
+                var value = schema['enum'][i];
+
+                if (value !== null) {
+                    result[value] = String(value)
+                }
+            }
+
+            return result
+        }
+
+        var variants = $.isArray(schema.oneOf) ? schema.oneOf : schema.anyOf;
+
+        if (!$.isArray(variants) || variants.length === 0) {
+            return null
+        }
+
+        for (var j = 0, variantsLen = variants.length; j < variantsLen; j++) {
+            if (variants[j]['const'] === undefined) {
+                return null
+            }
+
+            result[variants[j]['const']] = variants[j].title !== undefined ? variants[j].title : String(variants[j]['const'])
+        }
+
+        return result
+    }
+
+    function getSchemaType(schema) {
+        var type = schema.type;
+
+        if ($.isArray(type)) {
+            // Nullable types are defined as ["string", "null"]
+            for (var i = 0, len = type.length; i < len; i++) {
+                if (type[i] !== 'null') {
+                    return type[i]
+                }
+            }
+
+            return undefined
+        }
+
+        if (type === undefined && $.isPlainObject(schema.properties)) {
+            return 'object'
+        }
+
+        return type
+    }
+
+    function resolveReference(schema, root) {
+        var visited = [];
+
+        while (schema && typeof schema.$ref == 'string') {
+            var ref = schema.$ref;
+
+            if (ref.charAt(0) !== '#') {
+                throw new Error('Inspector supports only local JSON schema references. Reference: ' + ref)
+            }
+
+            if ($.inArray(ref, visited) !== -1) {
+                throw new Error('Circular JSON schema reference: ' + ref)
+            }
+
+            visited.push(ref);
+            schema = resolvePointer(root, ref.substring(1))
+        }
+
+        return schema
+    }
+
+    function resolvePointer(root, pointer) {
+        var parts = pointer.split('/'),
+            current = root;
+
+        for (var i = 0, len = parts.length; i < len; i++) {
+            if (parts[i] === '') {
+                continue
+            }
+
+            var part = decodeURIComponent(parts[i]).replace(/~1/g, '/').replace(/~0/g, '~');
+
+            if (current === undefined || current === null || current[part] === undefined) {
+                throw new Error('Cannot resolve JSON schema reference: #' + pointer)
+            }
+
+            current = current[part]
+        }
+
+        return current
+    }
+
+}(window.jQuery);
\ No newline at end of file
@@ -0,0 +1,431 @@
+/*
+ * Inspector localization.
+ *
+ * All Inspector strings are loaded from the Storm.inspector.lang dictionary.
+ * Messages can be overridden or added for a locale:
+ *
+ * Storm.inspector.lang.addMessages('de', {
+ *     'popup.cancel': 'Abbrechen',
+ *     'editor.items_count': '{0} Keine Elemente|{1} Ein Element|[2,*] :count Elemente'
+ * })
+ *
+ * The locale is loaded from the backend-locale meta element or from the lang
+ * attribute of the html element. It can be set with Storm.inspector.lang.setLocale().
+ *
+ * Messages can contain placeholders (:name), which are replaced with the
+ * parameter values. Messages used with choice() can define plural forms
+ * separated with the pipe character. The forms can be prefixed with an exact
+ * count ({0}) or a range ([2,4], [5,*]). Forms without prefixes are selected
+ * with the plural rule of the locale, see Storm.inspector.lang.pluralRules.
+ *
+ * Property definitions can use objects with values for locales instead of
+ * strings in the title, description, placeholder and group properties:
+ *
+ * {"property": "name", "title": {"en": "Name", "de": "Name"}}
+ */
++function ($) {
+    "use strict";
+
+    // NAMESPACES
+    // ============================
+
+    if (window.Storm === undefined) {
+        window.Storm = {};
+    }
+
+    if (Storm.inspector === undefined)
+        Storm.inspector = {};
+
+    var currentLocale = null;
+
+    Storm.inspector.lang = {
+        fallbackLocale: 'en',
+
+        messages: {
+            en: {
+                'popup.ok': 'OK',
+                'popup.cancel': 'Cancel',
+
+                'search.placeholder': 'Search properties...',
+                'grid.label': 'Properties',
+                'grid.expand_collapse': 'Expand/collapse',
+
+                'editor.mixed_value': 'Multiple values',
+                'editor.items_count': 'Items: :count',
+                'editor.add': 'Add',
+                'editor.import': 'Import',
+                'editor.export': 'Export',
+                'editor.color_invalid': 'Please enter a valid color value.',
+                'editor.color_opacity': 'Opacity',
+                'editor.color_placeholder': '#rrggbb',
+                'editor.color_placeholder_alpha': '#rrggbb or rgba(r, g, b, a)',
+                'editor.number_invalid': 'The value should be a number.',
+                'editor.number_min': 'The value should not be less than :min.',
+                'editor.number_max': 'The value should not be greater than :max.',
+
+                'code.edit': 'Edit',
+                'code.preview': 'Preview',
+                'code.preview_empty': 'Nothing to preview.',
+                'code.json_invalid': 'The JSON data is invalid: :error',
+
+                'media.up': 'Up',
+                'media.upload': 'Upload',
+                'media.drop_hint': 'Drop files here to upload them',
+                'media.loading': 'Loading...',
+                'media.empty': 'The folder is empty',
+                'media.selected': 'Selected: :path',
+                'media.selected_count': '{0} No files selected|{1} One file selected|[2,*] :count files selected',
+                'media.uploading': 'Uploading :name...',
+                'media.upload_failed': 'Error uploading :name. Status: :status',
+                'media.extension_not_allowed': 'The file :name cannot be uploaded, its type is not allowed.',
+                'media.source_error': 'Error loading the files.',
+
+                'tags.max_items': '{1} You can select only one item|[2,*] You can select only :count items',
+                'tags.no_results': 'No items found',
+
+                'stringlist.json_array': 'The JSON data should be an array of strings.',
+                'stringlist.item_strings': 'The imported items should be strings.',
+
+                'dictionary.key': 'Key',
+                'dictionary.value': 'Value',
+                'dictionary.key_required': 'The key cannot be empty.',
+                'dictionary.value_required': 'The value cannot be empty.',
+                'dictionary.keys_unique': 'Keys should be unique.',
+                'dictionary.row_invalid': 'Each row should contain a key and a value.',
+                'dictionary.json_object': 'The JSON data should be an object.',
+                'dictionary.json_values': 'Dictionary values should be strings. Key: :key',
+
+                'objectlist.no_items': 'No items found',
+                'objectlist.no_title': '[No title]',
+                'objectlist.new_item': 'New item',
+                'objectlist.duplicate': 'Duplicate',
+                'objectlist.move_up': 'Move up (Alt+Up)',
+                'objectlist.move_down': 'Move down (Alt+Down)',
+                'objectlist.key_required': 'The value of key property :property cannot be empty.',
+                'objectlist.key_unique': 'The value of key property :property should be unique.',
+                'objectlist.duplicate_no_keys': 'The item cannot be duplicated, all values of key property :property are used.',
+                'objectlist.json_objects': 'The JSON data should be an array of objects.',
+                'objectlist.unknown_column': 'The column :column doesn\'t match any item property. The first row should contain names or titles of the item properties.',
+
+                'bulk.import_title': 'Import: :property',
+                'bulk.export_title': 'Export: :property',
+                'bulk.import': 'Import',
+                'bulk.copy': 'Copy to clipboard',
+                'bulk.import_comment': 'The imported items replace the current items.',
+                'bulk.export_comment': 'Select the format and copy the data.',
+                'bulk.detect_format': 'Detect automatically',
+                'bulk.format_lines': 'List of lines',
+                'bulk.format_csv': 'CSV',
+                'bulk.format_tsv': 'TSV (tab-separated)',
+                'bulk.format_json': 'JSON',
+                'bulk.empty': 'Please enter the data to import.',
+                'bulk.copy_failed': 'The data cannot be copied automatically. Please copy the selected text.',
+                'bulk.row_error': 'Row :row: :message',
+                'bulk.item_error': 'Item :item: :message',
+                'bulk.json_invalid': 'The JSON data is invalid.',
+                'bulk.unclosed_quote': 'The :format data contains an unclosed quoted value.',
+
+                'external.link_tooltip': 'Click to enter the external parameter name to load the property value from',
+                'external.value_tooltip': 'Click to enter the property value',
+                'external.name_required': 'Please enter the external parameter name.',
+                'external.invalid_expression': 'Invalid external parameter expression: :expression. Use the parameter name optionally followed by the default value: :slug | default(\'home\').',
+                'external.unknown_parameter': 'The external parameter :name is not defined.',
+                'external.number_default': 'The default value of the external parameter :name should be a number.',
+
+                'contextmenu.copy': 'Copy value',
+                'contextmenu.paste': 'Paste value',
+                'contextmenu.reset': 'Reset to default',
+                'contextmenu.copy_all': 'Copy all values',
+                'contextmenu.paste_all': 'Paste all values',
+
+                'presets.title': 'Presets',
+                'presets.empty': 'No saved presets',
+                'presets.apply': 'Apply the preset',
+                'presets.delete': 'Delete the preset',
+                'presets.name_placeholder': 'Preset name',
+                'presets.save': 'Save',
+                'presets.saved': 'The preset :name has been saved.',
+                'presets.name_required': 'Please enter the preset name.',
+                'presets.storage_error': 'Error accessing the preset storage.',
+
+                'changes.title': 'Review changes',
+                'changes.property': 'Property',
+                'changes.old_value': 'Old value',
+                'changes.new_value': 'New value',
+                'changes.apply': 'Apply changes',
+                'changes.revert': 'Revert',
+                'changes.none': 'There are no changes.',
+                'changes.empty_value': 'empty',
+
+                'validation.invalid': 'Invalid property value.',
+                'validation.error': 'Error validating the property value.',
+                'validation.required': 'The property is required.',
+                'validation.integer': 'The value should be an integer.',
+                'validation.integer_positive': 'The value should be a positive integer.',
+                'validation.float': 'The value should be a floating point number.',
+                'validation.float_positive': 'The value should be a positive floating point number.',
+                'validation.min': 'The value should not be less than :min',
+                'validation.max': 'The value should not be greater than :max',
+                'validation.min_length': 'The value should not be shorter than :min',
+                'validation.max_length': 'The value should not be longer than :max',
+                'validation.remote': 'The value is not valid.',
+
+                'rules.invalid': 'Invalid property values.',
+                'rules.compare': 'The :property value should be :operator :other.',
+                'rules.require_one': 'One of the :properties properties is required.',
+
+                'jsonschema.required': 'The :title field is required.',
+                'jsonschema.pattern': 'The :title field has an invalid format.'
+            }
+        },
+
+        /*
+         * Plural rules return the index of the plural form for a count.
+         * Locales without a rule use the English rule.
+         */
+        pluralRules: {
+            en: function (count) {
+                return count == 1 ? 0 : 1
+            },
+            fr: function (count) {
+                return count < 2 ? 0 : 1
+            },
+            ru: slavicRule,
+            uk: slavicRule,
+            pl: function (count) {
+                if (count == 1) {
+                    return 0
+                }
+
+                return count % 10 >= 2 && count % 10 <= 4 && (count % 100 < 10 || count % 100 >= 20) ? 1 : 2
+            },
+            cs: function (count) {
+                if (count == 1) {
+                    return 0
+                }
+
+                return count >= 2 && count <= 4 ? 1 : 2
+            },
+            ja: singleFormRule,
+            zh: singleFormRule
+        },
+
+        getLocale: function () {
+            if (currentLocale === null) {
+                currentLocale = detectLocale()
+            }
+
+            return currentLocale
+        },
+
+        setLocale: function (locale) {
+            currentLocale = normalizeLocale(locale)
+        },
+
+        /*
+         * Adds or overrides messages of a locale.
+         */
+        addMessages: function (locale, messages) {
+            locale = normalizeLocale(locale);
+
+            if (Storm.inspector.lang.messages[locale] === undefined) {
+                Storm.inspector.lang.messages[locale] = {}
+            }
+
+            $.extend(Storm.inspector.lang.messages[locale], messages)
+        },
+
+        has: function (key) {
+            return findMessage(key) !== undefined
+        },
+
+        /*
+         * Returns a message with the placeholders replaced with the parameters.
+         * The key is returned if the message is not defined.
+         */
+        get: function (key, params) {
+            var message = findMessage(key);
+
+            if (message === undefined) {
+                return key
+            }
+
+            return interpolate(message, params)
+        },
+
+        /*
+         * Returns a plural form of a message for the count. The count
+         * is available in the message as the :count placeholder.
+         */
+        choice: function (key, count, params) {
+            var message = findMessage(key);
+
+            if (message === undefined) {
+                return key
+            }
+
+            params = $.extend({count: count}, params);
+
+            return interpolate(selectPluralForm(message, count), params)
+        },
+
+        /*
+         * Returns a string for the current locale from an object with values
+         * for locales. Values which are not objects are returned as is.
+         */
+        translate: function (value) {
+            if (!$.isPlainObject(value)) {
+                return value
+            }
+
+            var locales = getLocaleChain();
+
+            for (var i = 0, len = locales.length; i < len; i++) {
+                if (value[locales[i]] !== undefined) {
+                    return value[locales[i]]
+                }
+            }
+
+            for (var locale in value) {
+                return value[locale]
+            }
+
+            return undefined
+        },
+
+        /*
+         * Translates the title, description, placeholder and group
+         * properties of a property definition. The definition is updated.
+         */
+        translateProperty: function (property) {
+            var attributes = ['title', 'description', 'placeholder', 'group'];
+
+            for (var i = 0, len = attributes.length; i < len; i++) {
+                if (property[attributes[i]] !== undefined) {
+                    property[attributes[i]] = Storm.inspector.lang.translate(property[attributes[i]])
+                }
+            }
+
+            return property
+        }
+    };
+
+    //
+    // Internal functions
+    //
+
+    function slavicRule(count) {
+        if (count % 10 == 1 && count % 100 != 11) {
+            return 0
+        }
+
+        return count % 10 >= 2 && count % 10 <= 4 && (count % 100 < 10 || count % 100 >= 20) ? 1 : 2
+    }
+
+    function singleFormRule(count) {
+        return 0
+    }
+
+    function normalizeLocale(locale) {
+        return String(locale).toLowerCase().replace('_', '-')
+    }
+
+    function detectLocale() {
+        var locale = $('meta[name="backend-locale"]').attr('content');
+
+        if (!locale) {
+            locale = document.documentElement.getAttribute('lang')
+        }
+
+        return locale ? normalizeLocale(locale) : Storm.inspector.lang.fallbackLocale
+    }
+
+    /*
+     * Returns the locales to look up: pt-br, pt, en
+     */
+    function getLocaleChain() {
+        var locale = Storm.inspector.lang.getLocale(),
+            result = [locale];
+
+        if (locale.indexOf('-') !== -1) {
+            result.push(locale.split('-')[0])
+        }
+
+        if ($.inArray(Storm.inspector.lang.fallbackLocale, result) === -1) {
+            result.push(Storm.inspector.lang.fallbackLocale)
+        }
+
+        return result
+    }
+
+    function findMessage(key) {
+        var locales = getLocaleChain(),
+            messages = Storm.inspector.lang.messages;
+
+        for (var i = 0, len = locales.length; i < len; i++) {
+            if (messages[locales[i]] !== undefined && messages[locales[i]][key] !== undefined) {
+                return messages[locales[i]][key]
+            }
+        }
+
+        return undefined
+    }
+
+    function interpolate(message, params) {
+        if (!params) {
+            return message
+        }
+
+        var names = [];
+
+        for (var name in params) {
+            names.push(name)
+        }
+
+        // Replace longer names first, so that :count doesn't break :countries
+        names.sort(function (a, b) {
+            return b.length - a.length
+        });
+
+        for (var i = 0, len = names.length; i < len; i++) {
+            message = message.split(':' + names[i]).join(params[names[i]])
+        }
+
+        return message
+    }
+
+    function selectPluralForm(message, count) {
+        var forms = message.split('|'),
+            plainForms = [];
+
+        for (var i = 0, len = forms.length; i < len; i++) {
+            var form = $.trim(forms[i]),
+                exact = form.match(/^\{(\d+)\}\s*/),
+                range = form.match(/^\[(\d+|\*),\s*(\d+|\*)\]\s*/);
+
+            if (exact) {
+                if (parseInt(exact[1], 10) === count) {
+                    return form.substring(exact[0].length)
+                }
+            }
+            else if (range) {
+                if ((range[1] === '*' || count >= parseInt(range[1], 10)) && (range[2] === '*' || count <= parseInt(range[2], 10))) {
+                    return form.substring(range[0].length)
+                }
+            }
+            else {
+                plainForms.push(form)
+            }
+        }
+
+        if (plainForms.length === 0) {
+            return $.trim(forms[forms.length - 1]).replace(/^(\{\d+\}|\[(\d+|\*),\s*(\d+|\*)\])\s*/, '')
+        }
+
+        var locale = Storm.inspector.lang.getLocale(),
+            rule = Storm.inspector.lang.pluralRules[locale] || Storm.inspector.lang.pluralRules[locale.split('-')[0]] || Storm.inspector.lang.pluralRules.en,
+            index = rule(count);
+
+        return plainForms[Math.min(index, plainForms.length - 1)]
+    }
+}(window.jQuery);
\ No newline at end of file
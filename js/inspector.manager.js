@@ -49,18 +49,20 @@
         return options
     };
 
-    InspectorManager.prototype.createInspectorPopup = function ($element, containerSupported) {
+    InspectorManager.prototype.createInspectorPopup = function ($element, containerSupported, $elements) {
         var options = $.extend(this.loadElementOptions($element), {
-            containerSupported: containerSupported
+            containerSupported: containerSupported,
+            elements: $elements
         });
 
         new Storm.inspector.wrappers.popup($element, null, options)
     };
 
-    InspectorManager.prototype.createInspectorContainer = function ($element, $container) {
+    InspectorManager.prototype.createInspectorContainer = function ($element, $container, $elements) {
         var options = $.extend(this.loadElementOptions($element), {
             containerSupported: true,
-            container: $container
+            container: $container,
+            elements: $elements
         });
 
         new Storm.inspector.wrappers.container($element, null, options)
@@ -68,7 +70,8 @@
 
     InspectorManager.prototype.switchToPopup = function (wrapper) {
         var options = $.extend(this.loadElementOptions(wrapper.$element), {
-            containerSupported: true
+            containerSupported: true,
+            elements: wrapper.options.elements
         });
 
         new Storm.inspector.wrappers.popup(wrapper.$element, wrapper, options);
@@ -81,7 +84,8 @@
         var $container = this.getContainerElement(wrapper.$element),
             options = $.extend(this.loadElementOptions(wrapper.$element), {
                 containerSupported: true,
-                container: $container
+                container: $container,
+                elements: wrapper.options.elements
             });
 
         if (!$container) {
@@ -94,19 +98,32 @@
         this.setContainerPreference(true)
     };
 
+    /*
+     * Creates Inspector for the element. If multiple elements are passed,
+     * Inspector edits their common properties at once. The elements should
+     * have the same Inspector class.
+     */
     InspectorManager.prototype.createInspector = function (element) {
-        var $element = $(element);
+        var $elements = $(element),
+            $element = $elements.first();
 
-        if ($element.data('oc.inspectorVisible')) {
+        if (this.isInspectorVisible($elements)) {
             return false
         }
 
+        if ($elements.length > 1) {
+            this.validateMultipleElements($elements)
+        }
+        else {
+            $elements = null
+        }
+
         var $container = this.getContainerElement($element);
 
         // If there's no container option, create the Inspector popup
         //
         if (!$container) {
-            this.createInspectorPopup($element, false)
+            this.createInspectorPopup($element, false, $elements)
         }
         else {
             // If the container is already in use, apply values to the inspectable elements
@@ -119,11 +136,31 @@
 
             if (!this.getContainerPreference()) {
                 // If container is not a preferred option, create Inspector popoup
-                this.createInspectorPopup($element, true)
+                this.createInspectorPopup($element, true, $elements)
             }
             else {
                 // Otherwise, create Inspector in the container
-                this.createInspectorContainer($element, $container)
+                this.createInspectorContainer($element, $container, $elements)
+            }
+        }
+    };
+
+    InspectorManager.prototype.isInspectorVisible = function ($elements) {
+        for (var i = 0, len = $elements.length; i < len; i++) {
+            if ($elements.eq(i).data('oc.inspectorVisible')) {
+                return true
+            }
+        }
+
+        return false
+    };
+
+    InspectorManager.prototype.validateMultipleElements = function ($elements) {
+        var inspectorClass = $elements.first().data('inspector-class');
+
+        for (var i = 1, len = $elements.length; i < len; i++) {
+            if ($elements.eq(i).data('inspector-class') !== inspectorClass) {
+                throw new Error('Inspector can edit multiple elements only if they have the same data-inspector-class value.')
             }
         }
     };
@@ -171,7 +208,12 @@
 
     Storm.inspector.manager = new InspectorManager();
 
-    $.fn.inspector = function () {
+    $.fn.inspector = function (option) {
+        if (typeof option == 'object' && option.multiple) {
+            Storm.inspector.manager.createInspector(this);
+            return this
+        }
+
         return this.each(function () {
             Storm.inspector.manager.createInspector(this)
         })
@@ -0,0 +1,185 @@
+/*
+ * Markdown renderer for the Inspector code editor preview.
+ *
+ * Supports headings, paragraphs, fenced code blocks, block quotes,
+ * ordered and unordered lists, horizontal rules, and the inline
+ * code, strong, emphasis, link and image elements. The source is
+ * escaped, so HTML tags are displayed as text. Links and images can
+ * only refer to http, https and mailto URLs, and to relative URLs.
+ *
+ * Storm.inspector.markdown.toHtml('# Title')
+ */
++function ($) {
+    "use strict";
+
+    // NAMESPACES
+    // ============================
+
+    if (window.Storm === undefined) {
+        window.Storm = {};
+    }
+
+    if (Storm.inspector === undefined)
+        Storm.inspector = {};
+
+    Storm.inspector.markdown = {
+        toHtml: function (text) {
+            var lines = String(text).replace(/\r\n?/g, '\n').split('\n'),
+                result = '',
+                i = 0;
+
+            while (i < lines.length) {
+                var line = lines[i],
+                    block;
+
+                if ($.trim(line).length === 0) {
+                    i++;
+                    continue
+                }
+
+                if (/^```/.test(line)) {
+                    block = collectLines(lines, i + 1, function (current) {
+                        return !/^```/.test(current)
+                    });
+
+                    result += '<pre><code>' + Storm.inspector.helpers.escapeHtml(block.lines.join('\n')) + '</code></pre>';
+                    i = block.end + 1;
+                    continue
+                }
+
+                var heading = line.match(/^(#{1,6})[ \t]+(.*?)[ \t#]*$/);
+
+                if (heading) {
+                    var level = heading[1].length;
+
+                    result += '<h' + level + '>' + formatInline(heading[2]) + '</h' + level + '>';
+                    i++;
+                    continue
+                }
+
+                if (/^(?:-{3,}|\*{3,})[ \t]*$/.test(line)) {
+                    result += '<hr/>';
+                    i++;
+                    continue
+                }
+
+                if (/^>/.test(line)) {
+                    block = collectLines(lines, i, function (current) {
+                        return /^>/.test(current)
+                    });
+
+                    result += '<blockquote>' + Storm.inspector.markdown.toHtml(stripPrefix(block.lines, /^>[ \t]?/)) + '</blockquote>';
+                    i = block.end;
+                    continue
+                }
+
+                var listType = getListType(line);
+
+                if (listType !== null) {
+                    block = collectLines(lines, i, function (current) {
+                        return getListType(current) === listType
+                    });
+
+                    result += '<' + listType + '>';
+
+                    for (var j = 0, len = block.lines.length; j < len; j++) {
+                        result += '<li>' + formatInline(block.lines[j].replace(/^[ \t]*(?:[-*+]|\d+\.)[ \t]+/, '')) + '</li>'
+                    }
+
+                    result += '</' + listType + '>';
+                    i = block.end;
+                    continue
+                }
+
+                block = collectLines(lines, i, function (current) {
+                    return $.trim(current).length > 0 && !isBlockStart(current)
+                });
+
+                // The first line is always included, even if it looks like a block start
+                if (block.lines.length === 0) {
+                    block = {lines: [line], end: i + 1}
+                }
+
+                result += '<p>' + formatInline(block.lines.join('\n')).replace(/\n/g, '<br/>') + '</p>';
+                i = block.end
+            }
+
+            return result
+        }
+    };
+
+    //
+    // Internal functions
+    //
+
+    function collectLines(lines, start, condition) {
+        var result = [],
+            index = start;
+
+        while (index < lines.length && condition(lines[index])) {
+            result.push(lines[index]);
+            index++
+        }
+
+        return {lines: result, end: index}
+    }
+
+    function stripPrefix(lines, prefix) {
+        var result = [];
+
+        for (var i = 0, len = lines.length; i < len; i++) {
+            result.push(lines[i].replace(prefix, ''))
+        }
+
+        return result.join('\n')
+    }
+
+    function getListType(line) {
+        if (/^[ \t]*[-*+][ \t]+/.test(line) && !/^(?:-{3,}|\*{3,})[ \t]*$/.test(line)) {
+            return 'ul'
+        }
+
+        if (/^[ \t]*\d+\.[ \t]+/.test(line)) {
+            return 'ol'
+        }
+
+        return null
+    }
+
+    function isBlockStart(line) {
+        return /^(?:```|#{1,6}[ \t]|>|(?:-{3,}|\*{3,})[ \t]*$)/.test(line) || getListType(line) !== null
+    }
+
+    function formatInline(text) {
+        var codeSpans = [];
+
+        // Code spans are replaced with placeholders, so that
+        // their contents are not formatted.
+        text = Storm.inspector.helpers.escapeHtml(text).replace(/`([^`]+)`/g, function (match, code) {
+            codeSpans.push('<code>' + code + '</code>');
+            return '\u0000' + (codeSpans.length - 1) + '\u0000'
+        });
+
+        text = text
+            .replace(/!\[([^\]]*)\]\(([^)\s]*)\)/g, function (match, alt, url) {
+                return isSafeUrl(url) ? '<img src="' + url + '" alt="' + alt + '"/>' : match
+            })
+            .replace(/\[([^\]]+)\]\(([^)\s]*)\)/g, function (match, title, url) {
+                return isSafeUrl(url) ? '<a href="' + url + '" target="_blank" rel="noopener">' + title + '</a>' : match
+            })
+            .replace(/\*\*([^*]+)\*\*|__([^_]+)__/g, function (match, asterisks, underscores) {
+                return '<strong>' + (asterisks !== undefined ? asterisks : underscores) + '</strong>'
+            })
+            .replace(/\*([^*]+)\*|\b_([^_]+)_\b/g, function (match, asterisks, underscores) {
+                return '<em>' + (asterisks !== undefined ? asterisks : underscores) + '</em>'
+            });
+
+        return text.replace(/\u0000(\d+)\u0000/g, function (match, index) {
+            return codeSpans[index]
+        })
+    }
+
+    function isSafeUrl(url) {
+        return /^(?:https?:|mailto:|\/|#|\.)/i.test(url) || !/^[\w+.-]*:/.test(url)
+    }
+}(window.jQuery);
\ No newline at end of file
@@ -0,0 +1,189 @@
+/*
+ * Inspector media sources.
+ *
+ * Media sources supply files for the media editor. The default source loads
+ * the file list with the media data provider (the onInspectableGetMediaItems
+ * AJAX handler, see inspector.dataprovider.js) and uploads files to the URL
+ * defined in the uploadUrl property attribute. Applications can register
+ * their own sources:
+ *
+ * Storm.inspector.mediaSources.register('demo', {
+ *     list: function (path, context) {
+ *         return [{name: 'logo.png', path: '/logo.png', url: '/storage/logo.png'}]   // Returns an array or a promise
+ *     },
+ *     upload: function (file, path, context) {
+ *         return {name: file.name, path: path.replace(/\/$/, '') + '/' + file.name, url: URL.createObjectURL(file)}
+ *     }
+ * })
+ *
+ * Items are objects with the name and path elements and the optional url,
+ * folder and size elements. Folders should have the folder element set to
+ * true, image files with the url element are displayed with thumbnails.
+ * The upload() method is optional. Sources can define the canUpload(context)
+ * method to enable uploads conditionally.
+ *
+ * The context object contains the property (property path), inspectorClass,
+ * uploadUrl and form (the form element for AJAX requests) elements.
+ */
++function ($) {
+    "use strict";
+
+    // NAMESPACES
+    // ============================
+
+    if (window.Storm === undefined) {
+        window.Storm = {};
+    }
+
+    if (Storm.inspector === undefined)
+        Storm.inspector = {};
+
+    var sources = {};
+
+    Storm.inspector.mediaSources = {};
+
+    Storm.inspector.mediaSources.register = function (name, source) {
+        if (!source || typeof source.list != 'function') {
+            throw new Error('Inspector media source should define the list() method.')
+        }
+
+        sources[name] = source
+    };
+
+    Storm.inspector.mediaSources.unregister = function (name) {
+        delete sources[name]
+    };
+
+    Storm.inspector.mediaSources.get = function (name) {
+        if (!name) {
+            name = 'default'
+        }
+
+        if (sources[name] === undefined) {
+            throw new Error('Inspector media source is not registered: ' + name)
+        }
+
+        return sources[name]
+    };
+
+    Storm.inspector.mediaSources.canUpload = function (source, context) {
+        if (typeof source.upload != 'function') {
+            return false
+        }
+
+        return typeof source.canUpload == 'function' ? !!source.canUpload(context) : true
+    };
+
+    /*
+     * Returns a promise resolving with the items of the folder.
+     */
+    Storm.inspector.mediaSources.list = function (source, path, context) {
+        return toPromise(function () {
+            return source.list(path, context)
+        }).then(function (items) {
+            return normalizeItems(items)
+        })
+    };
+
+    /*
+     * Uploads the file to the folder. Returns a promise
+     * resolving with the uploaded item.
+     */
+    Storm.inspector.mediaSources.upload = function (source, file, path, context) {
+        return toPromise(function () {
+            return source.upload(file, path, context)
+        }).then(function (item) {
+            if (!isValidItem(item)) {
+                throw new Error('The media source returned an invalid uploaded item.')
+            }
+
+            return item
+        })
+    };
+
+    //
+    // Default source
+    //
+
+    Storm.inspector.mediaSources.register('default', {
+        list: function (path, context) {
+            var data = {
+                path: path,
+                inspectorProperty: context.property,
+                inspectorClassName: context.inspectorClass
+            };
+
+            return Storm.inspector.dataProvider.request('media', data, $(context.form)).then(function (response) {
+                return response && response.items !== undefined ? response.items : response
+            })
+        },
+
+        canUpload: function (context) {
+            return !!context.uploadUrl
+        },
+
+        upload: function (file, path, context) {
+            var data = new FormData();
+
+            data.append('file', file);
+            data.append('path', path);
+            data.append('inspectorProperty', context.property);
+            data.append('inspectorClassName', context.inspectorClass ? context.inspectorClass : '');
+
+            return $.ajax({
+                url: context.uploadUrl,
+                type: 'POST',
+                data: data,
+                processData: false,
+                contentType: false,
+                dataType: 'json',
+                headers: {
+                    'X-Requested-With': 'XMLHttpRequest'
+                }
+            }).then(null, function (xhr) {
+                throw new Error(Storm.inspector.lang.get('media.upload_failed', {name: file.name, status: xhr.status}))
+            })
+        }
+    });
+
+    //
+    // Internal functions
+    //
+
+    function toPromise(callback) {
+        try {
+            return $.when(callback())
+        }
+        catch (err) {
+            return $.Deferred().reject(err).promise()
+        }
+    }
+
+    function isValidItem(item) {
+        return $.isPlainObject(item) && typeof item.name == 'string' && typeof item.path == 'string'
+    }
+
+    function normalizeItems(items) {
+        var folders = [],
+            files = [];
+
+        if (!$.isArray(items)) {
+            throw new Error('The media source should return an array of items.')
+        }
+
+        for (var i = 0, len = items.length; i < len; i++) {
+            if (!isValidItem(items[i])) {
+                continue
+            }
+
+            if (items[i].folder) {
+                folders.push(items[i])
+            }
+            else {
+                files.push(items[i])
+            }
+        }
+
+        return folders.concat(files)
+    }
+}(window.jQuery);
\ No newline at end of file
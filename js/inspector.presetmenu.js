@@ -0,0 +1,360 @@
+/*
+ * Inspector presets menu.
+ *
+ * The menu is displayed when the presets button in the Inspector header
+ * is clicked. It lists presets saved for the Inspector class, allows to
+ * apply and delete them, and to save the current values as a new preset.
+ * See inspector.presets.js for the preset storage details.
+ */
++function ($) {
+    "use strict";
+
+    // NAMESPACES
+    // ============================
+
+    if (Storm.inspector === undefined)
+        Storm.inspector = {};
+
+    // CLASS DEFINITION
+    // ============================
+
+    var Base = Storm.foundation.base,
+        BaseProto = Base.prototype;
+
+    var PresetMenu = function (surface, inspectorClass, storageName) {
+        this.surface = surface;
+        this.inspectorClass = inspectorClass;
+        this.storageName = storageName;
+        this.menu = null;
+        this.trigger = null;
+        this.presets = [];
+
+        Base.call(this)
+    };
+
+    PresetMenu.prototype = Object.create(BaseProto);
+    PresetMenu.prototype.constructor = Base;
+
+    PresetMenu.prototype.dispose = function () {
+        this.hide();
+
+        this.surface = null;
+        this.presets = null;
+
+        BaseProto.dispose.call(this)
+    };
+
+    /*
+     * Loads the presets and displays the menu below the trigger element.
+     */
+    PresetMenu.prototype.show = function (trigger) {
+        var self = this;
+
+        this.hide();
+
+        this.loadPresets().then(function (presets) {
+            if (self.surface === null) {
+                // The menu was disposed while the presets were loading
+                return
+            }
+
+            self.presets = presets;
+            self.display(trigger)
+        }, this.proxy(this.onStorageError))
+    };
+
+    PresetMenu.prototype.hide = function () {
+        if (this.menu === null) {
+            return
+        }
+
+        this.unregisterHandlers();
+        this.menu.parentNode.removeChild(this.menu);
+
+        this.menu = null;
+        this.trigger = null;
+
+        this.surface.popupHidden()
+    };
+
+    PresetMenu.prototype.isVisible = function () {
+        return this.menu !== null
+    };
+
+    PresetMenu.prototype.display = function (trigger) {
+        var $trigger = $(trigger),
+            offset = $trigger.offset();
+
+        this.hide();
+
+        this.trigger = trigger;
+        this.menu = this.buildMenu();
+
+        document.body.appendChild(this.menu);
+
+        // Align the right edge of the menu with the trigger
+        this.menu.style.left = Math.max(offset.left + $trigger.outerWidth() - $(this.menu).outerWidth(), 0) + 'px';
+        this.menu.style.top = (offset.top + $trigger.outerHeight() + 4) + 'px';
+
+        this.registerHandlers();
+        this.surface.popupDisplayed();
+        this.getNameInput().focus()
+    };
+
+    //
+    // Building
+    //
+
+    PresetMenu.prototype.buildMenu = function () {
+        var menu = document.createElement('ul');
+
+        menu.setAttribute('class', 'dropdown-menu inspector-preset-menu');
+        menu.setAttribute('role', 'menu');
+
+        if (this.presets.length > 0) {
+            for (var i = 0, len = this.presets.length; i < len; i++) {
+                this.buildPresetItem(menu, this.presets[i].name)
+            }
+        }
+        else {
+            var empty = document.createElement('li');
+
+            empty.setAttribute('class', 'dropdown-header');
+            empty.textContent = Storm.inspector.lang.get('presets.empty');
+
+            menu.appendChild(empty)
+        }
+
+        this.buildDivider(menu);
+        this.buildSaveForm(menu);
+
+        return menu
+    };
+
+    PresetMenu.prototype.buildPresetItem = function (menu, name) {
+        var item = document.createElement('li'),
+            applyLink = document.createElement('a'),
+            deleteLink = document.createElement('a');
+
+        item.setAttribute('role', 'presentation');
+        item.setAttribute('class', 'preset');
+
+        applyLink.setAttribute('href', 'javascript:;');
+        applyLink.setAttribute('role', 'menuitem');
+        applyLink.setAttribute('data-action', 'apply');
+        applyLink.setAttribute('data-preset', name);
+        applyLink.setAttribute('title', Storm.inspector.lang.get('presets.apply'));
+        applyLink.textContent = name;
+
+        deleteLink.setAttribute('href', 'javascript:;');
+        deleteLink.setAttribute('class', 'delete oc-icon-trash-o');
+        deleteLink.setAttribute('data-action', 'delete');
+        deleteLink.setAttribute('data-preset', name);
+        deleteLink.setAttribute('title', Storm.inspector.lang.get('presets.delete'));
+
+        item.appendChild(applyLink);
+        item.appendChild(deleteLink);
+        menu.appendChild(item)
+    };
+
+    PresetMenu.prototype.buildDivider = function (menu) {
+        var divider = document.createElement('li');
+
+        divider.setAttribute('role', 'separator');
+        divider.setAttribute('class', 'divider');
+
+        menu.appendChild(divider)
+    };
+
+    PresetMenu.prototype.buildSaveForm = function (menu) {
+        var item = document.createElement('li'),
+            form = document.createElement('form'),
+            input = document.createElement('input'),
+            button = document.createElement('button');
+
+        item.setAttribute('role', 'presentation');
+        item.setAttribute('class', 'preset-save');
+
+        form.setAttribute('autocomplete', 'off');
+
+        input.setAttribute('type', 'text');
+        input.setAttribute('class', 'form-control');
+        input.setAttribute('placeholder', Storm.inspector.lang.get('presets.name_placeholder'));
+        input.setAttribute('data-preset-name', '');
+
+        button.setAttribute('type', 'submit');
+        button.setAttribute('class', 'btn btn-primary btn-sm');
+        button.textContent = Storm.inspector.lang.get('presets.save');
+
+        form.appendChild(input);
+        form.appendChild(button);
+        item.appendChild(form);
+        menu.appendChild(item)
+    };
+
+    PresetMenu.prototype.getNameInput = function () {
+        return this.menu.querySelector('input[data-preset-name]')
+    };
+
+    PresetMenu.prototype.getFocusableItems = function () {
+        return this.menu.querySelectorAll('a[data-action], input[data-preset-name]')
+    };
+
+    //
+    // Actions
+    //
+
+    PresetMenu.prototype.loadPresets = function () {
+        try {
+            return Storm.inspector.presets.list(this.inspectorClass, this.storageName)
+        }
+        catch (err) {
+            return $.Deferred().reject(err).promise()
+        }
+    };
+
+    PresetMenu.prototype.isEditorDisabled = function (editor) {
+        return Storm.foundation.element.hasClass(editor.containerRow, 'condition-disabled')
+    };
+
+    /*
+     * Applies the preset values to the surface. Properties that don't
+     * exist in the surface or are disabled with conditions are skipped.
+     */
+    PresetMenu.prototype.applyPreset = function (name) {
+        var preset = Storm.inspector.presets.find(this.presets, name);
+
+        if (preset === null) {
+            return
+        }
+
+        this.surface.beginHistoryBatch();
+
+        for (var property in preset.values) {
+            var editor = this.surface.findPropertyEditor(property);
+
+            if (editor && !this.isEditorDisabled(editor)) {
+                this.surface.setPropertyValue(property, Storm.inspector.helpers.cloneValue(preset.values[property]), false, true)
+            }
+        }
+
+        this.surface.endHistoryBatch()
+    };
+
+    PresetMenu.prototype.savePreset = function (name) {
+        name = $.trim(name);
+
+        if (name.length === 0) {
+            Storm.flashMsg({text: Storm.inspector.lang.get('presets.name_required'), 'class': 'error', 'interval': 3});
+            this.getNameInput().focus();
+            return
+        }
+
+        this.hide();
+
+        Storm.inspector.presets.save(this.inspectorClass, name, this.surface.getValues(), this.storageName).then(function () {
+            Storm.flashMsg({text: Storm.inspector.lang.get('presets.saved', {name: Storm.inspector.helpers.escapeHtml(name)}), 'class': 'success', 'interval': 2})
+        }, this.proxy(this.onStorageError))
+    };
+
+    PresetMenu.prototype.deletePreset = function (name) {
+        var self = this,
+            trigger = this.trigger;
+
+        Storm.inspector.presets.remove(this.inspectorClass, name, this.storageName).then(function () {
+            if (self.surface !== null && self.isVisible()) {
+                // Rebuild the menu to remove the deleted preset
+                self.show(trigger)
+            }
+        }, this.proxy(this.onStorageError))
+    };
+
+    //
+    // Event handlers
+    //
+
+    PresetMenu.prototype.registerHandlers = function () {
+        $(this.menu).on('click', 'a[data-action]', this.proxy(this.onItemClick));
+        $(this.menu).on('submit', 'form', this.proxy(this.onSaveSubmit));
+        $(this.menu).on('keydown', this.proxy(this.onMenuKeyDown));
+        $(document).on('mousedown', this.proxy(this.onDocumentMouseDown));
+        $(window).on('resize', this.proxy(this.hide))
+    };
+
+    PresetMenu.prototype.unregisterHandlers = function () {
+        $(this.menu).off('click', 'a[data-action]', this.proxy(this.onItemClick));
+        $(this.menu).off('submit', 'form', this.proxy(this.onSaveSubmit));
+        $(this.menu).off('keydown', this.proxy(this.onMenuKeyDown));
+        $(document).off('mousedown', this.proxy(this.onDocumentMouseDown));
+        $(window).off('resize', this.proxy(this.hide))
+    };
+
+    PresetMenu.prototype.onItemClick = function (ev) {
+        // Stop the event, otherwise Inspector popovers
+        // would consider it as a click outside the popover.
+        Storm.foundation.event.stop(ev);
+
+        var link = ev.currentTarget,
+            name = link.getAttribute('data-preset');
+
+        if (link.getAttribute('data-action') == 'delete') {
+            this.deletePreset(name);
+            return false
+        }
+
+        this.applyPreset(name);
+        this.hide();
+
+        return false
+    };
+
+    PresetMenu.prototype.onSaveSubmit = function (ev) {
+        Storm.foundation.event.stop(ev);
+
+        this.savePreset(this.getNameInput().value);
+
+        return false
+    };
+
+    PresetMenu.prototype.onMenuKeyDown = function (ev) {
+        var items = Array.prototype.slice.call(this.getFocusableItems()),
+            index = $.inArray(document.activeElement, items);
+
+        if (ev.keyCode == 40 || ev.keyCode == 38) {
+            if (items.length === 0) {
+                return
+            }
+
+            index = ev.keyCode == 40 ? index + 1 : index - 1;
+
+            if (index < 0) {
+                index = items.length - 1
+            }
+
+            items[index % items.length].focus()
+        }
+        else if (ev.keyCode == 27) {
+            this.hide()
+        }
+        else {
+            return
+        }
+
+        Storm.foundation.event.stop(ev);
+        return false
+    };
+
+    PresetMenu.prototype.onDocumentMouseDown = function (ev) {
+        if (!$.contains(this.menu, ev.target) && ev.target !== this.trigger) {
+            this.hide()
+        }
+    };
+
+    PresetMenu.prototype.onStorageError = function (err) {
+        var message = err && err.message ? err.message : Storm.inspector.lang.get('presets.storage_error');
+
+        Storm.flashMsg({text: Storm.inspector.helpers.escapeHtml(message), 'class': 'error', 'interval': 5})
+    };
+
+    Storm.inspector.presetMenu = PresetMenu
+}(window.jQuery);
\ No newline at end of file
@@ -0,0 +1,200 @@
+/*
+ * Inspector presets.
+ *
+ * Presets are named sets of property values saved for an Inspector class
+ * (the data-inspector-class attribute). Presets are stored with storage
+ * adapters. The default adapter keeps presets in the browser localStorage,
+ * applications can register their own adapters:
+ *
+ * Storm.inspector.presets.registerStorage('server', {
+ *     load: function (inspectorClass) {
+ *         return $.getJSON('/api/presets/' + inspectorClass)   // Returns an array or a promise
+ *     },
+ *     save: function (inspectorClass, presets) {
+ *         return $.post('/api/presets/' + inspectorClass, {presets: JSON.stringify(presets)})
+ *     }
+ * })
+ *
+ * Adapters receive and return arrays of presets: [{name: 'Compact', values: {...}}].
+ * The storage is selected with the data-inspector-presets attribute value,
+ * the local storage is used if the value is empty.
+ */
++function ($) {
+    "use strict";
+
+    // NAMESPACES
+    // ============================
+
+    if (window.Storm === undefined) {
+        window.Storm = {};
+    }
+
+    if (Storm.inspector === undefined)
+        Storm.inspector = {};
+
+    var storages = {};
+
+    Storm.inspector.presets = {};
+
+    Storm.inspector.presets.registerStorage = function (name, storage) {
+        if (!storage || typeof storage.load != 'function' || typeof storage.save != 'function') {
+            throw new Error('Inspector preset storage should define the load() and save() methods.')
+        }
+
+        storages[name] = storage
+    };
+
+    Storm.inspector.presets.unregisterStorage = function (name) {
+        delete storages[name]
+    };
+
+    Storm.inspector.presets.getStorage = function (name) {
+        if (!name) {
+            name = 'local'
+        }
+
+        if (storages[name] === undefined) {
+            throw new Error('Inspector preset storage is not registered: ' + name)
+        }
+
+        return storages[name]
+    };
+
+    /*
+     * Returns a promise resolving with the presets
+     * of the Inspector class sorted by name.
+     */
+    Storm.inspector.presets.list = function (inspectorClass, storageName) {
+        var storage = Storm.inspector.presets.getStorage(storageName);
+
+        return $.when(storage.load(inspectorClass)).then(function (presets) {
+            return normalizePresets(presets)
+        })
+    };
+
+    /*
+     * Saves the values under the name. An existing preset
+     * with the same name is replaced. Returns a promise.
+     */
+    Storm.inspector.presets.save = function (inspectorClass, name, values, storageName) {
+        var storage = Storm.inspector.presets.getStorage(storageName);
+
+        name = $.trim(name);
+
+        if (name.length === 0) {
+            throw new Error('Inspector preset name cannot be empty.')
+        }
+
+        return Storm.inspector.presets.list(inspectorClass, storageName).then(function (presets) {
+            var index = findPresetIndex(presets, name),
+                preset = {
+                    name: name,
+                    values: $.extend(true, {}, values)
+                };
+
+            if (index !== -1) {
+                presets[index] = preset
+            }
+            else {
+                presets.push(preset)
+            }
+
+            return $.when(storage.save(inspectorClass, normalizePresets(presets)))
+        })
+    };
+
+    Storm.inspector.presets.remove = function (inspectorClass, name, storageName) {
+        var storage = Storm.inspector.presets.getStorage(storageName);
+
+        return Storm.inspector.presets.list(inspectorClass, storageName).then(function (presets) {
+            var index = findPresetIndex(presets, name);
+
+            if (index === -1) {
+                return
+            }
+
+            presets.splice(index, 1);
+
+            return $.when(storage.save(inspectorClass, presets))
+        })
+    };
+
+    Storm.inspector.presets.find = function (presets, name) {
+        var index = findPresetIndex(presets, name);
+
+        return index !== -1 ? presets[index] : null
+    };
+
+    //
+    // Local storage adapter
+    //
+
+    Storm.inspector.presets.registerStorage('local', {
+        load: function (inspectorClass) {
+            var data = null;
+
+            try {
+                data = window.localStorage.getItem(getStorageKey(inspectorClass))
+            }
+            catch (err) {
+                // The storage can be disabled in the browser settings
+                return []
+            }
+
+            if (!data) {
+                return []
+            }
+
+            try {
+                return $.parseJSON(data)
+            }
+            catch (err) {
+                return []
+            }
+        },
+
+        save: function (inspectorClass, presets) {
+            window.localStorage.setItem(getStorageKey(inspectorClass), JSON.stringify(presets))
+        }
+    });
+
+    //
+    // Internal functions
+    //
+
+    function getStorageKey(inspectorClass) {
+        return 'oc.inspector.presets.' + inspectorClass
+    }
+
+    function findPresetIndex(presets, name) {
+        for (var i = 0, len = presets.length; i < len; i++) {
+            if (presets[i].name === name) {
+                return i
+            }
+        }
+
+        return -1
+    }
+
+    function normalizePresets(presets) {
+        var result = [];
+
+        if (!$.isArray(presets)) {
+            return result
+        }
+
+        for (var i = 0, len = presets.length; i < len; i++) {
+            var preset = presets[i];
+
+            if ($.isPlainObject(preset) && typeof preset.name == 'string' && $.isPlainObject(preset.values)) {
+                result.push(preset)
+            }
+        }
+
+        result.sort(function (a, b) {
+            return a.name.localeCompare(b.name)
+        });
+
+        return result
+    }
+}(window.jQuery);
\ No newline at end of file
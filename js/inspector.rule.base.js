@@ -0,0 +1,82 @@
+/*
+ * Inspector cross-field validation rule base class.
+ *
+ * Rules validate relations between multiple properties of an
+ * Inspector surface, unlike validators, which validate values
+ * of individual properties.
+ */
++function ($) {
+    "use strict";
+
+    // NAMESPACES
+    // ============================
+
+    if (Storm.inspector.rules === undefined)
+        Storm.inspector.rules = {};
+
+    // CLASS DEFINITION
+    // ============================
+
+    var Base = Storm.foundation.base,
+        BaseProto = Base.prototype;
+
+    var BaseRule = function (options) {
+        this.options = options;
+        this.defaultMessage = Storm.inspector.lang.get('rules.invalid');
+
+        Base.call(this)
+    };
+
+    BaseRule.prototype = Object.create(BaseProto);
+    BaseRule.prototype.constructor = Base;
+
+    BaseRule.prototype.dispose = function () {
+        this.defaultMessage = null;
+
+        BaseProto.dispose.call(this)
+    };
+
+    BaseRule.prototype.getMessage = function (defaultMessage) {
+        if (this.options.message !== undefined) {
+            return Storm.inspector.lang.translate(this.options.message)
+        }
+
+        if (defaultMessage !== undefined) {
+            return defaultMessage
+        }
+
+        return this.defaultMessage
+    };
+
+    /*
+     * Returns names of properties the rule depends on. Rows of
+     * these properties are marked as invalid if the rule fails.
+     */
+    BaseRule.prototype.getProperties = function () {
+        return []
+    };
+
+    /*
+     * Validates the surface values. The getValue argument is a function
+     * returning a property value by its name, the getTitle argument returns
+     * a property title for error messages. Returns an error message or null.
+     */
+    BaseRule.prototype.isValid = function (getValue, getTitle) {
+        return null
+    };
+
+    BaseRule.prototype.isEmptyValue = function (value) {
+        return value === undefined
+            || value === null
+            || value === false
+            || (typeof value == 'string' && $.trim(value).length === 0)
+            || ($.isArray(value) && value.length === 0)
+            || ($.isPlainObject(value) && $.isEmptyObject(value))
+    };
+
+    BaseRule.prototype.throwError = function (errorMessage) {
+        throw new Error(errorMessage)
+    };
+
+    Storm.inspector.rules.base = BaseRule
+}(window.jQuery);
\ No newline at end of file
@@ -0,0 +1,97 @@
+/*
+ * Inspector compare rule.
+ *
+ * Compares a property value with another property value
+ * or with a fixed value. Numeric values are compared as
+ * numbers, other values - as strings, which works for ISO
+ * dates generated by the date and datetime editors.
+ */
++function ($) {
+    "use strict";
+
+    var Base = Storm.inspector.rules.base,
+        BaseProto = Base.prototype;
+
+    var CompareRule = function (options) {
+        Base.call(this, options);
+
+        if (this.options.property === undefined) {
+            this.throwError('The property parameter is not defined in the Inspector compare rule configuration.')
+        }
+
+        if (this.options.otherProperty === undefined && this.options.value === undefined) {
+            this.throwError('The otherProperty or value parameter should be defined in the Inspector compare rule configuration.')
+        }
+
+        if (CompareRule.OPERATORS[this.getOperator()] === undefined) {
+            this.throwError('Unknown operator in the Inspector compare rule configuration: ' + this.options.operator)
+        }
+    };
+
+    CompareRule.prototype = Object.create(BaseProto);
+    CompareRule.prototype.constructor = Base;
+
+    CompareRule.prototype.getOperator = function () {
+        return this.options.operator !== undefined ? this.options.operator : '=='
+    };
+
+    CompareRule.prototype.getProperties = function () {
+        var result = [this.options.property];
+
+        if (this.options.otherProperty !== undefined) {
+            result.push(this.options.otherProperty)
+        }
+
+        return result
+    };
+
+    CompareRule.prototype.isValid = function (getValue, getTitle) {
+        var value = getValue(this.options.property),
+            otherValue = this.options.otherProperty !== undefined
+                ? getValue(this.options.otherProperty)
+                : this.options.value;
+
+        // Empty values should be checked with the required validator
+        if (this.isEmptyValue(value) || this.isEmptyValue(otherValue)) {
+            return null
+        }
+
+        if (isNumeric(value) && isNumeric(otherValue)) {
+            value = parseFloat(value);
+            otherValue = parseFloat(otherValue)
+        }
+        else {
+            value = String(value);
+            otherValue = String(otherValue)
+        }
+
+        if (CompareRule.OPERATORS[this.getOperator()](value, otherValue)) {
+            return null
+        }
+
+        return this.getMessage(Storm.inspector.lang.get('rules.compare', {
+            property: getTitle(this.options.property),
+            operator: this.getOperator(),
+            other: this.options.otherProperty !== undefined ? getTitle(this.options.otherProperty) : this.options.value
+        }))
+    };
+
+    function isNumeric(value) {
+        if (typeof value == 'number') {
+            return true
+        }
+
+        return typeof value == 'string' && /^\-?[0-9]*\.?[0-9]+$/.test($.trim(value))
+    }
+
+    CompareRule.OPERATORS = {
+        '==': function (a, b) { return a == b },
+        '!=': function (a, b) { return a != b },
+        '>': function (a, b) { return a > b },
+        '>=': function (a, b) { return a >= b },
+        '<': function (a, b) { return a < b },
+        '<=': function (a, b) { return a <= b }
+    };
+
+    Storm.inspector.rules.compare = CompareRule
+}(window.jQuery);
\ No newline at end of file
@@ -0,0 +1,44 @@
+/*
+ * Inspector requireOne rule.
+ *
+ * Checks if at least one of the listed properties is not empty.
+ */
++function ($) {
+    "use strict";
+
+    var Base = Storm.inspector.rules.base,
+        BaseProto = Base.prototype;
+
+    var RequireOneRule = function (options) {
+        Base.call(this, options);
+
+        if (!$.isArray(this.options.properties) || this.options.properties.length === 0) {
+            this.throwError('The properties parameter of the Inspector requireOne rule should be a non-empty array.')
+        }
+    };
+
+    RequireOneRule.prototype = Object.create(BaseProto);
+    RequireOneRule.prototype.constructor = Base;
+
+    RequireOneRule.prototype.getProperties = function () {
+        return this.options.properties
+    };
+
+    RequireOneRule.prototype.isValid = function (getValue, getTitle) {
+        var titles = [];
+
+        for (var i = 0, len = this.options.properties.length; i < len; i++) {
+            if (!this.isEmptyValue(getValue(this.options.properties[i]))) {
+                return null
+            }
+        }
+
+        for (var j = 0, titlesLen = this.options.properties.length; j < titlesLen; j++) {
+            titles.push(getTitle(this.options.properties[j]))
+        }
+
+        return this.getMessage(Storm.inspector.lang.get('rules.require_one', {properties: titles.join(', ')}))
+    };
+
+    Storm.inspector.rules.requireOne = RequireOneRule
+}(window.jQuery);
\ No newline at end of file
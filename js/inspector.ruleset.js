@@ -0,0 +1,103 @@
+/*
+ * Inspector cross-field validation rule set class.
+ *
+ * Creates rules from the rule configuration array:
+ *
+ * [
+ *     {"rule": "compare", "property": "maxItems", "operator": ">", "otherProperty": "minItems"},
+ *     {"rule": "requireOne", "properties": ["email", "phone"], "message": "Enter an email or phone."}
+ * ]
+ */
++function ($) {
+    "use strict";
+
+    var Base = Storm.foundation.base,
+        BaseProto = Base.prototype;
+
+    var RuleSet = function (options) {
+        this.rules = [];
+
+        this.options = options;
+        Base.call(this);
+
+        this.createRules()
+    };
+
+    RuleSet.prototype = Object.create(BaseProto);
+    RuleSet.prototype.constructor = Base;
+
+    RuleSet.prototype.dispose = function () {
+        this.disposeRules();
+        this.rules = null;
+
+        BaseProto.dispose.call(this)
+    };
+
+    RuleSet.prototype.disposeRules = function () {
+        for (var i = 0, len = this.rules.length; i < len; i++) {
+            this.rules[i].dispose()
+        }
+    };
+
+    RuleSet.prototype.createRules = function () {
+        if (!$.isArray(this.options)) {
+            throw new Error('Inspector rules should be defined as an array.')
+        }
+
+        for (var i = 0, len = this.options.length; i < len; i++) {
+            var ruleOptions = this.options[i],
+                ruleName = ruleOptions.rule;
+
+            if (Storm.inspector.rules[ruleName] === undefined) {
+                throw new Error('Inspector rule "' + ruleName + '" is not found in the Storm.inspector.rules namespace.')
+            }
+
+            this.rules.push(new Storm.inspector.rules[ruleName](ruleOptions))
+        }
+    };
+
+    /*
+     * Validates the values. The getValue function returns a property value
+     * by its name. The isPropertyIgnored function allows to skip rules depending
+     * on hidden properties. The optional getTitle function returns a property
+     * title for error messages. Returns null or an object with the error message
+     * and the names of properties the failed rule depends on.
+     */
+    RuleSet.prototype.validate = function (getValue, isPropertyIgnored, getTitle) {
+        for (var i = 0, len = this.rules.length; i < len; i++) {
+            var rule = this.rules[i],
+                properties = rule.getProperties();
+
+            if (isPropertyIgnored && this.hasIgnoredProperties(properties, isPropertyIgnored)) {
+                continue
+            }
+
+            var errorMessage = rule.isValid(getValue, getTitle ? getTitle : getPropertyName);
+
+            if (typeof errorMessage === 'string') {
+                return {
+                    message: errorMessage,
+                    properties: properties
+                }
+            }
+        }
+
+        return null
+    };
+
+    RuleSet.prototype.hasIgnoredProperties = function (properties, isPropertyIgnored) {
+        for (var i = 0, len = properties.length; i < len; i++) {
+            if (isPropertyIgnored(properties[i])) {
+                return true
+            }
+        }
+
+        return false
+    };
+
+    function getPropertyName(property) {
+        return property
+    }
+
+    Storm.inspector.ruleSet = RuleSet
+}(window.jQuery);
\ No newline at end of file
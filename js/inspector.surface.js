@@ -58,14 +58,28 @@
         this.externalParameterEditors = [];
         this.tableContainer = null;
         this.groupManager = null;
+        this.history = null;
+        this.ruleSet = null;
+        this.contextMenu = null;
+        this.searchQuery = '';
+        this.mixedProperties = $.isArray(this.options.mixedProperties) ? this.options.mixedProperties.slice() : [];
         this.group = null;
+        this.disposed = false;
 
         if (group !== undefined) {
             this.group = group
         }
 
         if (!this.parentSurface) {
-            this.groupManager = new Storm.inspector.groupManager(this.inspectorUniqueId)
+            this.groupManager = new Storm.inspector.groupManager(this.inspectorUniqueId, this.options.inspectorClass);
+
+            if (this.options.historyLimit > 0) {
+                this.history = new Storm.inspector.historyManager(this.options.historyLimit)
+            }
+        }
+
+        if (this.options.rules) {
+            this.ruleSet = new Storm.inspector.ruleSet(this.options.rules)
         }
 
         Base.call(this);
@@ -83,6 +97,18 @@
         this.removeElements();
         this.disposeExternalParameterEditors();
 
+        if (this.history) {
+            this.history.dispose()
+        }
+
+        if (this.ruleSet) {
+            this.ruleSet.dispose()
+        }
+
+        if (this.contextMenu) {
+            this.contextMenu.dispose()
+        }
+
         this.container = null;
         this.tableContainer = null;
         this.rawProperties = null;
@@ -97,7 +123,12 @@
         this.options.onGetInspectableElement = null;
         this.parentSurface = null;
         this.groupManager = null;
+        this.history = null;
+        this.ruleSet = null;
+        this.contextMenu = null;
+        this.mixedProperties = null;
         this.group = null;
+        this.disposed = true;
 
         BaseProto.dispose.call(this)
     };
@@ -113,7 +144,8 @@
         this.build();
 
         if (!this.parentSurface) {
-            Storm.foundation.controlUtils.markDisposable(this.tableContainer)
+            Storm.foundation.controlUtils.markDisposable(this.tableContainer);
+            this.contextMenu = new Storm.inspector.contextMenu(this)
         }
 
         this.registerHandlers()
@@ -123,7 +155,9 @@
         if (!this.parentSurface) {
             $(this.tableContainer).one('dispose-control', this.proxy(this.dispose));
             $(this.tableContainer).on('click', 'tr.group, tr.control-group', this.proxy(this.onGroupClick));
-            $(this.tableContainer).on('focus-control', this.proxy(this.focusFirstEditor))
+            $(this.tableContainer).on('focus-control', this.proxy(this.focusFirstEditor));
+            $(this.tableContainer).on('keydown', this.proxy(this.onKeyDown));
+            $(this.tableContainer).on('contextmenu', 'tr', this.proxy(this.onRowContextMenu))
         }
     };
 
@@ -131,7 +165,9 @@
         if (!this.parentSurface) {
             $(this.tableContainer).off('dispose-control', this.proxy(this.dispose));
             $(this.tableContainer).off('click', 'tr.group, tr.control-group', this.proxy(this.onGroupClick));
-            $(this.tableContainer).off('focus-control', this.proxy(this.focusFirstEditor))
+            $(this.tableContainer).off('focus-control', this.proxy(this.focusFirstEditor));
+            $(this.tableContainer).off('keydown', this.proxy(this.onKeyDown));
+            $(this.tableContainer).off('contextmenu', 'tr', this.proxy(this.onRowContextMenu))
         }
     };
 
@@ -176,13 +212,18 @@
             Storm.foundation.element.addClass(dataTable, 'has-groups')
         }
 
+        if (!this.parentSurface) {
+            dataTable.setAttribute('role', 'treegrid');
+            dataTable.setAttribute('aria-label', Storm.inspector.lang.get('grid.label'))
+        }
+
         var currentGroup = this.group;
 
         for (var i = 0, len = this.parsedProperties.properties.length; i < len; i++) {
             var property = this.parsedProperties.properties[i];
 
             if (property.itemType == 'group') {
-                currentGroup = this.getGroupManager().createGroup(property.groupIndex, this.group)
+                currentGroup = this.getGroupManager().createGroup(property.groupIndex, this.group, property.title)
             }
             else {
                 if (property.groupIndex === undefined) {
@@ -216,6 +257,7 @@
         }
 
         if (!this.parentSurface) {
+            this.applyConditions();
             this.focusFirstEditor()
         }
     };
@@ -242,6 +284,15 @@
         this.applyGroupIndexAttribute(property, row, group);
         Storm.foundation.element.addClass(row, this.getRowCssClass(property, group));
 
+        // Rows can be focused with the arrow keys, see handleNavigationKey()
+        row.setAttribute('role', 'row');
+        row.setAttribute('tabindex', -1);
+        th.setAttribute('role', 'rowheader');
+
+        if (property.itemType == 'group') {
+            this.setRowExpanded(row, this.getGroupManager().isGroupExpanded(group))
+        }
+
         // Property head
         //
         this.applyHeadColspan(th, property);
@@ -283,6 +334,10 @@
                 continue
             }
 
+            if (this.isPropertyHidden(editor.getPropertyName())) {
+                continue
+            }
+
             var externalParameterEditor = this.findExternalParameterEditor(editor.getPropertyName());
 
             if (externalParameterEditor && externalParameterEditor.isEditorVisible()) {
@@ -329,7 +384,12 @@
 
         anchor.setAttribute('class', 'expandControl ' + statusClass);
         anchor.setAttribute('href', 'javascript:;');
-        anchor.innerHTML = '<span>Expand/collapse</span>';
+        anchor.setAttribute('tabindex', -1);
+        anchor.setAttribute('aria-hidden', 'true');
+
+        var label = document.createElement('span');
+        label.textContent = Storm.inspector.lang.get('grid.expand_collapse');
+        anchor.appendChild(label);
 
         titleSpan.appendChild(anchor)
     };
@@ -408,10 +468,15 @@
         var groupLevel = group.getLevel();
 
         row.setAttribute('data-group-level', groupLevel);
+        row.setAttribute('aria-level', groupLevel + 1);
         th.children[0].style.marginLeft = groupLevel * 10 + 'px'
     };
 
-    Surface.prototype.toggleGroup = function (row, forceExpand) {
+    /*
+     * Expands or collapses a group. Statuses set with the temporary
+     * argument are not saved in the group status storage.
+     */
+    Surface.prototype.toggleGroup = function (row, forceExpand, temporary) {
         var link = row.querySelector('a'),
             groupIndex = row.getAttribute('data-group-index'),
             table = this.getRootTable(),
@@ -430,7 +495,16 @@
             duration = Math.round(50 / propertyRows.length);
 
         this.expandOrCollapseRows(propertyRows, collapse, duration, forceExpand);
-        groupManager.setGroupStatus(groupIndex, !collapse)
+        groupManager.setGroupStatus(groupIndex, !collapse, temporary);
+        this.setRowExpanded(row, !collapse)
+    };
+
+    Surface.prototype.setRowExpanded = function (row, expanded) {
+        row.setAttribute('aria-expanded', expanded ? 'true' : 'false')
+    };
+
+    Surface.prototype.isGroupRow = function (row) {
+        return row.hasAttribute('aria-expanded')
     };
 
     Surface.prototype.expandGroupParents = function (group) {
@@ -441,7 +515,9 @@
             var row = groups[i].findGroupRow(table);
 
             if (row) {
-                this.toggleGroup(row, true)
+                // Groups expanded for search results
+                // don't change the saved statuses.
+                this.toggleGroup(row, true, true)
             }
         }
     };
@@ -486,6 +562,7 @@
         var cell = document.createElement('td'),
             type = property.type;
 
+        cell.setAttribute('role', 'gridcell');
         row.appendChild(cell);
 
         if (type === undefined) {
@@ -494,12 +571,18 @@
 
         var editor = new Storm.inspector.propertyEditors[type](this, property, cell, group);
 
+        if (this.isPropertyMixed(property.property)) {
+            Storm.foundation.element.addClass(row, 'mixed-value');
+            editor.markMixedValue()
+        }
+
         if (editor.isGroupedEditor()) {
             Storm.foundation.element.addClass(dataTable, 'has-groups');
             Storm.foundation.element.addClass(row, 'control-group');
 
             this.applyGroupIndexAttribute(property, row, editor.group, true);
             this.buildGroupExpandControl(row.querySelector('span.title-element'), property, true, editor.hasChildSurface(), editor.group);
+            this.setRowExpanded(row, this.getGroupManager().isGroupExpanded(editor.group));
 
             if (cell.children.length == 0) {
                 // If the editor hasn't added any elements to the cell,
@@ -528,6 +611,9 @@
     };
 
     Surface.prototype.setPropertyValue = function (property, value, supressChangeEvents, forceEditorUpdate) {
+        var history = this.getRootSurface().history,
+            oldValue = this.values[property];
+
         if (value !== undefined) {
             this.values[property] = value
         }
@@ -538,6 +624,12 @@
         }
 
         if (!supressChangeEvents) {
+            if (history) {
+                history.beginChange(this, property, oldValue, value)
+            }
+
+            this.clearMixedValue(property);
+
             if (this.originalValues[property] === undefined || !this.comparePropertyValues(this.originalValues[property], value)) {
                 this.markPropertyChanged(property, true)
             }
@@ -551,6 +643,10 @@
             if (this.options.onChange !== null) {
                 this.options.onChange(property, value)
             }
+
+            if (history) {
+                history.endChange()
+            }
         }
 
         if (forceEditorUpdate) {
@@ -577,6 +673,10 @@
             editor.onInspectorPropertyChanged(propertyPath, value);
             editor.notifyChildSurfacesPropertyChanged(propertyPath, value)
         }
+
+        if (!this.parentSurface) {
+            this.applyConditions()
+        }
     };
 
     Surface.prototype.makeCellActive = function (cell) {
@@ -590,6 +690,18 @@
         Storm.foundation.element.addClass(cell, 'active')
     };
 
+    Surface.prototype.findRowEditor = function (row) {
+        var editors = this.getAllEditors();
+
+        for (var i = 0, len = editors.length; i < len; i++) {
+            if (editors[i].containerRow === row) {
+                return editors[i]
+            }
+        }
+
+        return null
+    };
+
     Surface.prototype.markPropertyChanged = function (property, changed) {
         var propertyPath = this.getPropertyPath(property),
             row = this.tableContainer.querySelector('tr[data-property-path="' + propertyPath + '"]');
@@ -707,6 +819,155 @@
         }
     };
 
+    //
+    // Conditional visibility
+    //
+
+    /*
+     * Evaluates the visibleIf and disabledIf conditions of the surface
+     * properties and updates the rows. Rows of nested surfaces and grouped
+     * editors are hidden or disabled together with their parent row.
+     */
+    Surface.prototype.applyConditions = function (parentHidden, parentDisabled) {
+        var table = this.getRootTable();
+
+        for (var i = 0, len = this.editors.length; i < len; i++) {
+            var editor = this.editors[i],
+                definition = editor.propertyDefinition,
+                hidden = !!parentHidden,
+                disabled = !!parentDisabled;
+
+            if (!hidden && definition.visibleIf !== undefined) {
+                hidden = !this.evaluateCondition(definition.visibleIf)
+            }
+
+            if (!disabled && definition.disabledIf !== undefined) {
+                disabled = this.evaluateCondition(definition.disabledIf)
+            }
+
+            var rows = [editor.containerRow];
+
+            if (editor.isGroupedEditor()) {
+                rows = rows.concat(editor.group.findGroupRows(table, false, this.getGroupManager()))
+            }
+
+            for (var j = 0, rowsLen = rows.length; j < rowsLen; j++) {
+                this.applyRowCondition(rows[j], hidden, disabled)
+            }
+
+            if (editor.hasChildSurface()) {
+                editor.childInspector.applyConditions(hidden, disabled)
+            }
+        }
+    };
+
+    Surface.prototype.applyRowCondition = function (row, hidden, disabled) {
+        Storm.foundation.element.toggleClass(row, 'condition-hidden', hidden);
+        Storm.foundation.element.toggleClass(row, 'condition-disabled', disabled);
+
+        // Only controls disabled by the condition are marked and restored, so that
+        // controls disabled by editors themselves keep their state.
+        var inputs = row.querySelectorAll('input, select, textarea'),
+            triggers = row.querySelectorAll('a.trigger');
+
+        for (var i = inputs.length - 1; i >= 0; i--) {
+            var input = inputs[i],
+                isMarked = input.hasAttribute('data-condition-disabled');
+
+            if (disabled && !isMarked && !input.disabled) {
+                input.setAttribute('data-condition-disabled', '');
+                input.disabled = true
+            }
+            else if (!disabled && isMarked) {
+                input.removeAttribute('data-condition-disabled');
+                input.disabled = false
+            }
+        }
+
+        // Popup editor triggers are removed from the tab order
+        for (var j = triggers.length - 1; j >= 0; j--) {
+            var trigger = triggers[j],
+                isTriggerMarked = trigger.hasAttribute('data-condition-disabled');
+
+            if (disabled && !isTriggerMarked) {
+                trigger.setAttribute('data-condition-disabled', trigger.hasAttribute('tabindex') ? trigger.getAttribute('tabindex') : '');
+                trigger.setAttribute('tabindex', '-1');
+                trigger.setAttribute('aria-disabled', 'true')
+            }
+            else if (!disabled && isTriggerMarked) {
+                var tabIndex = trigger.getAttribute('data-condition-disabled');
+
+                if (tabIndex.length > 0) {
+                    trigger.setAttribute('tabindex', tabIndex)
+                }
+                else {
+                    trigger.removeAttribute('tabindex')
+                }
+
+                trigger.removeAttribute('data-condition-disabled');
+                trigger.removeAttribute('aria-disabled')
+            }
+        }
+    };
+
+    Surface.prototype.evaluateCondition = function (condition) {
+        return Storm.inspector.conditions.evaluate(condition, this.proxy(this.getConditionValue))
+    };
+
+    /*
+     * Returns a property value for evaluating conditions. Property names
+     * containing dots are treated as paths starting from the root surface,
+     * for example "object.property".
+     */
+    Surface.prototype.getConditionValue = function (property) {
+        if (property.indexOf('.') === -1) {
+            var value = this.getPropertyValue(property);
+
+            if (value === undefined) {
+                var editor = this.findPropertyEditor(property);
+
+                value = editor ? editor.getUndefinedValue() : undefined
+            }
+
+            return value
+        }
+
+        var path = property.split('.'),
+            current = this.getRootSurface(),
+            values = null;
+
+        for (var i = 0, len = path.length; i < len; i++) {
+            if (current) {
+                if (i == len - 1) {
+                    return current.getConditionValue(path[i])
+                }
+
+                var pathEditor = current.findPropertyEditor(path[i]);
+                values = current.getPropertyValue(path[i]);
+                current = pathEditor && pathEditor.hasChildSurface() ? pathEditor.childInspector : null
+            }
+            else {
+                if (typeof values != 'object' || values === null) {
+                    return undefined
+                }
+
+                values = values[path[i]]
+            }
+        }
+
+        return values
+    };
+
+    Surface.prototype.isPropertyHidden = function (property) {
+        var editor = this.findPropertyEditor(property);
+
+        if (!editor || editor.isDisposed()) {
+            return false
+        }
+
+        return Storm.foundation.element.hasClass(editor.containerRow, 'condition-hidden')
+    };
+
     Surface.prototype.getRowHeadElement = function (row) {
         for (var i = row.children.length - 1; i >= 0; i--) {
             var element = row.children[i];
@@ -723,6 +984,10 @@
         return this.inspectorUniqueId
     };
 
+    Surface.prototype.isDisposed = function () {
+        return this.disposed
+    };
+
     Surface.prototype.getRootSurface = function () {
         var current = this;
 
@@ -735,6 +1000,463 @@
         }
     };
 
+    //
+    // Multiple element editing
+    //
+
+    /*
+     * Mixed properties have different values in the edited elements.
+     * The surface doesn't have values for the mixed properties until
+     * they are changed by the user.
+     */
+    Surface.prototype.isPropertyMixed = function (property) {
+        return $.inArray(property, this.mixedProperties) !== -1
+    };
+
+    Surface.prototype.getMixedProperties = function () {
+        return this.mixedProperties.slice()
+    };
+
+    Surface.prototype.clearMixedValue = function (property) {
+        var index = $.inArray(property, this.mixedProperties);
+
+        if (index === -1) {
+            return
+        }
+
+        this.mixedProperties.splice(index, 1);
+
+        var editor = this.findPropertyEditor(property);
+
+        if (editor) {
+            Storm.foundation.element.removeClass(editor.containerRow, 'mixed-value')
+        }
+    };
+
+    /*
+     * Returns changes of the values compared with the original values, see
+     * Storm.inspector.diff.compare() for the format. Mixed properties that
+     * were not changed by the user are ignored, as getValues() returns
+     * default values for them.
+     */
+    Surface.prototype.getChanges = function (values, properties) {
+        var originalValues = {},
+            newValues = {};
+
+        if (values === undefined) {
+            values = this.getValues()
+        }
+
+        for (var property in this.originalValues) {
+            if (!this.isPropertyMixed(property)) {
+                originalValues[property] = this.originalValues[property]
+            }
+        }
+
+        for (property in values) {
+            if (!this.isPropertyMixed(property)) {
+                newValues[property] = values[property]
+            }
+        }
+
+        return Storm.inspector.diff.compare(originalValues, newValues, properties)
+    };
+
+    /*
+     * Hidden and mixed properties are not validated.
+     */
+    Surface.prototype.isValidationSkipped = function (property) {
+        return this.isPropertyHidden(property) || this.isPropertyMixed(property)
+    };
+
+    //
+    // Search
+    //
+
+    /*
+     * Filters the rows by the property title, name and description. Groups
+     * containing matching rows are expanded and the matched text is
+     * highlighted. All rows are displayed if the query is empty.
+     */
+    Surface.prototype.filterProperties = function (query) {
+        var rootSurface = this.getRootSurface();
+
+        if (rootSurface !== this) {
+            return rootSurface.filterProperties(query)
+        }
+
+        var normalizedQuery = $.trim(query).toLowerCase(),
+            table = this.getRootTable(),
+            rows = table.querySelectorAll('table.inspector-fields > tbody > tr'),
+            visibleRows = [];
+
+        this.searchQuery = query;
+
+        if (normalizedQuery.length > 0) {
+            visibleRows = this.findSearchMatches(table, normalizedQuery)
+        }
+
+        for (var i = 0, len = rows.length; i < len; i++) {
+            var row = rows[i],
+                hidden = normalizedQuery.length > 0 && $.inArray(row, visibleRows) === -1;
+
+            Storm.foundation.element.toggleClass(row, 'search-hidden', hidden);
+            this.highlightRowTitle(row, normalizedQuery)
+        }
+    };
+
+    Surface.prototype.getSearchQuery = function () {
+        return this.getRootSurface().searchQuery
+    };
+
+    /*
+     * Returns rows that should remain visible for the search query: matching
+     * property rows, their parent group rows and rows of matching groups.
+     */
+    Surface.prototype.findSearchMatches = function (table, query) {
+        var editors = this.getAllEditors(),
+            groupManager = this.getGroupManager(),
+            groupRows = table.querySelectorAll('table.inspector-fields > tbody > tr.group'),
+            result = [],
+            self = this;
+
+        function addGroupRows(group) {
+            var groups = group.getGroupAndAllParents();
+
+            for (var i = 0, len = groups.length; i < len; i++) {
+                var row = groups[i].findGroupRow(table);
+
+                if (row) {
+                    result.push(row)
+                }
+            }
+
+            self.expandGroupParents(group)
+        }
+
+        for (var i = 0, len = editors.length; i < len; i++) {
+            var editor = editors[i],
+                definition = editor.propertyDefinition;
+
+            if (this.searchTextMatches(query, [definition.title, definition.property, definition.description])) {
+                result.push(editor.containerRow);
+                addGroupRows(editor.parentGroup)
+            }
+        }
+
+        for (var j = 0, groupsLen = groupRows.length; j < groupsLen; j++) {
+            var groupRow = groupRows[j];
+
+            if (!this.searchTextMatches(query, [this.getRowTitle(groupRow)])) {
+                continue
+            }
+
+            var group = groupManager.findGroupByIndex(groupRow.getAttribute('data-group-index'));
+
+            result = result.concat(groupManager.findGroupRows(table, group.getGroupIndex(), false));
+            addGroupRows(group)
+        }
+
+        return result
+    };
+
+    Surface.prototype.searchTextMatches = function (query, strings) {
+        for (var i = 0, len = strings.length; i < len; i++) {
+            if (typeof strings[i] == 'string' && strings[i].toLowerCase().indexOf(query) !== -1) {
+                return true
+            }
+        }
+
+        return false
+    };
+
+    /*
+     * Returns editors of the surface and all nested surfaces.
+     */
+    Surface.prototype.getAllEditors = function () {
+        var result = [];
+
+        for (var i = 0, len = this.editors.length; i < len; i++) {
+            var editor = this.editors[i];
+
+            result.push(editor);
+
+            if (editor.hasChildSurface() && editor.childInspector) {
+                result = result.concat(editor.childInspector.getAllEditors())
+            }
+        }
+
+        return result
+    };
+
+    /*
+     * Returns the plain text title of a row. The original title is saved
+     * in an attribute, as highlighting splits the title text.
+     */
+    Surface.prototype.getRowTitle = function (row) {
+        var titleSpan = row.querySelector('th span.title-element');
+
+        if (!titleSpan) {
+            return ''
+        }
+
+        if (!titleSpan.hasAttribute('data-search-title')) {
+            var title = '';
+
+            for (var i = 0, len = titleSpan.childNodes.length; i < len; i++) {
+                if (titleSpan.childNodes[i].nodeType === 3) {
+                    title += titleSpan.childNodes[i].nodeValue
+                }
+            }
+
+            titleSpan.setAttribute('data-search-title', title)
+        }
+
+        return titleSpan.getAttribute('data-search-title')
+    };
+
+    Surface.prototype.highlightRowTitle = function (row, query) {
+        var titleSpan = row.querySelector('th span.title-element');
+
+        if (!titleSpan) {
+            return
+        }
+
+        var title = this.getRowTitle(row),
+            position = query.length > 0 ? title.toLowerCase().indexOf(query) : -1;
+
+        // Remove the title text and existing highlights, but
+        // keep the group expand/collapse control.
+        for (var i = titleSpan.childNodes.length - 1; i >= 0; i--) {
+            var node = titleSpan.childNodes[i];
+
+            if (node.nodeType === 3 || node.tagName === 'MARK') {
+                titleSpan.removeChild(node)
+            }
+        }
+
+        if (position === -1) {
+            titleSpan.appendChild(document.createTextNode(title));
+            return
+        }
+
+        var mark = document.createElement('mark');
+
+        mark.textContent = title.substring(position, position + query.length);
+
+        titleSpan.appendChild(document.createTextNode(title.substring(0, position)));
+        titleSpan.appendChild(mark);
+        titleSpan.appendChild(document.createTextNode(title.substring(position + query.length)))
+    };
+
+    /*
+     * Displays a row hidden by the search filter, for example
+     * when the property is marked as invalid.
+     */
+    Surface.prototype.revealEditorRow = function (editor) {
+        var groups = editor.parentGroup.getGroupAndAllParents(),
+            table = this.getRootTable();
+
+        Storm.foundation.element.removeClass(editor.containerRow, 'search-hidden');
+
+        for (var i = 0, len = groups.length; i < len; i++) {
+            var row = groups[i].findGroupRow(table);
+
+            if (row) {
+                Storm.foundation.element.removeClass(row, 'search-hidden')
+            }
+        }
+    };
+
+    //
+    // Keyboard navigation
+    //
+
+    /*
+     * Returns the rows of the root table which are not collapsed,
+     * hidden by conditions or by the search query.
+     */
+    Surface.prototype.getNavigableRows = function () {
+        return $(this.getRootTable()).children('tbody').children('tr').filter(':visible').get()
+    };
+
+    Surface.prototype.findSiblingRow = function (row, offset) {
+        var rows = this.getNavigableRows(),
+            index = $.inArray(row, rows);
+
+        if (index === -1) {
+            return null
+        }
+
+        return rows[index + offset] !== undefined ? rows[index + offset] : null
+    };
+
+    Surface.prototype.findParentGroupRow = function (row) {
+        var parentGroupIndex = row.getAttribute('data-parent-group-index');
+
+        if (parentGroupIndex === null) {
+            return null
+        }
+
+        return this.getRootTable().querySelector('tr[data-group-index="' + parentGroupIndex + '"]')
+    };
+
+    /*
+     * Returns the first focusable element of the row editor, or null.
+     */
+    Surface.prototype.findRowControl = function (row) {
+        if (Storm.foundation.element.hasClass(row, 'condition-disabled')) {
+            return null
+        }
+
+        var controls = $(row).children('td')
+            .find('input, select, textarea, a, [tabindex]')
+            .not('[tabindex="-1"], :disabled, input[type=hidden]')
+            .filter(':visible');
+
+        return controls.length ? controls.get(0) : null
+    };
+
+    /*
+     * Focuses the editor of the row. Rows without editors, for example
+     * group rows, get the focus themselves.
+     */
+    Surface.prototype.focusRow = function (row) {
+        if (!row) {
+            return false
+        }
+
+        var editor = this.findRowEditor(row),
+            cell = row.querySelector('td');
+
+        if (editor) {
+            var externalParameterEditor = editor.inspector.findExternalParameterEditor(editor.getPropertyName());
+
+            if (externalParameterEditor && externalParameterEditor.isEditorVisible()) {
+                externalParameterEditor.focus();
+                return true
+            }
+        }
+
+        var control = this.findRowControl(row);
+
+        if (!control) {
+            row.focus();
+            return true
+        }
+
+        control.focus();
+
+        if (cell) {
+            this.makeCellActive(cell)
+        }
+
+        return true
+    };
+
+    /*
+     * Handles the treegrid keyboard commands. Returns true if the key was handled:
+     * - Up, Down - moves to the previous or next row
+     * - Home, End - moves to the first or last row
+     * - Right - expands a group, or moves to its first row if it's expanded
+     * - Left - collapses a group, or moves to the parent group row
+     * - Enter, Space - toggles a group, opens a popup editor or focuses the row editor
+     */
+    Surface.prototype.handleNavigationKey = function (ev) {
+        if (ev.ctrlKey || ev.metaKey || ev.altKey || ev.shiftKey || ev.isDefaultPrevented()) {
+            return false
+        }
+
+        var target = ev.target,
+            row = $(target).closest('tr', this.tableContainer).get(0),
+            isTextControl = $(target).is('input[type=text], input[type=number], textarea, select');
+
+        if (!row || row.parentNode.parentNode !== this.getRootTable()) {
+            return false
+        }
+
+        if (ev.keyCode == 38 || ev.keyCode == 40) {
+            if ($(target).is('textarea, select')) {
+                return false
+            }
+
+            return this.focusRow(this.findSiblingRow(row, ev.keyCode == 40 ? 1 : -1))
+        }
+
+        if (isTextControl) {
+            return false
+        }
+
+        if (ev.keyCode == 36 || ev.keyCode == 35) {
+            var rows = this.getNavigableRows();
+
+            return this.focusRow(ev.keyCode == 36 ? rows[0] : rows[rows.length - 1])
+        }
+
+        if (ev.keyCode == 39) {
+            if (!this.isGroupRow(row)) {
+                return false
+            }
+
+            if (row.getAttribute('aria-expanded') === 'true') {
+                return this.focusRow(this.findSiblingRow(row, 1))
+            }
+
+            this.toggleGroup(row);
+            return true
+        }
+
+        if (ev.keyCode == 37) {
+            if (this.isGroupRow(row) && row.getAttribute('aria-expanded') === 'true') {
+                this.toggleGroup(row);
+                return true
+            }
+
+            return this.focusRow(this.findParentGroupRow(row))
+        }
+
+        if (ev.keyCode == 13 || ev.keyCode == 32) {
+            return this.activateRow(row, target, ev.keyCode == 32)
+        }
+
+        return false
+    };
+
+    Surface.prototype.activateRow = function (row, target, isSpace) {
+        if (Storm.foundation.element.hasClass(row, 'condition-disabled')) {
+            return false
+        }
+
+        var trigger = row.querySelector('td a.trigger');
+
+        if (trigger && (target === row || target === trigger)) {
+            // Popup editors are opened with the native click
+            // handler, see PopupBase.prototype.onTriggerClick()
+            trigger.click();
+            return true
+        }
+
+        if (target !== row) {
+            return false
+        }
+
+        var checkbox = row.querySelector('td input[type=checkbox]');
+
+        if (isSpace && checkbox && !checkbox.disabled) {
+            checkbox.click();
+            return true
+        }
+
+        var control = this.findRowControl(row);
+
+        if (this.isGroupRow(row) && control === null) {
+            this.toggleGroup(row);
+            return true
+        }
+
+        return control !== null && this.focusRow(row)
+    };
+
     //
     // Disposing
     //
@@ -861,8 +1583,50 @@
         return result
     };
 
+    /*
+     * Replaces the surface values and updates the editors. The new values
+     * become the original values, so the properties are not marked as changed.
+     * The change events are not triggered.
+     */
+    Surface.prototype.setValues = function (values) {
+        values = values !== null && typeof values == 'object' ? values : {};
+
+        this.originalValues = $.extend(true, {}, values);
+
+        for (var i = 0, len = this.parsedProperties.properties.length; i < len; i++) {
+            var property = this.parsedProperties.properties[i];
+
+            if (property.itemType !== 'property') {
+                continue
+            }
+
+            this.setPropertyValue(property.property, values[property.property], true, true);
+            this.markPropertyChanged(property.property, false)
+        }
+
+        if (!this.parentSurface) {
+            this.clearHistory();
+            this.applyConditions()
+        }
+    };
+
+    /*
+     * Makes the values the original values, for example after they
+     * are applied. The properties are no longer marked as changed.
+     */
+    Surface.prototype.resetOriginalValues = function (values) {
+        var rows = this.tableContainer.querySelectorAll('tr.changed');
+
+        this.originalValues = $.extend(true, {}, values !== undefined ? values : this.getValues());
+
+        for (var i = rows.length - 1; i >= 0; i--) {
+            Storm.foundation.element.removeClass(rows[i], 'changed')
+        }
+    };
+
     Surface.prototype.getValidValues = function () {
         var allValues = this.getValues(),
+            ruleError = this.validateRules(),
             result = {};
 
         for (var property in allValues) {
@@ -872,6 +1636,11 @@
                 throw new Error('Cannot find editor for property ' + property)
             }
 
+            if (this.isValidationSkipped(property)) {
+                result[property] = allValues[property];
+                continue
+            }
+
             var externalEditor = this.findExternalParameterEditor(property);
             if (externalEditor && externalEditor.isEditorVisible() && !externalEditor.validate(true)) {
                 result[property] = Storm.inspector.invalidProperty;
@@ -883,12 +1652,22 @@
                 continue
             }
 
+            if (ruleError !== null && $.inArray(property, ruleError.properties) !== -1) {
+                result[property] = Storm.inspector.invalidProperty;
+                continue
+            }
+
             result[property] = allValues[property]
         }
 
         return result
     };
 
+    /*
+     * Runs the synchronous validators and rules. Asynchronous validators, for example
+     * the remote validator, are not run. Deprecated for validating values before
+     * they are used: use validateAsync(), which runs all validators.
+     */
     Surface.prototype.validate = function (silentMode) {
         this.getGroupManager().unmarkInvalidGroups(this.getRootTable());
 
@@ -896,6 +1675,10 @@
             var editor = this.editors[i],
                 externalEditor = this.findExternalParameterEditor(editor.propertyDefinition.property);
 
+            if (this.isValidationSkipped(editor.propertyDefinition.property)) {
+                continue
+            }
+
             if (externalEditor && externalEditor.isEditorVisible()) {
                 if (!externalEditor.validate(silentMode)) {
                     if (!silentMode) {
@@ -916,15 +1699,190 @@
             }
         }
 
+        var ruleError = this.validateRules();
+
+        if (ruleError !== null) {
+            if (!silentMode) {
+                Storm.flashMsg({text: ruleError.message, 'class': 'error', 'interval': 5});
+                this.markRuleInvalid(ruleError.properties)
+            }
+
+            return false
+        }
+
         return true
     };
 
+    /*
+     * Evaluates the cross-field validation rules. Rules depending on
+     * hidden or mixed properties are ignored. Returns null or an object with
+     * the error message and names of the properties of the failed rule.
+     */
+    Surface.prototype.validateRules = function () {
+        if (!this.ruleSet) {
+            return null
+        }
+
+        return this.ruleSet.validate(this.proxy(this.getConditionValue), this.proxy(this.isValidationSkipped), this.proxy(this.getPropertyTitle))
+    };
+
+    /*
+     * Returns the property title for validation messages.
+     */
+    Surface.prototype.getPropertyTitle = function (property) {
+        var definition = this.findPropertyDefinition(property);
+
+        return definition && definition.title ? definition.title : property
+    };
+
+    Surface.prototype.markRuleInvalid = function (properties) {
+        // Mark the rows in the reverse order, so that
+        // the first property editor gets the focus.
+        for (var i = properties.length - 1; i >= 0; i--) {
+            var editor = this.findPropertyEditor(properties[i]);
+
+            if (editor) {
+                editor.markInvalid()
+            }
+        }
+    };
+
+    Surface.prototype.hasAsyncValidation = function () {
+        for (var i = 0, len = this.editors.length; i < len; i++) {
+            if (this.editors[i].hasAsyncValidation()) {
+                return true
+            }
+        }
+
+        return false
+    };
+
+    /*
+     * Validates the surface with synchronous and asynchronous validators,
+     * for example the remote validator. Returns a promise resolving with
+     * true if all properties are valid. Asynchronous validators run one
+     * by one and the validation stops on the first invalid property.
+     */
+    Surface.prototype.validateAsync = function (silentMode) {
+        if (!this.validate(silentMode)) {
+            return $.Deferred().resolve(false).promise()
+        }
+
+        var editors = [],
+            self = this;
+
+        for (var i = 0, len = this.editors.length; i < len; i++) {
+            var editor = this.editors[i],
+                externalEditor = this.findExternalParameterEditor(editor.propertyDefinition.property);
+
+            if (this.isValidationSkipped(editor.propertyDefinition.property)) {
+                continue
+            }
+
+            if (externalEditor && externalEditor.isEditorVisible()) {
+                continue
+            }
+
+            if (editor.hasAsyncValidation()) {
+                editors.push(editor)
+            }
+        }
+
+        function validateEditor(index) {
+            if (index >= editors.length) {
+                return true
+            }
+
+            var editor = editors[index];
+
+            return editor.validateAsync(silentMode).then(function (isValid) {
+                if (self.isDisposed()) {
+                    return false
+                }
+
+                if (!isValid) {
+                    if (!silentMode) {
+                        editor.markInvalid()
+                    }
+                    return false
+                }
+
+                return validateEditor(index + 1)
+            })
+        }
+
+        return $.when(validateEditor(0)).always(function () {
+            if (!self.isDisposed()) {
+                // Rows can remain marked if a validator failed with an error
+                self.clearValidationPending()
+            }
+        })
+    };
+
+    /*
+     * Removes the asynchronous validation indicators from the rows.
+     */
+    Surface.prototype.clearValidationPending = function () {
+        $(this.getRootTable()).find('tr.validation-pending').removeClass('validation-pending')
+    };
+
     Surface.prototype.hasChanges = function (originalValues) {
         var values = originalValues !== undefined ? originalValues : this.originalValues;
 
         return !this.comparePropertyValues(values, this.getValues())
     };
 
+    Surface.prototype.undo = function () {
+        var history = this.getRootSurface().history;
+
+        return history ? history.undo() : false
+    };
+
+    Surface.prototype.redo = function () {
+        var history = this.getRootSurface().history;
+
+        return history ? history.redo() : false
+    };
+
+    Surface.prototype.canUndo = function () {
+        var history = this.getRootSurface().history;
+
+        return history ? history.canUndo() : false
+    };
+
+    Surface.prototype.canRedo = function () {
+        var history = this.getRootSurface().history;
+
+        return history ? history.canRedo() : false
+    };
+
+    Surface.prototype.clearHistory = function () {
+        var history = this.getRootSurface().history;
+
+        if (history) {
+            history.clear()
+        }
+    };
+
+    /*
+     * Changes made until the endHistoryBatch() call are undone as a single step.
+     */
+    Surface.prototype.beginHistoryBatch = function () {
+        var history = this.getRootSurface().history;
+
+        if (history) {
+            history.beginBatch()
+        }
+    };
+
+    Surface.prototype.endHistoryBatch = function () {
+        var history = this.getRootSurface().history;
+
+        if (history) {
+            history.endBatch()
+        }
+    };
+
     // EVENT HANDLERS
     //
 
@@ -937,15 +1895,74 @@
         return false
     };
 
+    Surface.prototype.onRowContextMenu = function (ev) {
+        this.contextMenu.show(ev.currentTarget, {
+            left: ev.pageX,
+            top: ev.pageY
+        });
+
+        Storm.foundation.event.stop(ev);
+        return false
+    };
+
+    Surface.prototype.onKeyDown = function (ev) {
+        if (this.handleNavigationKey(ev)) {
+            Storm.foundation.event.stop(ev);
+            return false
+        }
+
+        // The context menu key and Shift+F10 display the row context menu
+
+        if (ev.keyCode == 93 || (ev.shiftKey && ev.keyCode == 121)) {
+            var row = $(ev.target).closest('tr', this.tableContainer).get(0);
+
+            if (row) {
+                this.contextMenu.show(row);
+
+                Storm.foundation.event.stop(ev);
+                return false
+            }
+        }
+
+        if (!this.history || (!ev.ctrlKey && !ev.metaKey)) {
+            return
+        }
+
+        // Ctrl+Z - undo, Ctrl+Shift+Z and Ctrl+Y - redo. The native undo
+        // of text inputs is suppressed as it would bypass the Inspector history.
+
+        if (ev.keyCode == 90) {
+            if (ev.shiftKey) {
+                this.redo()
+            }
+            else {
+                this.undo()
+            }
+        }
+        else if (ev.keyCode == 89) {
+            this.redo()
+        }
+        else {
+            return
+        }
+
+        Storm.foundation.event.stop(ev);
+        return false
+    };
+
     // DEFAULT OPTIONS
     // ============================
 
     Surface.DEFAULTS = {
         enableExternalParameterEditor: false,
+        externalParameters: null,
         onChange: null,
         onPopupDisplayed: null,
         onPopupHidden: null,
-        onGetInspectableElement: null
+        onGetInspectableElement: null,
+        historyLimit: 100,
+        rules: null,
+        mixedProperties: null
     };
 
     // REGISTRATION
@@ -98,11 +98,20 @@
         }
     };
 
+    /*
+     * Runs synchronous validators. Asynchronous validators
+     * are ignored, use validateAsync() to run them.
+     */
     ValidationSet.prototype.validate = function (value) {
         try {
             for (var i = 0, len = this.validators.length; i < len; i++) {
-                var validator = this.validators[i],
-                    errorMessage = validator.isValid(value);
+                var validator = this.validators[i];
+
+                if (validator.isAsync()) {
+                    continue
+                }
+
+                var errorMessage = validator.isValid(value);
 
                 if (typeof errorMessage === 'string') {
                     return errorMessage
@@ -116,5 +125,48 @@
         }
     };
 
+    ValidationSet.prototype.hasAsyncValidators = function () {
+        for (var i = 0, len = this.validators.length; i < len; i++) {
+            if (this.validators[i].isAsync()) {
+                return true
+            }
+        }
+
+        return false
+    };
+
+    /*
+     * Runs all validators. Returns a promise resolving with
+     * the first error message or null if the value is valid.
+     */
+    ValidationSet.prototype.validateAsync = function (value, context) {
+        var errorMessage = this.validate(value),
+            promises = [];
+
+        if (errorMessage !== null) {
+            return $.Deferred().resolve(errorMessage).promise()
+        }
+
+        for (var i = 0, len = this.validators.length; i < len; i++) {
+            var validator = this.validators[i];
+
+            if (validator.isAsync()) {
+                promises.push($.when(validator.isValid(value, context)))
+            }
+        }
+
+        return $.when.apply($, promises).then(function () {
+            for (var i = 0, len = arguments.length; i < len; i++) {
+                if (typeof arguments[i] === 'string') {
+                    return arguments[i]
+                }
+            }
+
+            return null
+        }, function (err) {
+            return typeof err === 'string' ? err : Storm.inspector.lang.get('validation.error')
+        })
+    };
+
     Storm.inspector.validationSet = ValidationSet
 }(window.jQuery);
\ No newline at end of file
@@ -18,7 +18,7 @@
 
     var BaseValidator = function (options) {
         this.options = options;
-        this.defaultMessage = 'Invalid property value.';
+        this.defaultMessage = Storm.inspector.lang.get('validation.invalid');
 
         Base.call(this)
     };
@@ -34,7 +34,7 @@
 
     BaseValidator.prototype.getMessage = function (defaultMessage) {
         if (this.options.message !== undefined) {
-            return this.options.message
+            return Storm.inspector.lang.translate(this.options.message)
         }
 
         if (defaultMessage !== undefined) {
@@ -56,5 +56,15 @@
         return null
     };
 
+    /*
+     * Asynchronous validators return promises from the isValid() method.
+     * The promises should resolve with an error message or null. The second
+     * argument of isValid() in asynchronous validators is an object with the
+     * property, inspectorClassName, values and form properties.
+     */
+    BaseValidator.prototype.isAsync = function () {
+        return false
+    };
+
     Storm.inspector.validators.base = BaseValidator
 }(window.jQuery);
\ No newline at end of file
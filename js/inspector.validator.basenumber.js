@@ -23,8 +23,8 @@
 
                 if (value < this.options.min.value) {
                     return this.options.min.message !== undefined ?
-                        this.options.min.message :
-                        "The value should not be less than " + this.options.min.value
+                        Storm.inspector.lang.translate(this.options.min.message) :
+                        Storm.inspector.lang.get('validation.min', {min: this.options.min.value})
                 }
             }
 
@@ -35,8 +35,8 @@
 
                 if (value > this.options.max.value) {
                     return this.options.max.message !== undefined ?
-                        this.options.max.message :
-                        "The value should not be greater than " + this.options.max.value
+                        Storm.inspector.lang.translate(this.options.max.message) :
+                        Storm.inspector.lang.get('validation.max', {max: this.options.max.value})
                 }
             }
         }
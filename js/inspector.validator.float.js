@@ -35,8 +35,8 @@
 
         if (!testResult) {
             var defaultMessage = this.options.allowNegative ?
-                'The value should be a floating point number.' :
-                'The value should be a positive floating point number.';
+                Storm.inspector.lang.get('validation.float') :
+                Storm.inspector.lang.get('validation.float_positive');
 
             return this.getMessage(defaultMessage)
         }
@@ -35,8 +35,8 @@
 
         if (!testResult) {
             var defaultMessage = this.options.allowNegative ?
-                'The value should be an integer.' :
-                'The value should be a positive integer.';
+                Storm.inspector.lang.get('validation.integer') :
+                Storm.inspector.lang.get('validation.integer_positive');
 
             return this.getMessage(defaultMessage)
         }
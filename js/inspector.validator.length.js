@@ -41,8 +41,8 @@
 
                 if (length < this.options.min.value) {
                     return this.options.min.message !== undefined ?
-                        this.options.min.message :
-                        "The value should not be shorter than " + this.options.min.value
+                        Storm.inspector.lang.translate(this.options.min.message) :
+                        Storm.inspector.lang.get('validation.min_length', {min: this.options.min.value})
                 }
             }
 
@@ -52,8 +52,8 @@
 
                 if (length > this.options.max.value) {
                     return this.options.max.message !== undefined ?
-                        this.options.max.message :
-                        "The value should not be longer than " + this.options.max.value
+                        Storm.inspector.lang.translate(this.options.max.message) :
+                        Storm.inspector.lang.get('validation.max_length', {max: this.options.max.value})
                 }
             }
         }
@@ -0,0 +1,81 @@
+/*
+ * Inspector remote validator.
+ *
+ * Validates values on the server. The value is posted to the onInspectableValidate
+ * AJAX handler (or to a handler specified with the handler parameter), or to the
+ * validation data provider, if it's registered. The response should be an object
+ * with the valid property and optional message property.
+ */
++function ($) {
+    "use strict";
+
+    var Base = Storm.inspector.validators.base,
+        BaseProto = Base.prototype;
+
+    var RemoteValidator = function (options) {
+        Base.call(this, options);
+
+        this.defaultMessage = Storm.inspector.lang.get('validation.remote');
+        this.cache = {}
+    };
+
+    RemoteValidator.prototype = Object.create(BaseProto);
+    RemoteValidator.prototype.constructor = Base;
+
+    RemoteValidator.prototype.dispose = function () {
+        this.cache = null;
+
+        BaseProto.dispose.call(this)
+    };
+
+    RemoteValidator.prototype.isAsync = function () {
+        return true
+    };
+
+    RemoteValidator.prototype.isValid = function (value, context) {
+        // Server rules could depend on other properties,
+        // so all values posted to the server are in the key.
+        var self = this,
+            cacheKey = JSON.stringify([value === undefined ? null : value, context.values === undefined ? null : context.values]);
+
+        if (this.isEmpty(value)) {
+            return $.Deferred().resolve(null).promise()
+        }
+
+        // Results are cached, so the value is not posted to
+        // the server each time when Inspector is validated.
+        if (this.cache[cacheKey] !== undefined) {
+            return $.Deferred().resolve(this.cache[cacheKey]).promise()
+        }
+
+        var data = {
+            value: value,
+            values: context.values,
+            inspectorProperty: context.property,
+            inspectorClassName: context.inspectorClassName
+        };
+
+        return Storm.inspector.dataProvider.request('validation', data, context.form, this.options.handler)
+            .then(function (response) {
+                var message = null;
+
+                if (response && (response.valid === false || response.valid === 'false')) {
+                    message = response.message ? response.message : self.getMessage()
+                }
+
+                if (self.cache !== null) {
+                    self.cache[cacheKey] = message
+                }
+
+                return message
+            }, function () {
+                return self.getMessage()
+            })
+    };
+
+    RemoteValidator.prototype.isEmpty = function (value) {
+        return value === undefined || value === null || (typeof value == 'string' && $.trim(value).length === 0)
+    };
+
+    Storm.inspector.validators.remote = RemoteValidator
+}(window.jQuery);
\ No newline at end of file
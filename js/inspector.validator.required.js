@@ -10,7 +10,7 @@
     var RequiredValidator = function (options) {
         Base.call(this, options);
 
-        this.defaultMessage = 'The property is required.'
+        this.defaultMessage = Storm.inspector.lang.get('validation.required')
     };
 
     RequiredValidator.prototype = Object.create(BaseProto);
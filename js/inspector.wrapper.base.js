@@ -23,8 +23,13 @@
         this.$element = $element;
 
         this.options = $.extend({}, BaseWrapper.DEFAULTS, typeof options == 'object' && options);
+        this.$elements = this.options.elements ? this.options.elements : $element;
+        this.mixedProperties = [];
         this.switched = false;
         this.configuration = null;
+        this.validationInProgress = false;
+        this.asyncValidationPassed = false;
+        this.presetMenu = null;
 
         Base.call(this);
 
@@ -43,6 +48,7 @@
             this.surface = sourceWrapper.surface;
             this.title = sourceWrapper.title;
             this.description = sourceWrapper.description;
+            this.configuration = sourceWrapper.configuration;
 
             sourceWrapper = null;
 
@@ -54,11 +60,16 @@
     BaseWrapper.prototype.constructor = Base;
 
     BaseWrapper.prototype.dispose = function () {
+        if (this.presetMenu !== null) {
+            this.presetMenu.dispose();
+            this.presetMenu = null
+        }
+
         if (!this.switched) {
-            this.$element.removeClass('inspector-open');
+            this.$elements.removeClass('inspector-open');
             this.setInspectorVisibleFlag(false);
 
-            this.$element.trigger('hidden.oc.inspector')
+            this.$elements.trigger('hidden.oc.inspector')
         }
 
         if (this.surface !== null && this.surface.options.onGetInspectableElement === this.proxy(this.onGetInspectableElement)) {
@@ -67,6 +78,9 @@
 
         this.surface = null;
         this.$element = null;
+        this.$elements = null;
+        this.options.elements = null;
+        this.mixedProperties = null;
         this.title = null;
         this.description = null;
         this.configuration = null;
@@ -90,15 +104,15 @@
             this.adoptSurface()
         }
 
-        this.$element.addClass('inspector-open')
+        this.$elements.addClass('inspector-open')
     };
 
     //
     // Helper methods
     //
 
-    BaseWrapper.prototype.getElementValuesInput = function () {
-        return this.$element.find('> input[data-inspector-values]')
+    BaseWrapper.prototype.getElementValuesInput = function ($element) {
+        return ($element || this.$element).find('> input[data-inspector-values]')
     };
 
     BaseWrapper.prototype.normalizePropertyCode = function (code, configuration) {
@@ -119,11 +133,24 @@
         return this.$element.closest('[data-inspector-external-parameters]').length > 0
     };
 
+    /*
+     * Returns the external parameter catalogue defined with the
+     * data-inspector-external-parameters attribute, or null.
+     */
+    BaseWrapper.prototype.getExternalParameterCatalogue = function () {
+        var catalogue = this.$element.closest('[data-inspector-external-parameters]').data('inspector-external-parameters');
+
+        return catalogue ? catalogue : null
+    };
+
     BaseWrapper.prototype.initSurface = function (containerElement, properties, values) {
         var options = this.$element.data() || {};
 
         options.enableExternalParameterEditor = this.isExternalParametersEditorEnabled();
+        options.externalParameters = this.getExternalParameterCatalogue();
         options.onGetInspectableElement = this.proxy(this.onGetInspectableElement);
+        options.rules = this.configuration && this.configuration.rules ? this.configuration.rules : null;
+        options.mixedProperties = this.mixedProperties;
 
         this.surface = new Storm.inspector.surface(
             containerElement,
@@ -137,6 +164,122 @@
         return false
     };
 
+    //
+    // Search
+    //
+
+    BaseWrapper.prototype.isSearchEnabled = function () {
+        return this.$element.data('inspector-searchable') !== undefined
+    };
+
+    BaseWrapper.prototype.buildSearchField = function () {
+        var container = document.createElement('div'),
+            input = document.createElement('input');
+
+        container.setAttribute('class', 'inspector-search');
+
+        input.setAttribute('type', 'text');
+        input.setAttribute('class', 'form-control');
+        input.setAttribute('placeholder', Storm.inspector.lang.get('search.placeholder'));
+        input.setAttribute('autocomplete', 'off');
+        input.setAttribute('data-inspector-search', '');
+
+        if (this.surface) {
+            // The surface is adopted from another wrapper
+            input.value = this.surface.getSearchQuery()
+        }
+
+        container.appendChild(input);
+
+        return container
+    };
+
+    BaseWrapper.prototype.registerSearchHandlers = function ($container) {
+        $container.on('input', 'input[data-inspector-search]', this.proxy(this.onSearchInput));
+        $container.on('keydown', 'input[data-inspector-search]', this.proxy(this.onSearchKeyDown))
+    };
+
+    BaseWrapper.prototype.unregisterSearchHandlers = function ($container) {
+        $container.off('input', 'input[data-inspector-search]', this.proxy(this.onSearchInput));
+        $container.off('keydown', 'input[data-inspector-search]', this.proxy(this.onSearchKeyDown))
+    };
+
+    BaseWrapper.prototype.onSearchInput = function (ev) {
+        if (this.surface) {
+            this.surface.filterProperties(ev.target.value)
+        }
+    };
+
+    BaseWrapper.prototype.onSearchKeyDown = function (ev) {
+        if (ev.keyCode == 27 && ev.target.value.length > 0) {
+            // Escape clears the search query instead of closing Inspector
+            ev.target.value = '';
+            this.surface.filterProperties('');
+
+            ev.preventDefault();
+            ev.stopPropagation();
+            return false
+        }
+
+        if (ev.keyCode == 13) {
+            ev.preventDefault();
+            ev.stopPropagation();
+            return false
+        }
+    };
+
+    //
+    // Presets
+    //
+
+    /*
+     * Presets are enabled with the data-inspector-presets attribute. The attribute
+     * value is the preset storage name. Presets are saved for the Inspector class,
+     * so the data-inspector-class attribute is required.
+     */
+    BaseWrapper.prototype.isPresetsEnabled = function () {
+        return this.$element.data('inspector-presets') !== undefined && !!this.$element.data('inspector-class')
+    };
+
+    BaseWrapper.prototype.buildPresetsButton = function () {
+        var button = document.createElement('span');
+
+        button.setAttribute('class', 'inspector-presets oc-icon-bookmark');
+        button.setAttribute('title', Storm.inspector.lang.get('presets.title'));
+
+        return button
+    };
+
+    BaseWrapper.prototype.registerPresetHandlers = function ($container) {
+        $container.on('click', 'span.inspector-presets', this.proxy(this.onPresetsClick))
+    };
+
+    BaseWrapper.prototype.unregisterPresetHandlers = function ($container) {
+        $container.off('click', 'span.inspector-presets', this.proxy(this.onPresetsClick))
+    };
+
+    BaseWrapper.prototype.onPresetsClick = function (ev) {
+        Storm.foundation.event.stop(ev);
+
+        if (this.presetMenu === null) {
+            var storageName = this.$element.data('inspector-presets');
+
+            this.presetMenu = new Storm.inspector.presetMenu(
+                this.surface,
+                this.$element.data('inspector-class'),
+                storageName ? storageName : null)
+        }
+
+        if (this.presetMenu.isVisible()) {
+            this.presetMenu.hide()
+        }
+        else {
+            this.presetMenu.show(ev.currentTarget)
+        }
+
+        return false
+    };
+
     //
     // Wrapper API
     //
@@ -146,7 +289,7 @@
     };
 
     BaseWrapper.prototype.setInspectorVisibleFlag = function (value) {
-        this.$element.data('oc.inspectorVisible', value)
+        this.$elements.data('oc.inspectorVisible', value)
     };
 
     BaseWrapper.prototype.adoptSurface = function () {
@@ -162,8 +305,14 @@
     // Values
     //
 
-    BaseWrapper.prototype.loadValues = function (configuration) {
-        var $valuesField = this.getElementValuesInput();
+    /*
+     * Loads values of the inspectable element. The $element argument is optional
+     * and used for loading values of other elements in the multiple editing mode.
+     */
+    BaseWrapper.prototype.loadValues = function (configuration, $element) {
+        $element = $element || this.$element;
+
+        var $valuesField = this.getElementValuesInput($element);
 
         if ($valuesField.length > 0) {
             var valuesStr = $.trim($valuesField.val());
@@ -177,15 +326,18 @@
         }
 
         var values = {},
-            attributes = this.$element.get(0).attributes;
+            attributes = $element.get(0).attributes,
+            typedValues = Storm.inspector.attributeValues.isEnabled($element);
 
         for (var i = 0, len = attributes.length; i < len; i++) {
             var attribute = attributes[i],
                 matches = [];
 
             if (matches = attribute.name.match(/^data-property-(.*)$/)) {
-                // Important - values contained in data-property-xxx attributes are
-                // considered strings and never parsed with JSON. The use of the
+                // Important - unless the typed values are enabled with the 
+                // data-inspector-typed-values attribute, values contained in
+                // data-property-xxx attributes are considered strings and never
+                // parsed with JSON. The use of the
                 // data-property-xxx attributes is very limited - they're only
                 // used in Pages for creating snippets from partials, where properties 
                 // are created with a table UI widget, which doesn't allow creating 
@@ -197,10 +349,14 @@
                 //
                 // One possible way to resolve it, if to check the property type loaded
                 // from the configuration and see if the corresponding editor expects
-                // complex data.
+                // complex data. The typed values use this approach for attributes
+                // written before the typed values were enabled.
 
                 var normalizedPropertyName = this.normalizePropertyCode(matches[1], configuration);
-                values[normalizedPropertyName] = attribute.value
+
+                values[normalizedPropertyName] = typedValues
+                    ? Storm.inspector.attributeValues.decode(attribute.value, Storm.inspector.helpers.findPropertyDefinition(configuration, normalizedPropertyName))
+                    : attribute.value
             }
         }
 
@@ -208,16 +364,26 @@
     };
 
     BaseWrapper.prototype.applyValues = function (liveUpdateMode) {
-        var $valuesField = this.getElementValuesInput(),
-            values = liveUpdateMode ?
+        var values = liveUpdateMode ?
                 this.surface.getValidValues() :
                 this.surface.getValues();
 
+        if (this.isMultipleMode()) {
+            this.applyMultipleValues(values, liveUpdateMode);
+
+            if (!liveUpdateMode) {
+                this.triggerApplied(values);
+                this.resetOriginalValues(values)
+            }
+
+            return
+        }
+
         if (liveUpdateMode) {
             // In the live update mode, when only valid values are applied,
             // we don't want to change all other values (invalid properties).
 
-            var existingValues = this.loadValues(this.configuration);
+            var existingValues = this.loadValues(this.configuration.properties);
 
             for (var property in values) {
                 if (values[property] !== Storm.inspector.invalidProperty) {
@@ -241,20 +407,7 @@
             values = filteredValues
         }
 
-        if ($valuesField.length > 0) {
-            $valuesField.val(JSON.stringify(values))
-        }
-        else {
-            for (var property in values) {
-                var value = values[property];
-
-                if ($.isArray(value) || $.isPlainObject(value)) {
-                    throw new Error('Inspector data-property-xxx attributes do not support complex values. Property: ' + property)
-                }
-
-                this.$element.attr('data-property-' + property, value)
-            }
-        }
+        this.writeValues(this.$element, values);
 
         // In the live update mode the livechange event is triggered 
         // regardless of whether Surface properties match or don't match
@@ -268,7 +421,7 @@
             var hasChanges = false;
 
             if (this.isLiveUpdateEnabled()) {
-                var currentValues = this.loadValues(this.configuration);
+                var currentValues = this.loadValues(this.configuration.properties);
 
                 // If the Inspector setup supports the live update mode,
                 // evaluate changes as a difference between the current element
@@ -284,23 +437,217 @@
             if (hasChanges) {
                 this.$element.trigger('change')
             }
+
+            this.triggerApplied(values);
+            this.resetOriginalValues(values)
+        }
+    };
+
+    /*
+     * The container wrapper stays open after applying the values,
+     * further changes should be compared with the applied values.
+     */
+    BaseWrapper.prototype.resetOriginalValues = function (values) {
+        if (this.surface === null) {
+            // The wrapper was disposed by an event handler
+            return
+        }
+
+        this.surface.resetOriginalValues(values)
+    };
+
+    /*
+     * Returns changes of the values made in Inspector,
+     * see Storm.inspector.diff.compare() for the format.
+     */
+    BaseWrapper.prototype.getChanges = function (values) {
+        return this.surface.getChanges(values, this.configuration ? this.configuration.properties : null)
+    };
+
+    BaseWrapper.prototype.writeValues = function ($element, values) {
+        var $valuesField = this.getElementValuesInput($element);
+
+        if ($valuesField.length > 0) {
+            $valuesField.val(JSON.stringify(values));
+            return
+        }
+
+        if (Storm.inspector.attributeValues.isEnabled($element)) {
+            this.writeTypedValues($element, values);
+            return
+        }
+
+        for (var property in values) {
+            var value = values[property];
+
+            if ($.isArray(value) || $.isPlainObject(value)) {
+                throw new Error('Inspector data-property-xxx attributes do not support complex values. Use the data-inspector-typed-values attribute to enable them. Property: ' + property)
+            }
+
+            $element.attr('data-property-' + property, value)
         }
     };
 
+    BaseWrapper.prototype.writeTypedValues = function ($element, values) {
+        for (var property in values) {
+            var value = values[property];
+
+            if (value === undefined) {
+                $element.removeAttr('data-property-' + property);
+                continue
+            }
+
+            $element.attr('data-property-' + property, Storm.inspector.attributeValues.encode(value))
+        }
+    };
+
+    //
+    // Multiple element editing
+    //
+
+    BaseWrapper.prototype.isMultipleMode = function () {
+        return this.$elements.length > 1
+    };
+
+    /*
+     * Loads values of all edited elements. Properties having the same value
+     * in all elements get the value, other properties are marked as mixed.
+     */
+    BaseWrapper.prototype.loadMultipleValues = function (properties) {
+        var valueSets = [],
+            result = {},
+            self = this;
+
+        this.mixedProperties = [];
+
+        this.$elements.each(function () {
+            valueSets.push(self.loadValues(properties, $(this)))
+        });
+
+        for (var i = 0, len = properties.length; i < len; i++) {
+            var property = properties[i].property,
+                value = valueSets[0][property],
+                isMixed = false;
+
+            for (var j = 1, setsLen = valueSets.length; j < setsLen; j++) {
+                if (!Storm.inspector.diff.valuesEqual(value, valueSets[j][property])) {
+                    isMixed = true;
+                    break
+                }
+            }
+
+            if (isMixed) {
+                this.mixedProperties.push(property)
+            }
+            else if (value !== undefined) {
+                result[property] = value
+            }
+        }
+
+        return result
+    };
+
+    /*
+     * Writes the values to all edited elements. Mixed properties which
+     * were not changed and invalid properties keep values of each element.
+     */
+    BaseWrapper.prototype.applyMultipleValues = function (values, liveUpdateMode) {
+        var self = this;
+
+        this.$elements.each(function () {
+            var $element = $(this),
+                currentValues = self.loadValues(self.configuration.properties, $element),
+                elementValues = $.extend({}, currentValues),
+                hasChanges = false;
+
+            for (var property in values) {
+                var value = values[property];
+
+                if (value === Storm.inspector.invalidProperty || self.surface.isPropertyMixed(property)) {
+                    continue
+                }
+
+                if (!Storm.inspector.diff.valuesEqual(currentValues[property], value)) {
+                    hasChanges = true
+                }
+
+                elementValues[property] = value
+            }
+
+            self.writeValues($element, elementValues);
+
+            if (liveUpdateMode) {
+                $element.trigger('livechange')
+            }
+            else if (hasChanges) {
+                $element.trigger('change')
+            }
+        })
+    };
+
+    /*
+     * Returns properties defined in configurations of all edited elements.
+     * Elements with dynamic configurations are expected to have the same
+     * configuration as they should have the same Inspector class.
+     */
+    BaseWrapper.prototype.filterCommonProperties = function (properties) {
+        var self = this,
+            configurations = [];
+
+        this.$elements.slice(1).each(function () {
+            var configString = self.getElementConfigurationString($(this));
+
+            if (configString !== undefined) {
+                configurations.push(self.parseConfiguration(configString))
+            }
+        });
+
+        return $.grep(properties, function (propertyInfo) {
+            for (var i = 0, len = configurations.length; i < len; i++) {
+                if (!Storm.inspector.helpers.findPropertyDefinition(configurations[i], propertyInfo.property)) {
+                    return false
+                }
+            }
+
+            return true
+        })
+    };
+
     //
     // Configuration
     //
 
+    /*
+     * Returns the configuration defined in the element markup, if any.
+     */
+    BaseWrapper.prototype.getElementConfigurationString = function ($element) {
+        var configString = $element.data('inspector-config');
+
+        if (configString !== undefined) {
+            return configString
+        }
+
+        var $configurationField = $element.find('> input[data-inspector-config]');
+
+        if ($configurationField.length > 0) {
+            return $configurationField.val()
+        }
+
+        return undefined
+    };
+
     BaseWrapper.prototype.loadConfiguration = function () {
-        var configString = this.$element.data('inspector-config'),
+        var configString = this.getElementConfigurationString(this.$element),
             result = {
                 properties: {},
                 title: null,
-                description: null
+                description: null,
+                rules: null
             };
 
         result.title = this.$element.data('inspector-title');
         result.description = this.$element.data('inspector-description');
+        result.rules = this.$element.data('inspector-rules') || null;
 
         if (configString !== undefined) {
             result.properties = this.parseConfiguration(configString);
@@ -309,23 +656,12 @@
             return
         }
 
-        var $configurationField = this.$element.find('> input[data-inspector-config]');
-
-        if ($configurationField.length > 0) {
-            result.properties = this.parseConfiguration($configurationField.val());
-
-            this.configurationLoaded(result);
-            return
-        }
-
         var $form = this.$element.closest('form'),
             data = this.$element.data(),
             self = this;
 
         Storm.stripeLoadIndicator.show();
-        $form.request('onGetInspectorConfiguration', {
-            data: data
-        }).done(function inspectorConfigurationRequestDoneClosure(data) {
+        Storm.inspector.dataProvider.request('configuration', data, $form).done(function inspectorConfigurationRequestDoneClosure(data) {
             self.onConfigurartionRequestDone(data, result)
         }).always(function () {
             Storm.stripeLoadIndicator.hide()
@@ -339,19 +675,30 @@
             }
 
             try {
-                return $.parseJSON(configuration)
+                configuration = $.parseJSON(configuration)
             }
             catch (err) {
                 throw new Error('Error parsing Inspector configuration. ' + err)
             }
         }
-        else {
-            return configuration
+
+        if (Storm.inspector.jsonSchema.isSchema(configuration)) {
+            return Storm.inspector.jsonSchema.convert(configuration)
         }
+
+        return configuration
     };
 
     BaseWrapper.prototype.configurationLoaded = function (configuration) {
-        var values = this.loadValues(configuration.properties);
+        var values;
+
+        if (this.isMultipleMode()) {
+            configuration.properties = this.filterCommonProperties(configuration.properties);
+            values = this.loadMultipleValues(configuration.properties)
+        }
+        else {
+            values = this.loadValues(configuration.properties)
+        }
 
         this.title = configuration.title;
         this.description = configuration.description;
@@ -371,6 +718,10 @@
             result.description = data.configuration.description
         }
 
+        if (data.configuration.rules !== undefined) {
+            result.rules = data.configuration.rules
+        }
+
         this.configurationLoaded(result)
     };
 
@@ -393,6 +744,14 @@
         }
     };
 
+    BaseWrapper.prototype.triggerApplied = function (values) {
+        var changes = this.getChanges(values);
+
+        if (changes.length > 0) {
+            this.$elements.trigger('applied.oc.inspector', [{values: values, changes: changes}])
+        }
+    };
+
     BaseWrapper.prototype.triggerHiding = function () {
         var hidingEvent = $.Event('hiding.oc.inspector'),
             values = this.surface.getValues();
@@ -401,12 +760,54 @@
         return !hidingEvent.isDefaultPrevented();
     };
 
+    //
+    // Asynchronous validation
+    //
+
+    BaseWrapper.prototype.requiresAsyncValidation = function () {
+        return !this.asyncValidationPassed && this.surface.hasAsyncValidation()
+    };
+
+    /*
+     * Runs the asynchronous validation of the surface and calls
+     * the callback if the values are valid. The callback is expected
+     * to repeat the action which required the validation.
+     */
+    BaseWrapper.prototype.runAsyncValidation = function (onValid) {
+        if (this.validationInProgress) {
+            return
+        }
+
+        var self = this;
+
+        this.validationInProgress = true;
+
+        this.surface.validateAsync().done(function (isValid) {
+            if (self.surface === null) {
+                // The wrapper was disposed while the validation was running
+                return
+            }
+
+            if (isValid) {
+                self.validationInProgress = false;
+                self.asyncValidationPassed = true;
+                onValid();
+                self.asyncValidationPassed = false
+            }
+        }).always(function () {
+            // Also reset the flag if the validation failed with an error,
+            // otherwise applying and closing would be blocked.
+            self.validationInProgress = false
+        })
+    };
+
     BaseWrapper.prototype.onGetInspectableElement = function () {
         return this.$element
     };
 
     BaseWrapper.DEFAULTS = {
-        containerSupported: false
+        containerSupported: false,
+        elements: null
     };
 
     Storm.inspector.wrappers.base = BaseWrapper
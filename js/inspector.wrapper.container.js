@@ -16,6 +16,7 @@
         }
 
         this.surfaceContainer = null;
+        this.changesConfirmed = false;
 
         Base.call(this, $element, surface, options)
     };
@@ -102,6 +103,14 @@
         container.appendChild(detachButton);
         container.appendChild(closeButton);
 
+        if (this.isPresetsEnabled()) {
+            container.appendChild(this.buildPresetsButton())
+        }
+
+        if (this.isSearchEnabled()) {
+            container.appendChild(this.buildSearchField())
+        }
+
         return container
     };
 
@@ -155,6 +164,52 @@
         return true
     };
 
+    /*
+     * Validates and applies the values. If the confirmation is required,
+     * displays the change summary and returns false. The callback is called
+     * when the user confirms the changes and should repeat the action.
+     */
+    InspectorContainer.prototype.validateAndApplyWithConfirmation = function (onConfirmed) {
+        if (!this.surface.validate()) {
+            return false
+        }
+
+        if (this.requiresConfirmation()) {
+            this.showChangeSummary(onConfirmed);
+            return false
+        }
+
+        this.applyValues();
+        return true
+    };
+
+    InspectorContainer.prototype.isConfirmationEnabled = function () {
+        return this.options.container.data('inspector-confirm-changes') !== undefined
+    };
+
+    InspectorContainer.prototype.requiresConfirmation = function () {
+        // In the live update mode the values are already applied
+        return this.isConfirmationEnabled()
+            && !this.isLiveUpdateEnabled()
+            && !this.changesConfirmed
+            && this.getChanges().length > 0
+    };
+
+    InspectorContainer.prototype.showChangeSummary = function (onConfirmed) {
+        var self = this;
+
+        new Storm.inspector.changeSummary(this.surface, this.configuration ? this.configuration.properties : null, function () {
+            if (self.surface === null) {
+                // The wrapper was disposed while the summary was displayed
+                return
+            }
+
+            self.changesConfirmed = true;
+            onConfirmed();
+            self.changesConfirmed = false
+        })
+    };
+
     InspectorContainer.prototype.isScrollable = function () {
         return this.options.container.data('inspector-scrollable') !== undefined
     };
@@ -172,7 +227,9 @@
 
         $layout.one('dispose-control', this.proxy(this.dispose));
         $layout.on('click', 'span.close', this.proxy(this.onClose));
-        $layout.on('click', 'span.detach', this.proxy(this.onDetach))
+        $layout.on('click', 'span.detach', this.proxy(this.onDetach));
+        this.registerSearchHandlers($layout);
+        this.registerPresetHandlers($layout)
     };
 
     InspectorContainer.prototype.registerHandlers = function () {
@@ -189,6 +246,8 @@
         $layout.off('dispose-control', this.proxy(this.dispose));
         $layout.off('click', 'span.close', this.proxy(this.onClose));
         $layout.off('click', 'span.detach', this.proxy(this.onDetach));
+        this.unregisterSearchHandlers($layout);
+        this.unregisterPresetHandlers($layout);
 
         if (this.surface !== null && this.surface.options.onChange === this.proxy(this.onLiveUpdate)) {
             this.surface.options.onChange = null
@@ -205,12 +264,24 @@
     };
 
     InspectorContainer.prototype.onApplyValues = function (ev) {
-        if (!this.validateAndApply()) {
+        if (this.requiresAsyncValidation()) {
+            // The values are applied when the asynchronous validation
+            // finishes. The action that triggered the event is cancelled.
+            ev.preventDefault();
+            this.runAsyncValidation(this.proxy(this.applyValuesAfterValidation));
+            return false
+        }
+
+        if (!this.validateAndApplyWithConfirmation(this.proxy(this.validateAndApply))) {
             ev.preventDefault();
             return false
         }
     };
 
+    InspectorContainer.prototype.applyValuesAfterValidation = function () {
+        this.validateAndApplyWithConfirmation(this.proxy(this.validateAndApply))
+    };
+
     InspectorContainer.prototype.onBeforeHide = function (ev) {
         if (!this.triggerHiding()) {
             ev.preventDefault();
@@ -219,19 +290,31 @@
     };
 
     InspectorContainer.prototype.onClose = function (ev) {
-        if (!this.validateAndApply()) {
+        if (this.requiresAsyncValidation()) {
             ev.preventDefault();
+            this.runAsyncValidation(this.proxy(this.close));
             return false
         }
 
-        if (!this.triggerHiding()) {
+        if (!this.close()) {
             ev.preventDefault();
             return false
         }
+    };
+
+    InspectorContainer.prototype.close = function () {
+        if (!this.validateAndApplyWithConfirmation(this.proxy(this.close))) {
+            return false
+        }
+
+        if (!this.triggerHiding()) {
+            return false
+        }
 
         this.surface.dispose();
 
-        this.dispose()
+        this.dispose();
+        return true
     };
 
     InspectorContainer.prototype.onLiveUpdate = function () {
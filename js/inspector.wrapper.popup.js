@@ -123,6 +123,14 @@
             this.$popoverContainer.find('.popover-head').append(moveToContainerButton)
         }
 
+        if (this.isPresetsEnabled()) {
+            this.$popoverContainer.find('.popover-head').append(this.buildPresetsButton())
+        }
+
+        if (this.isSearchEnabled()) {
+            this.$popoverContainer.find('.popover-head').after(this.buildSearchField())
+        }
+
         this.$popoverContainer.find('[data-inspector-title]').text(this.title);
         this.$popoverContainer.find('[data-inspector-description]').text(this.description)
     };
@@ -145,6 +153,8 @@
         this.$element.on('hiding.oc.popover', this.proxy(this.onBeforeHide));
         this.$element.on('hide.oc.popover', this.proxy(this.onHide));
         this.$popoverContainer.on('keydown', this.proxy(this.onPopoverKeyDown));
+        this.registerSearchHandlers(this.$popoverContainer);
+        this.registerPresetHandlers(this.$popoverContainer);
 
         if (this.options.containerSupported) {
             this.$popoverContainer.on('click', 'span.inspector-move-to-container', this.proxy(this.onMoveToContainer))
@@ -157,6 +167,8 @@
         this.$element.off('hiding.oc.popover', this.proxy(this.onBeforeHide));
         this.$element.off('hide.oc.popover', this.proxy(this.onHide));
         this.$popoverContainer.off('keydown', this.proxy(this.onPopoverKeyDown));
+        this.unregisterSearchHandlers(this.$popoverContainer);
+        this.unregisterPresetHandlers(this.$popoverContainer);
 
         if (this.options.containerSupported) {
             this.$popoverContainer.off('click', 'span.inspector-move-to-container', this.proxy(this.onMoveToContainer))
@@ -171,6 +183,12 @@
             return
         }
 
+        if (this.requiresAsyncValidation()) {
+            ev.preventDefault();
+            this.runAsyncValidation(this.proxy(this.forceClose));
+            return false
+        }
+
         if (!this.surface.validate()) {
             ev.preventDefault();
             return false